@@ -124,11 +124,11 @@ class RechargeValidator {
   }
 
   parseRechargeCSV(csvText) {
-    const lines = csvText.split('\n').filter(Boolean);
+    const rows = CsvParser.parse(csvText, { delimiter: ',' });
     this.recharges = [];
     
-    for (let i = 1; i < lines.length; i++) {
-      const cols = lines[i].split(',');
+    for (let i = 1; i < rows.length; i++) {
+      const cols = rows[i];
       if (cols.length < 5) continue;
       
       const recharge = {
@@ -370,14 +370,11 @@ async function fetchRecharges() {
  * CSV PARSER
  */
 function parseCSV(csvText, columns) {
-    const lines = csvText.trim().split('\n');
+    const rows = CsvParser.parse(csvText, { delimiter: ',' });
     const data = [];
     
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        const values = parseCSVLine(line);
+    for (let i = 1; i < rows.length; i++) {
+        const values = rows[i];
         if (values.length < columns.length) continue;
         
         const row = {};
@@ -391,28 +388,6 @@ function parseCSV(csvText, columns) {
     return data;
 }
 
-function parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            values.push(current.trim().replace(/^"|"$/g, ''));
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    
-    values.push(current.trim().replace(/^"|"$/g, ''));
-    return values;
-}
-
 /**
  * UI HELPERS
  */
@@ -12,10 +12,10 @@ async function fetchAccounts() {
 }
 
 function parseCredentials(csvText) {
-    const lines = csvText.split('\n').filter(Boolean);
+    const rows = CsvParser.parse(csvText, { delimiter: ',' });
     const credentials = {};
-    for (let i = 1; i < lines.length; i++) {
-        const cols = lines[i].split(',');
+    for (let i = 1; i < rows.length; i++) {
+        const cols = rows[i];
         if (cols.length < 2) continue;
         const account = cols[0].trim();
         const password = cols[1].trim();
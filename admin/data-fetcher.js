@@ -23,15 +23,12 @@ class DataFetcher {
     }
 
     parseCSV(csvText) {
-        const lines = csvText.split('\n');
+        const rows = CsvParser.parse(csvText, { delimiter: ',' });
         const entries = [];
 
         // Skip header row
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const values = this.parseCSVLine(line);
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
             if (values.length < 10) continue;
 
             // Column 1: DATE (weekday format), Column 2: TIME (HH:MM:SS)
@@ -62,28 +59,6 @@ class DataFetcher {
         return entries;
     }
 
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        
-        values. push(current.trim());
-        return values;
-    }
-
     parseNumbers(numberString) {
         const numbers = numberString.split(',').map(n => parseInt(n.trim())).filter(n => !isNaN(n));
         return numbers;
@@ -24,6 +24,12 @@ function startOfDayBrt(date) {
     return makeDateFromBrt(f.year, f.month, f.day, 0, 0, 0);
 }
 
+// "YYYY-MM-DD" key of the BRT wall date, as expected by DrawCalendar
+function brtDateKey(date) {
+    const f = brtFields(date);
+    return `${f.year}-${String(f.month + 1).padStart(2, '0')}-${String(f.day).padStart(2, '0')}`;
+}
+
 function addDaysBrt(date, n) {
     const start = startOfDayBrt(date);
     return new Date(start.getTime() + n * 24 * 60 * 60 * 1000);
@@ -34,12 +40,6 @@ class RechargeValidator {
         this.recharges = [];
         this.validatedEntries = [];
         this.lastFetchTime = null;
-
-        // No-draw holidays (extend as needed)
-        this.noDrawHolidays = [
-            '12-25', // Dec 25
-            '01-01'  // Jan 1
-        ];
     }
 
     async fetchRechargeData() {
@@ -58,24 +58,13 @@ class RechargeValidator {
 
     // ---------- Draw / cutoff helpers (BRT, merged windows) ----------
 
+    // No-draw days and draw hours come from DrawCalendar (draw-calendar-data.js)
     isNoDrawDay(dateObj) {
-        const f = brtFields(dateObj);
-        if (f.weekday === 0) return true; // Sunday
-        const m = String(f.month + 1).padStart(2, '0');
-        const d = String(f.day).padStart(2, '0');
-        const key = `${m}-${d}`;
-        if (this.noDrawHolidays.includes(key)) return true;
-        return false;
+        return DrawCalendar.isNoDrawDay(brtDateKey(dateObj));
     }
 
     getCutoffTime(dateObj) {
-        const f = brtFields(dateObj);
-        const m = f.month + 1;
-        const d = f.day;
-        if ((m === 12 && d === 24) || (m === 12 && d === 31)) {
-            return { hour: 16, minute: 0, second: 0 };
-        }
-        return { hour: 20, minute: 0, second: 0 };
+        return { hour: DrawCalendar.getDrawHour(brtDateKey(dateObj)), minute: 0, second: 0 };
     }
 
     buildCutoffDateTime(dateObj) {
@@ -143,12 +132,10 @@ class RechargeValidator {
 
     // ---------- CSV parsing ----------
     parseRechargeCSV(csvText, platform) {
-        const lines = csvText.split('\n');
+        const rows = CsvParser.parse(csvText, { delimiter: ',' });
         const recharges = [];
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            const values = this.parseCSVLine(line);
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
             if (values.length < 6) continue;
 
             const dateStr = values[0].trim();
@@ -182,25 +169,6 @@ class RechargeValidator {
         return recharges;
     }
 
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        return values;
-    }
-
     // --------- build Date in BRT wall time, avoid double offsets ---------
     parseBrazilTime(timeString) {
         try {
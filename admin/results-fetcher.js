@@ -18,12 +18,12 @@ class ResultsFetcher {
     }
 
     parseCSV(csvText) {
-        const lines = csvText.split('\n').filter(Boolean);
+        const rows = CsvParser.parse(csvText, { delimiter: ',' });
         const parsed = [];
 
         // Skip header
-        for (let i = 1; i < lines.length; i++) {
-            const row = this.parseCSVLine(lines[i]);
+        for (let i = 1; i < rows.length; i++) {
+            const row = rows[i];
             if (row.length < 6) continue;
 
             const contestRaw = row[0].trim();
@@ -49,25 +49,6 @@ class ResultsFetcher {
         return parsed;
     }
 
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const ch = line[i];
-            if (ch === '"') {
-                inQuotes = !inQuotes;
-            } else if (ch === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += ch;
-            }
-        }
-        values.push(current.trim());
-        return values;
-    }
 
     getAllResults() {
         return this.results;
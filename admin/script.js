@@ -509,7 +509,7 @@ function validateAndDisplayWinners() {
     const allEntries = dataFetcher.getAllEntries();
     const results = validator.getAllResults();
     if (results.length === 0) { 
-        setText('sum5',0);setText('sum4',0);setText('sum3',0);setText('sum2',0);setText('sum1',0);setText('sumTotal',0); 
+        setText('sum5',0);setText('sum4',0);setText('sum3',0);setText('sumTotal',0); 
         return; 
     }
     
@@ -519,35 +519,12 @@ function validateAndDisplayWinners() {
         .map(e => ({ ...e, status: 'VALID' }));  // Copy csvStatus to status for validator
     console.log('🏆 Winner calc: Total entries:', allEntries.length, 'Valid entries:', validEntries.length);
     
-    // Get winners from VALID entries only
+    // Get winners from VALID entries only (prizes per platform pool come from WinnerEngine)
     winnersState.allWinners = validator.getWinners(validEntries);
     
-    // Calculate prizes: R$1000 per platform per tier
-    calculateWinnerPrizes(winnersState.allWinners);
-    
     applyWinnersFilters();
 }
 
-function calculateWinnerPrizes(winners) {
-    // Group by platform and matches (tier)
-    const groups = {};
-    winners.forEach(w => {
-        const key = `${w.platform}_${w.validation.matches}`;
-        if (!groups[key]) groups[key] = [];
-        groups[key].push(w);
-    });
-    
-    // Assign prizes: R$1000 / count per group
-    Object.keys(groups).forEach(key => {
-        const count = groups[key].length;
-        const prizePerWinner = 1000 / count;
-        groups[key].forEach(w => {
-            w.prize = prizePerWinner;
-        });
-    });
-    
-    console.log('💰 Prize groups:', Object.keys(groups).map(k => `${k}: ${groups[k].length} winners, R$${(1000/groups[k].length).toFixed(2)} each`));
-}
 function applyWinnersFilters() {
     const c = document.getElementById('winnersFilterContest')?.value || '', d = document.getElementById('winnersFilterDrawDate')?.value || '', pt = document.getElementById('filterPrizeTier')?.value || '', w = document.getElementById('winnersFilterWhatsApp')?.value.toLowerCase() || '';
     winnersState.filteredWinners = winnersState.allWinners.filter(win => { if(c && win.contest!==c) return false; if(d && win.drawDate!==normalizeDate(d)) return false; if(pt && win.validation.matches!==parseInt(pt,10)) return false; if(w && !win.whatsapp.toLowerCase().includes(w)) return false; return true; });
@@ -563,7 +540,7 @@ function displayWinnersList() {
         row.innerHTML = `<td><span class="badge ${pbc}">${pe} ${v.prizeTier.tier}</span></td><td><strong style="font-size:20px;color:#1e3c72;">${v.matches}</strong></td><td>${win.registrationDate}<br><small style="color:#666;">${win.registrationTime}</small></td><td>${win.gameId}</td><td><strong>${win.whatsapp}</strong></td><td style="font-size:14px;">${ch}</td><td style="font-size:14px;"><strong>${v.winningNumbers.join(', ')} </strong></td><td style="font-size:14px;">${ma}</td><td>${formatDrawDisplay(win.displayDrawDate || win.drawDate)}</td><td><span class="badge badge-primary">${win.contest}</span></td><td>${win.ticketNumber}<br><small>R$ ${win.prize?win.prize.toFixed(2):'0.00'}</small></td>`;
     });
 }
-function updateWinnersSummary(l) { const c = {1:0,2:0,3:0,4:0,5:0}; l.forEach(w => c[w.validation.matches]++); setText('sum5',c[5]); setText('sum4',c[4]); setText('sum3',c[3]); setText('sum2',c[2]); setText('sum1',c[1]); setText('sumTotal',l.length); }
+function updateWinnersSummary(l) { const c = {3:0,4:0,5:0}; l.forEach(w => c[w.validation.matches]++); setText('sum5',c[5]); setText('sum4',c[4]); setText('sum3',c[3]); setText('sumTotal',l.length); }
 function renderTicketCreatorsComparison() {
     const e = dataFetcher.getAllEntries(), b = {}; e.forEach(en => { const k = dateKeyFromString(en.registrationDateTime); if(k){ if(!b[k]) b[k]=new Set(); b[k].add(en.gameId); } });
     const tISO = new Date().toISOString().slice(0,10), yISO = new Date(Date.now()-86400000).toISOString().slice(0,10), tc = b[tISO]?b[tISO].size:0, yc = b[yISO]?b[yISO].size:0, mc = Math.max(tc,yc,1);
@@ -28,23 +28,15 @@ class LotteryValidator {
     }
 
     matchNumbers(chosenNumbers, winningNumbers) {
-        let matches = 0;
-        const matchedNumbers = [];
-        chosenNumbers.forEach(num => {
-            if (winningNumbers.includes(num)) {
-                matches++;
-                matchedNumbers.push(num);
-            }
-        });
-        return { count: matches, matchedNumbers };
+        return WinnerEngine.countMatches(chosenNumbers, winningNumbers);
     }
 
+    // Display style for the shared tiers (see prize-rules.js for which ones pay)
     getPrizeTier(matchCount) {
         switch(matchCount) {
             case 5: return { tier: 'GRAND PRIZE', color: 'gold', priority: 1, badge: 'badge-gold' };
             case 4: return { tier: '2nd PRIZE', color: 'silver', priority: 2, badge: 'badge-silver' };
             case 3: return { tier: '3rd PRIZE', color: '#CD7F32', priority: 3, badge: 'badge-bronze' };
-            case 2: return { tier: 'CONSOLATION', color: 'green', priority: 4, badge: 'badge-green' };
             default: return { tier: 'NO PRIZE', color: 'gray', priority: 5, badge: '' };
         }
     }
@@ -99,16 +91,6 @@ class LotteryValidator {
         };
     }
 
-    getWinningLevel(entries) {
-        let highest = 0;
-        entries.forEach(e => {
-            if (e.validation && e.validation.validated) {
-                highest = Math.max(highest, e.validation.matches);
-            }
-        });
-        return highest;
-    }
-
     getWinners(entries) {
         // Only consider tickets whose status is allowed-valid.
         const eligible = entries.filter(e => {
@@ -120,18 +102,24 @@ class LotteryValidator {
         eligible.forEach(entry => {
             const key = `${entry.contest}_${entry.drawDate}`;
             if (!grouped[key]) grouped[key] = [];
-            const validation = this.validateEntry(entry);
-            grouped[key].push({ ...entry, validation });
+            grouped[key].push(entry);
         });
 
+        // Tiers, cascade and prize split come from the shared engine and the contest's rule version
         const winners = [];
         Object.values(grouped).forEach(group => {
-            const winningLevel = this.getWinningLevel(group);
-            if (winningLevel === 0) return;
-            const levelWinners = group.filter(e => e.validation.validated && e.validation.matches === winningLevel);
-            const prizePerWinner = levelWinners.length > 0 ? 1000 / levelWinners.length : 0;
-            levelWinners.forEach(w => {
-                winners.push({ ...w, prize: prizePerWinner, winningLevel });
+            const result = this.getContestResult(group[0].contest, group[0].drawDate);
+            if (!result) return;
+            const calculation = WinnerEngine.calculateContest(group, result.winningNumbers, {
+                contest: result.contest,
+                drawDate: result.drawDate
+            });
+            calculation.winners.forEach(w => {
+                winners.push({
+                    ...w,
+                    validation: this.validateEntry(w),
+                    winningLevel: w.matches
+                });
             });
         });
 
@@ -152,7 +140,6 @@ class LotteryValidator {
             grandPrize: winners.filter(w => w.validation.matches === 5),
             secondPrize: winners.filter(w => w.validation.matches === 4),
             thirdPrize: winners.filter(w => w.validation.matches === 3),
-            consolation: winners.filter(w => w.validation.matches === 2),
             totalWinners: winners.length
         };
     }
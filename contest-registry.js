@@ -0,0 +1,257 @@
+/**
+ * POP-SORTE Contest Registry
+ * Maps draw dates to Quina contest numbers using published results as anchors
+ *
+ * Features:
+ * - Dates present in the results sheet are confirmed as-is
+ * - Later dates are projected forward from the latest confirmed contest
+ *   (so a holiday the calendar missed only affects days after the last result)
+ * - Calendar drift detection between consecutive confirmed results
+ * - Ticket check: flags tickets whose concurso disagrees with the registry
+ *
+ * Used by: pop-sorte.js (calculateConcurso), homina/js/unified-page.js (admin warning)
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar)
+ */
+
+window.ContestRegistry = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Fallback anchor used only until results are loaded
+     */
+    const REFERENCE = { contest: 6903, dateKey: '2025-12-15' };
+
+    const Source = {
+        CONFIRMED: 'confirmed',
+        PROJECTED: 'projected',
+        REFERENCE: 'reference'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let byDate = new Map();     // dateKey -> contest
+    let byContest = new Map();  // contest -> dateKey
+    let anchorKeys = [];        // sorted ascending
+    let latest = null;          // { contest, dateKey }
+    let drift = [];
+
+    // ============================================
+    // Loading
+    // ============================================
+
+    /**
+     * Load confirmed contests from results
+     * Accepts ResultsFetcher results ({ contest, drawDate: 'DD/MM/YYYY', isNoDraw })
+     * and PopDataSource results ({ contest, dateISO, isNoDraw })
+     * @param {Object[]} results - Result objects in any order
+     * @returns {number} Number of confirmed contests
+     */
+    function setConfirmed(results) {
+        byDate = new Map();
+        byContest = new Map();
+
+        (results || []).forEach(r => {
+            if (!r || r.isNoDraw) return;
+            const contest = parseInt(r.contest, 10);
+            const dateKey = DrawCalendar.toDateKey(r.dateISO || r.drawDate);
+            if (isNaN(contest) || !dateKey) return;
+            byDate.set(dateKey, contest);
+            byContest.set(contest, dateKey);
+        });
+
+        anchorKeys = [...byDate.keys()].sort();
+        const lastKey = anchorKeys[anchorKeys.length - 1];
+        latest = lastKey ? { contest: byDate.get(lastKey), dateKey: lastKey } : null;
+        drift = detectDrift();
+
+        if (drift.length > 0) {
+            console.warn('ContestRegistry: draw calendar disagrees with published results', drift);
+        }
+        return byDate.size;
+    }
+
+    /**
+     * Compare each confirmed contest with the projection from the previous one
+     * @returns {Object[]} Drift records
+     */
+    function detectDrift() {
+        const records = [];
+        for (let i = 1; i < anchorKeys.length; i++) {
+            const prevKey = anchorKeys[i - 1];
+            const key = anchorKeys[i];
+            const expected = byDate.get(prevKey) + DrawCalendar.countDrawDaysBetween(prevKey, key);
+            const actual = byDate.get(key);
+            if (expected !== actual) {
+                records.push({ dateKey: key, fromDateKey: prevKey, expected, actual });
+            }
+        }
+        return records;
+    }
+
+    // ============================================
+    // Lookups
+    // ============================================
+
+    /**
+     * Latest confirmed anchor on or before a date key
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string|null} Anchor date key
+     */
+    function findAnchorBefore(dateKey) {
+        let lo = 0;
+        let hi = anchorKeys.length - 1;
+        let found = null;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (anchorKeys[mid] <= dateKey) {
+                found = anchorKeys[mid];
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Contest number for a draw date
+     * @param {Date|string} date - Date or YYYY-MM-DD / DD/MM/YYYY
+     * @returns {Object|null} { contest, dateKey, source } or null when there is no draw that day
+     */
+    function getContestForDate(date) {
+        const dateKey = DrawCalendar.toDateKey(date);
+        if (!dateKey) return null;
+
+        if (byDate.has(dateKey)) {
+            return { contest: byDate.get(dateKey), dateKey, source: Source.CONFIRMED };
+        }
+        if (!DrawCalendar.isDrawDay(dateKey)) return null;
+
+        const anchorKey = findAnchorBefore(dateKey);
+        if (anchorKey) {
+            return {
+                contest: byDate.get(anchorKey) + DrawCalendar.countDrawDaysBetween(anchorKey, dateKey),
+                dateKey,
+                source: Source.PROJECTED
+            };
+        }
+
+        // Before the first published result (or none loaded yet)
+        return {
+            contest: REFERENCE.contest + DrawCalendar.countDrawDaysBetween(REFERENCE.dateKey, dateKey),
+            dateKey,
+            source: Source.REFERENCE
+        };
+    }
+
+    /**
+     * Draw date for a contest number
+     * @param {number|string} contest - Contest number
+     * @returns {string|null} Date key
+     */
+    function getDateForContest(contest) {
+        const number = parseInt(contest, 10);
+        if (isNaN(number)) return null;
+        if (byContest.has(number)) return byContest.get(number);
+        if (!latest || number < latest.contest) return null;
+
+        let dateKey = latest.dateKey;
+        for (let n = latest.contest; n < number; n++) {
+            dateKey = DrawCalendar.getNextDrawDateKey(DrawCalendar.addDays(dateKey, 1));
+        }
+        return dateKey;
+    }
+
+    // ============================================
+    // Ticket checks
+    // ============================================
+
+    /**
+     * Check a ticket's concurso against the registry
+     * @param {Object} ticket - Entry with contest and drawDate
+     * @returns {Object|null} Mismatch or null when consistent / not checkable
+     */
+    function checkTicket(ticket) {
+        if (!ticket || !ticket.drawDate) return null;
+        if (!DrawCalendar.toDateKey(ticket.drawDate)) return null;
+        const ticketContest = parseInt(ticket.contest, 10);
+        const expected = getContestForDate(ticket.drawDate);
+
+        if (!expected) {
+            return {
+                ticketNumber: ticket.ticketNumber,
+                gameId: ticket.gameId,
+                platform: ticket.platform,
+                drawDate: ticket.drawDate,
+                ticketContest: isNaN(ticketContest) ? null : ticketContest,
+                expectedContest: null,
+                source: null,
+                reason: 'NO_DRAW_ON_DATE'
+            };
+        }
+
+        if (ticketContest === expected.contest) return null;
+
+        return {
+            ticketNumber: ticket.ticketNumber,
+            gameId: ticket.gameId,
+            platform: ticket.platform,
+            drawDate: ticket.drawDate,
+            ticketContest: isNaN(ticketContest) ? null : ticketContest,
+            expectedContest: expected.contest,
+            source: expected.source,
+            reason: 'CONTEST_MISMATCH'
+        };
+    }
+
+    /**
+     * Check many tickets
+     * @param {Object[]} entries - Entries
+     * @returns {Object[]} Mismatches
+     */
+    function findMismatches(entries) {
+        const mismatches = [];
+        (entries || []).forEach(entry => {
+            const mismatch = checkTicket(entry);
+            if (mismatch) mismatches.push(mismatch);
+        });
+        return mismatches;
+    }
+
+    /**
+     * @returns {Object|null} Latest confirmed { contest, dateKey }
+     */
+    function getLatestConfirmed() {
+        return latest ? { ...latest } : null;
+    }
+
+    /**
+     * @returns {Object[]} Calendar drift records from the last load
+     */
+    function getDrift() {
+        return drift.slice();
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        setConfirmed,
+        getContestForDate,
+        getDateForContest,
+        getLatestConfirmed,
+        getDrift,
+        checkTicket,
+        findMismatches,
+
+        // Constants
+        Source,
+        REFERENCE
+    };
+})();
@@ -0,0 +1,290 @@
+/**
+ * POP-SORTE CSV Parser
+ * One RFC 4180 parser for every sheet the site and the admin read
+ *
+ * Features:
+ * - Quoted fields with embedded delimiters, newlines and escaped quotes ("")
+ * - UTF-8 BOM and CRLF / LF / CR line endings
+ * - Delimiter sniffing (',', ';', tab, '|') from the first record, outside quotes
+ * - Streaming: text can be pushed in chunks of any size and rows are emitted
+ *   as soon as they are complete (a chunk may end mid-field or mid-quote)
+ * - parseAsync() yields to the event loop between slices so large sheets
+ *   do not block the UI
+ *
+ * Lenient like the sheets it reads: a quote inside an unquoted field is kept as
+ * text, and text after a closing quote is appended to the field.
+ *
+ * Used by: data-source.js, admin/*.js, homina/js/*.js
+ *
+ * Dependencies: none
+ */
+
+window.CsvParser = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const DELIMITERS = [',', ';', '\t', '|'];
+    const BOM = '\uFEFF';
+    const QUOTE = '"';
+
+    /**
+     * Characters parsed between two yields of parseAsync()
+     */
+    const DEFAULT_SLICE_SIZE = 64 * 1024;
+
+    const DEFAULT_OPTIONS = {
+        delimiter: null,        // null: sniff from the first record
+        trim: true,             // trim every field (quoted fields too, like the old line parsers)
+        skipEmptyLines: true    // drop lines with no characters at all
+    };
+
+    // ============================================
+    // Delimiter sniffing
+    // ============================================
+
+    /**
+     * Most frequent delimiter in the first record, counted outside quotes
+     * @param {string} sample - Beginning of the CSV text
+     * @returns {string} Delimiter (',' when none is found)
+     */
+    function sniffDelimiter(sample) {
+        const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+        let inQuotes = false;
+
+        for (let i = 0; i < sample.length; i++) {
+            const ch = sample[i];
+            if (ch === QUOTE) inQuotes = !inQuotes;
+            else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+            else if (!inQuotes && ch in counts) counts[ch]++;
+        }
+
+        return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+    }
+
+    /**
+     * Whether a sample holds the whole first record (a line break outside quotes)
+     * @param {string} sample - Beginning of the CSV text
+     * @returns {boolean} True when the delimiter can be sniffed
+     */
+    function hasFirstRecord(sample) {
+        let inQuotes = false;
+        for (let i = 0; i < sample.length; i++) {
+            const ch = sample[i];
+            if (ch === QUOTE) inQuotes = !inQuotes;
+            else if (!inQuotes && (ch === '\n' || ch === '\r')) return true;
+        }
+        return false;
+    }
+
+    // ============================================
+    // Streaming parser
+    // ============================================
+
+    /**
+     * Create a streaming parser
+     * @param {Object} options - { delimiter, trim, skipEmptyLines, onRow(row, index) }
+     * @returns {Object} { push(chunk), end(), getDelimiter() } - push() and end() return the rows they completed
+     */
+    function createParser(options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        let delimiter = opts.delimiter;
+
+        // Text held back until the delimiter is known
+        let pending = '';
+        let started = false;
+
+        // Field state, kept across chunks
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quoteClosed = false;    // just after a closing quote (or the first of "")
+        let fieldQuoted = false;
+        let lineHasText = false;
+        let skipLineFeed = false;   // a CR ended the last record; a following LF belongs to it
+        let rowIndex = 0;
+
+        function endField() {
+            row.push(opts.trim ? field.trim() : field);
+            field = '';
+            fieldQuoted = false;
+            quoteClosed = false;
+        }
+
+        function endRecord(out) {
+            endField();
+            const isEmpty = !lineHasText;
+            const completed = row;
+            row = [];
+            lineHasText = false;
+            if (isEmpty && opts.skipEmptyLines) return;
+
+            out.push(completed);
+            if (opts.onRow) opts.onRow(completed, rowIndex);
+            rowIndex++;
+        }
+
+        function consume(text, out) {
+            for (let i = 0; i < text.length; i++) {
+                const ch = text[i];
+
+                if (skipLineFeed) {
+                    skipLineFeed = false;
+                    if (ch === '\n') continue;
+                }
+
+                if (inQuotes) {
+                    if (ch === QUOTE) {
+                        inQuotes = false;
+                        quoteClosed = true;
+                    } else {
+                        field += ch;
+                    }
+                    continue;
+                }
+
+                if (ch === QUOTE) {
+                    if (quoteClosed) {
+                        // "" inside a quoted field: an escaped quote
+                        field += QUOTE;
+                        inQuotes = true;
+                        quoteClosed = false;
+                    } else if (!fieldQuoted && field.trim() === '') {
+                        field = '';
+                        inQuotes = true;
+                        fieldQuoted = true;
+                    } else {
+                        field += ch;
+                    }
+                    lineHasText = true;
+                } else if (ch === delimiter) {
+                    endField();
+                    lineHasText = true;
+                } else if (ch === '\n' || ch === '\r') {
+                    endRecord(out);
+                    skipLineFeed = ch === '\r';
+                } else {
+                    field += ch;
+                    quoteClosed = false;
+                    lineHasText = true;
+                }
+            }
+        }
+
+        function start(text, out, final) {
+            if (!started) {
+                pending += text;
+                if (pending.startsWith(BOM)) pending = pending.slice(1);
+                if (!delimiter) {
+                    if (!final && !hasFirstRecord(pending)) return;
+                    delimiter = sniffDelimiter(pending);
+                }
+                started = true;
+                text = pending;
+                pending = '';
+            }
+            consume(text, out);
+        }
+
+        /**
+         * @param {string} chunk - Next piece of the CSV text
+         * @returns {string[][]} Rows completed by this chunk
+         */
+        function push(chunk) {
+            const out = [];
+            start(String(chunk || ''), out, false);
+            return out;
+        }
+
+        /**
+         * Flush the last record (a file without a trailing newline)
+         * @returns {string[][]} Rows completed
+         */
+        function end() {
+            const out = [];
+            start('', out, true);
+            if (field !== '' || row.length > 0 || lineHasText || inQuotes) {
+                inQuotes = false;
+                endRecord(out);
+            }
+            return out;
+        }
+
+        return {
+            push,
+            end,
+            getDelimiter: () => delimiter
+        };
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Parse a whole CSV text
+     * @param {string} text - CSV text
+     * @param {Object} options - See createParser
+     * @returns {string[][]} Rows, header included
+     */
+    function parse(text, options = {}) {
+        const parser = createParser(options);
+        return parser.push(text).concat(parser.end());
+    }
+
+    /**
+     * Parse a CSV text in slices, yielding to the event loop between them
+     * @param {string} text - CSV text
+     * @param {Object} options - See createParser, plus sliceSize and onProgress(parsedChars, totalChars)
+     * @returns {Promise<string[][]>} Rows, header included
+     */
+    async function parseAsync(text, options = {}) {
+        const source = String(text || '');
+        const sliceSize = options.sliceSize || DEFAULT_SLICE_SIZE;
+        const parser = createParser(options);
+        const rows = [];
+
+        for (let at = 0; at < source.length; at += sliceSize) {
+            parser.push(source.slice(at, at + sliceSize)).forEach(row => rows.push(row));
+            if (options.onProgress) options.onProgress(Math.min(at + sliceSize, source.length), source.length);
+            if (at + sliceSize < source.length) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        parser.end().forEach(row => rows.push(row));
+        return rows;
+    }
+
+    /**
+     * Parse a CSV text into objects keyed by the header row
+     * @param {string} text - CSV text
+     * @param {Object} options - See createParser
+     * @returns {Object[]} One object per data row (missing cells are '')
+     */
+    function parseObjects(text, options = {}) {
+        const [headers, ...rows] = parse(text, options);
+        if (!headers) return [];
+        return rows.map(values => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = values[index] || '';
+            });
+            return record;
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        createParser,
+        parse,
+        parseAsync,
+        parseObjects,
+        sniffDelimiter,
+
+        // Constants
+        DELIMITERS
+    };
+})();
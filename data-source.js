@@ -0,0 +1,417 @@
+/**
+ * POP-SORTE Public Data Source
+ * Single place where the public pages read entries and results
+ *
+ * Features:
+ * - One configurable source: Google Sheets (default), Worker API or local CSV/JSON files
+ * - In-flight request deduplication (concurrent callers share one fetch)
+ * - TTL cache per dataset
+ * - Normalized entry/result objects so callers never touch column indexes
+ *
+ * Configuration (first match wins):
+ * - PopDataSource.configure({ mode: 'local' }) at runtime
+ * - window.POPSORTE_DATA_SOURCE = { mode, ttl, datasets } set before this script
+ * - ?ds=sheet|worker|local in the page URL (staging / offline testing)
+ *
+ * Dependencies: csv-parser.js (CsvParser); load before pop-sorte.js
+ */
+
+window.PopDataSource = (function() {
+    'use strict';
+
+    // ============================================
+    // Source presets
+    // ============================================
+    const SHEET_BASE = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv';
+    const WORKER_BASE = 'https://popsorte-api.danilla-vargas1923.workers.dev';
+
+    // Column specs: a number is a single column, [from, to] joins an inclusive
+    // range (used when unquoted values spill across columns in local exports)
+    const SHEET_ENTRY_COLUMNS = {
+        timestamp: 0, platform: 1, gameId: 2, whatsapp: 3, numbers: 4,
+        drawDate: 5, contest: 6, ticketNumber: 7, status: 8
+    };
+    const SHEET_RESULT_COLUMNS = { contest: 0, drawDate: 1, numbers: [2, 6] };
+
+    const SOURCES = {
+        sheet: {
+            entries: { url: `${SHEET_BASE}&gid=0`, format: 'csv', columns: SHEET_ENTRY_COLUMNS, minColumns: 9 },
+            results: { url: `${SHEET_BASE}&gid=300277644`, format: 'csv', columns: SHEET_RESULT_COLUMNS, minColumns: 7 }
+        },
+        worker: {
+            entries: { url: `${WORKER_BASE}/api/public/entries`, format: 'auto', columns: SHEET_ENTRY_COLUMNS, minColumns: 9 },
+            results: { url: `${WORKER_BASE}/api/public/results`, format: 'auto', columns: SHEET_RESULT_COLUMNS, minColumns: 7 }
+        },
+        local: {
+            // admin/data/*.csv exports (see admin/README-CSV.md)
+            entries: {
+                url: 'admin/data/entries.csv',
+                format: 'csv',
+                columns: {
+                    timestamp: 0, platform: 4, gameId: 5, whatsapp: 6, numbers: [7, 11],
+                    drawDate: [12, 13], contest: 14, ticketNumber: 15, status: 16
+                },
+                minColumns: 17
+            },
+            results: {
+                url: 'admin/data/results.csv',
+                format: 'csv',
+                columns: { contest: 0, drawDate: [1, 2], numbers: [3, 7] },
+                minColumns: 4
+            }
+        }
+    };
+
+    const DEFAULT_MODE = 'sheet';
+    const DEFAULT_TTL = 25 * 1000; // just under the 30s polling of the widgets
+
+    const MONTHS = {
+        jan: 1, feb: 2, fev: 2, mar: 3, apr: 4, abr: 4, may: 5, mai: 5, jun: 6,
+        jul: 7, aug: 8, ago: 8, sep: 9, set: 9, oct: 10, out: 10, nov: 11, dec: 12, dez: 12
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let config = null;
+    const cache = {};    // dataset -> { data, fetchedAt }
+    const inFlight = {}; // dataset -> Promise
+
+    // ============================================
+    // Configuration
+    // ============================================
+
+    /**
+     * Resolve initial configuration from page globals and URL
+     * @returns {Object} Config
+     */
+    function resolveInitialConfig() {
+        const pageConfig = (typeof window.POPSORTE_DATA_SOURCE === 'object' && window.POPSORTE_DATA_SOURCE) || {};
+        let urlMode = null;
+        try {
+            urlMode = new URLSearchParams(window.location.search).get('ds');
+        } catch (e) {
+            urlMode = null;
+        }
+        return buildConfig({ ...pageConfig, mode: pageConfig.mode || urlMode || DEFAULT_MODE });
+    }
+
+    /**
+     * Merge user options over the chosen preset
+     * @param {Object} options - { mode, ttl, datasets }
+     * @returns {Object} Config
+     */
+    function buildConfig(options) {
+        const mode = SOURCES[options.mode] ? options.mode : DEFAULT_MODE;
+        if (options.mode && options.mode !== mode) {
+            console.warn(`PopDataSource: unknown mode "${options.mode}", using "${mode}"`);
+        }
+
+        const datasets = {};
+        Object.keys(SOURCES[mode]).forEach(name => {
+            datasets[name] = { ...SOURCES[mode][name], ...((options.datasets || {})[name] || {}) };
+        });
+
+        return {
+            mode,
+            ttl: typeof options.ttl === 'number' ? options.ttl : DEFAULT_TTL,
+            datasets
+        };
+    }
+
+    /**
+     * Point the data source somewhere else and drop cached data
+     * @param {Object} options - { mode, ttl, datasets: { entries: { url, format, columns } } }
+     * @returns {Object} Active config
+     */
+    function configure(options = {}) {
+        config = buildConfig({ mode: getConfig().mode, ...options });
+        clearCache();
+        return config;
+    }
+
+    /**
+     * Get active config
+     * @returns {Object} Config
+     */
+    function getConfig() {
+        if (!config) config = resolveInitialConfig();
+        return config;
+    }
+
+    // ============================================
+    // CSV parsing
+    // ============================================
+
+    /**
+     * Split CSV text into rows (header excluded; see csv-parser.js)
+     * @param {string} text - Raw CSV
+     * @returns {string[][]} Rows
+     */
+    function parseCSVRows(text) {
+        return CsvParser.parse(text).slice(1);
+    }
+
+    // ============================================
+    // Value helpers
+    // ============================================
+
+    /**
+     * Read a column spec from a row
+     * @param {string[]} row - CSV row
+     * @param {number|number[]} spec - Index or inclusive [from, to] range
+     * @returns {string} Value
+     */
+    function pick(row, spec) {
+        if (Array.isArray(spec)) {
+            return row.slice(spec[0], spec[1] + 1).filter(v => v !== '').join(', ');
+        }
+        return typeof spec === 'number' ? (row[spec] || '') : '';
+    }
+
+    /**
+     * Parse numbers from "01, 02, 03" style strings or arrays
+     * @param {string|number[]} value - Raw numbers
+     * @returns {number[]} Numbers
+     */
+    function parseNumbers(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[,;|\t\s]+/);
+        return list.map(n => parseInt(String(n).trim(), 10)).filter(n => !isNaN(n));
+    }
+
+    /**
+     * Parse "DD/MM/YYYY HH:MM:SS" (BRT) to Date
+     * @param {string} str - Date time string
+     * @returns {Date|null} Parsed date
+     */
+    function parseBrDateTime(str) {
+        if (!str) return null;
+        try {
+            const [datePart, timePart = '00:00:00'] = str.trim().split(' ');
+            const [d, m, y] = datePart.split(/[\/-]/).map(Number);
+            const [hh = 0, mm = 0, ss = 0] = timePart.split(':').map(Number);
+            if (!d || !m || !y) return null;
+            return new Date(Date.UTC(y, m - 1, d, hh + 3, mm, ss));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Normalize a draw date to YYYY-MM-DD
+     * Accepts DD/MM/YYYY, YYYY-MM-DD and "Fri, 12 Dec 2025"
+     * @param {string} str - Raw draw date
+     * @returns {string|null} ISO date
+     */
+    function toISODate(str) {
+        const value = String(str || '').trim();
+        let m = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+
+        m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+
+        m = value.match(/(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})/);
+        if (m && MONTHS[m[2].toLowerCase()]) {
+            return `${m[3]}-${String(MONTHS[m[2].toLowerCase()]).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+        }
+        return null;
+    }
+
+    // ============================================
+    // Normalizers
+    // ============================================
+
+    /**
+     * Build an entry object from a CSV row or JSON object
+     * @param {string[]|Object} raw - Row or object
+     * @param {Object} columns - Column specs
+     * @returns {Object} Entry
+     */
+    function normalizeEntry(raw, columns) {
+        const get = Array.isArray(raw)
+            ? key => pick(raw, columns[key])
+            : key => (raw[key] === undefined || raw[key] === null ? '' : raw[key]);
+
+        const timestamp = String(get('timestamp')).trim();
+        const drawDate = String(get('drawDate')).trim();
+
+        return {
+            timestamp,
+            parsedDate: parseBrDateTime(timestamp),
+            platform: (String(get('platform')).trim() || 'POPN1').toUpperCase(),
+            gameId: String(get('gameId')).trim(),
+            whatsapp: String(get('whatsapp')).trim(),
+            numbers: parseNumbers(get('numbers')),
+            drawDate,
+            drawDateISO: toISODate(drawDate),
+            contest: String(get('contest')).trim(),
+            ticketNumber: String(get('ticketNumber')).trim(),
+            status: String(get('status')).trim() || 'PENDING'
+        };
+    }
+
+    /**
+     * Build a result object from a CSV row or JSON object
+     * @param {string[]|Object} raw - Row or object
+     * @param {Object} columns - Column specs
+     * @returns {Object} Result
+     */
+    function normalizeResult(raw, columns) {
+        const isRow = Array.isArray(raw);
+        const contest = String(isRow ? pick(raw, columns.contest) : (raw.contest || '')).trim();
+        const drawDate = String(isRow ? pick(raw, columns.drawDate) : (raw.drawDate || raw.date || '')).trim();
+        const numbers = isRow
+            ? pick(raw, columns.numbers).split(',').map(v => parseInt(v, 10)).filter(n => !isNaN(n))
+            : parseNumbers(raw.numbers);
+        const text = isRow ? raw.join(' ') : JSON.stringify(raw);
+
+        return {
+            contest,
+            drawDate,
+            dateISO: toISODate(drawDate),
+            numbers,
+            isNoDraw: /no draw/i.test(text) || numbers.length !== 5 || !contest || !drawDate
+        };
+    }
+
+    // ============================================
+    // Fetching
+    // ============================================
+
+    /**
+     * Append a cache-busting parameter
+     * @param {string} url - Base URL
+     * @returns {string} URL
+     */
+    function bustCache(url) {
+        return `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`;
+    }
+
+    /**
+     * Download and decode one dataset
+     * @param {Object} dataset - Dataset config
+     * @returns {Promise<Array>} Raw rows or objects
+     */
+    async function download(dataset) {
+        const res = await fetch(bustCache(dataset.url), { cache: 'no-store', redirect: 'follow' });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        const text = await res.text();
+        const trimmed = text.trim();
+
+        // Google Sheets returns a login page when the sheet is not public
+        if (trimmed.startsWith('<!DOCTYPE') || trimmed.startsWith('<html')) {
+            throw new Error('Received HTML instead of data. Source may not be publicly accessible.');
+        }
+
+        let format = dataset.format || 'csv';
+        if (format === 'auto') {
+            const type = res.headers.get('content-type') || '';
+            format = type.includes('json') || trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv';
+        }
+
+        if (format === 'json') {
+            const json = JSON.parse(trimmed || '[]');
+            if (Array.isArray(json)) return json;
+            return json.entries || json.results || json.data || [];
+        }
+
+        return parseCSVRows(text).filter(row => row.length >= (dataset.minColumns || 1));
+    }
+
+    /**
+     * Load a dataset, sharing in-flight requests and honoring the TTL cache
+     * @param {string} name - 'entries' | 'results'
+     * @param {boolean} forceRefresh - Skip cache
+     * @returns {Promise<Array>} Normalized records
+     */
+    function load(name, forceRefresh = false) {
+        const cfg = getConfig();
+        const dataset = cfg.datasets[name];
+        if (!dataset) return Promise.reject(new Error(`Unknown dataset: ${name}`));
+
+        const cached = cache[name];
+        if (!forceRefresh && cached && Date.now() - cached.fetchedAt < cfg.ttl) {
+            return Promise.resolve(cached.data);
+        }
+
+        if (inFlight[name]) return inFlight[name];
+
+        const normalize = name === 'results' ? normalizeResult : normalizeEntry;
+        inFlight[name] = download(dataset)
+            .then(raw => {
+                const data = raw.map(item => normalize(item, dataset.columns || {}));
+                cache[name] = { data, fetchedAt: Date.now() };
+                return data;
+            })
+            .finally(() => {
+                delete inFlight[name];
+            });
+
+        return inFlight[name];
+    }
+
+    /**
+     * Get entries (sheet order)
+     * @param {boolean} forceRefresh - Skip cache
+     * @returns {Promise<Object[]>} Entries
+     */
+    function getEntries(forceRefresh = false) {
+        return load('entries', forceRefresh);
+    }
+
+    /**
+     * Get results (sheet order, "no draw" rows flagged with isNoDraw)
+     * @param {boolean} forceRefresh - Skip cache
+     * @returns {Promise<Object[]>} Results
+     */
+    function getResults(forceRefresh = false) {
+        return load('results', forceRefresh);
+    }
+
+    /**
+     * Get the most recent result that has a draw
+     * @param {boolean} forceRefresh - Skip cache
+     * @returns {Promise<Object|null>} Result
+     */
+    async function getLatestResult(forceRefresh = false) {
+        const results = await getResults(forceRefresh);
+        for (let i = results.length - 1; i >= 0; i--) {
+            if (!results[i].isNoDraw) return results[i];
+        }
+        return null;
+    }
+
+    /**
+     * Drop cached datasets
+     * @param {string} [name] - Dataset to clear (all when omitted)
+     */
+    function clearCache(name) {
+        if (name) {
+            delete cache[name];
+            return;
+        }
+        Object.keys(cache).forEach(key => delete cache[key]);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Config
+        configure,
+        getConfig,
+
+        // Data
+        getEntries,
+        getResults,
+        getLatestResult,
+        clearCache,
+
+        // Parsing helpers
+        parseBrDateTime,
+        parseNumbers,
+        toISODate
+    };
+})();
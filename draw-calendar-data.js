@@ -0,0 +1,53 @@
+/**
+ * POP-SORTE Draw Calendar Data
+ *
+ * Edit this file (not the code) when Caixa changes the Quina schedule.
+ * Loaded by the public pages, homina/ and admin/ before draw-calendar.js.
+ *
+ * Lookup order for a day: `dates` (exact YYYY-MM-DD) > `recurring` (MM-DD) > `noDrawWeekdays`.
+ * Entry fields:
+ * - noDraw: true        no draw that day (false forces a draw, e.g. a special on a Sunday)
+ * - drawHour: number    draw hour in BRT; registration closes at HH:00:00 minus 1s
+ * - special: string     name of a special draw (counted as a regular concurso)
+ * - label: string       shown in logs/admin
+ *
+ * Holidays: Caixa suspends draws on Natal and Ano Novo (fixed, `recurring`) and on
+ * Carnaval Monday/Tuesday and Sexta-feira Santa (movable, listed per year in
+ * `dates` from the Easter date). The other national holidays (Tiradentes,
+ * Trabalho, Independência, Aparecida, Finados, Proclamação, Consciência Negra)
+ * keep the normal schedule and are not listed.
+ */
+
+window.POPSORTE_DRAW_CALENDAR = {
+    version: 1,
+    defaultDrawHour: 20,
+
+    // 0 = Sunday
+    noDrawWeekdays: [0],
+
+    recurring: [
+        { date: '12-24', drawHour: 17, label: 'Véspera de Natal' },
+        { date: '12-25', noDraw: true, label: 'Natal' },
+        { date: '12-31', drawHour: 17, label: 'Véspera de Ano Novo' },
+        { date: '01-01', noDraw: true, label: 'Ano Novo' }
+    ],
+
+    // Movable holidays and one-off dates published by Caixa (confirm every year before adding)
+    dates: [
+        // 2025 (Páscoa 20/04)
+        { date: '2025-03-03', noDraw: true, label: 'Carnaval (segunda)' },
+        { date: '2025-03-04', noDraw: true, label: 'Carnaval (terça)' },
+        { date: '2025-04-18', noDraw: true, label: 'Sexta-feira Santa' },
+        { date: '2025-06-24', special: 'Quina de São João', drawHour: 20, label: 'Quina de São João' },
+
+        // 2026 (Páscoa 05/04)
+        { date: '2026-02-16', noDraw: true, label: 'Carnaval (segunda)' },
+        { date: '2026-02-17', noDraw: true, label: 'Carnaval (terça)' },
+        { date: '2026-04-03', noDraw: true, label: 'Sexta-feira Santa' },
+
+        // 2027 (Páscoa 28/03)
+        { date: '2027-02-08', noDraw: true, label: 'Carnaval (segunda)' },
+        { date: '2027-02-09', noDraw: true, label: 'Carnaval (terça)' },
+        { date: '2027-03-26', noDraw: true, label: 'Sexta-feira Santa' }
+    ]
+};
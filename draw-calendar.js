@@ -0,0 +1,306 @@
+/**
+ * POP-SORTE Draw Calendar
+ * Single source of truth for draw days, draw hours and registration cutoffs
+ *
+ * Features:
+ * - Reads window.POPSORTE_DRAW_CALENDAR (draw-calendar-data.js)
+ * - No-draw days, early draws, special draws and per-date draw hours
+ * - Works on BRT date keys (YYYY-MM-DD) so callers in any timezone agree
+ *
+ * Used by: pop-sorte.js (countdown, concurso, cutoff),
+ *          homina/js/recharge-validator.js, admin/recharge-validator.js
+ *
+ * Dependencies: draw-calendar-data.js (optional, falls back to built-in defaults)
+ */
+
+window.DrawCalendar = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const TIMEZONE = 'America/Sao_Paulo';
+    const MAX_LOOKAHEAD_DAYS = 60;
+
+    const MONTHS = {
+        jan: 1, feb: 2, fev: 2, mar: 3, apr: 4, abr: 4, may: 5, mai: 5, jun: 6,
+        jul: 7, aug: 8, ago: 8, sep: 9, set: 9, oct: 10, out: 10, nov: 11, dec: 12, dez: 12
+    };
+
+    const FALLBACK_DATA = {
+        defaultDrawHour: 20,
+        noDrawWeekdays: [0],
+        recurring: [
+            { date: '12-24', drawHour: 17 },
+            { date: '12-25', noDraw: true },
+            { date: '12-31', drawHour: 17 },
+            { date: '01-01', noDraw: true }
+        ],
+        dates: []
+    };
+
+    const dateKeyFormatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    });
+
+    // ============================================
+    // State
+    // ============================================
+    let data = null;
+    let recurringMap = {};
+    let datesMap = {};
+
+    /**
+     * Load calendar data and index it by date
+     * @param {Object} calendarData - Same shape as POPSORTE_DRAW_CALENDAR
+     */
+    function configure(calendarData) {
+        data = { ...FALLBACK_DATA, ...(calendarData || {}) };
+        recurringMap = {};
+        datesMap = {};
+        (data.recurring || []).forEach(entry => { recurringMap[entry.date] = entry; });
+        (data.dates || []).forEach(entry => { datesMap[entry.date] = entry; });
+    }
+
+    // ============================================
+    // Date keys
+    // ============================================
+
+    /**
+     * Convert a Date (instant) or string to a BRT YYYY-MM-DD key
+     * @param {Date|string} date - Date or YYYY-MM-DD / DD/MM/YYYY / "Fri, 02 Jan 2026" string
+     * @returns {string|null} Date key
+     */
+    function toDateKey(date) {
+        if (date instanceof Date) {
+            if (isNaN(date.getTime())) return null;
+            return dateKeyFormatter.format(date);
+        }
+        const value = String(date || '').trim();
+        let m = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+        m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+        // "Fri, 02 Jan 2026" (admin/data exports)
+        m = value.match(/(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})/);
+        if (m && MONTHS[m[2].toLowerCase()]) {
+            return `${m[3]}-${String(MONTHS[m[2].toLowerCase()]).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} Date key
+     */
+    function addDays(dateKey, days) {
+        const d = new Date(`${dateKey}T12:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split('T')[0];
+    }
+
+    /**
+     * Weekday of a date key (0 = Sunday)
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {number} Weekday
+     */
+    function weekdayOf(dateKey) {
+        return new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+    }
+
+    /**
+     * Midnight BRT of a date key as a Date
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {Date} Date
+     */
+    function toBrazilMidnight(dateKey) {
+        return new Date(`${dateKey}T00:00:00-03:00`);
+    }
+
+    // ============================================
+    // Day lookups
+    // ============================================
+
+    /**
+     * Resolve everything the calendar knows about a day
+     * @param {Date|string} date - Date or date key
+     * @returns {Object|null} { dateKey, isDrawDay, drawHour, special, label }
+     */
+    function getDayInfo(date) {
+        if (!data) configure(window.POPSORTE_DRAW_CALENDAR);
+
+        const dateKey = toDateKey(date);
+        if (!dateKey) return null;
+
+        const exact = datesMap[dateKey];
+        const recurring = recurringMap[dateKey.slice(5)];
+        const entry = exact || recurring || null;
+
+        let isDrawDay = !(data.noDrawWeekdays || []).includes(weekdayOf(dateKey));
+        if (recurring && typeof recurring.noDraw === 'boolean') isDrawDay = !recurring.noDraw;
+        if (exact && typeof exact.noDraw === 'boolean') isDrawDay = !exact.noDraw;
+        // A listed special draw happens even on a normally closed weekday
+        if (exact && exact.special && exact.noDraw !== true) isDrawDay = true;
+
+        const drawHour = (exact && typeof exact.drawHour === 'number')
+            ? exact.drawHour
+            : (recurring && typeof recurring.drawHour === 'number' ? recurring.drawHour : data.defaultDrawHour);
+
+        return {
+            dateKey,
+            isDrawDay,
+            drawHour,
+            isEarly: isDrawDay && drawHour < data.defaultDrawHour,
+            special: (exact && exact.special) || null,
+            label: (entry && (entry.label || entry.special)) || ''
+        };
+    }
+
+    /**
+     * @param {Date|string} date - Date or date key
+     * @returns {boolean} True if there is a draw that day
+     */
+    function isDrawDay(date) {
+        const info = getDayInfo(date);
+        return !!(info && info.isDrawDay);
+    }
+
+    /**
+     * @param {Date|string} date - Date or date key
+     * @returns {boolean} True if there is no draw that day (Sundays included)
+     */
+    function isNoDrawDay(date) {
+        return !isDrawDay(date);
+    }
+
+    /**
+     * @param {Date|string} date - Date or date key
+     * @returns {boolean} True if the draw happens before the default hour
+     */
+    function isEarlyDrawDay(date) {
+        const info = getDayInfo(date);
+        return !!(info && info.isEarly);
+    }
+
+    /**
+     * Draw hour (BRT). Registration for that draw closes at this hour.
+     * @param {Date|string} date - Date or date key
+     * @returns {number} Hour
+     */
+    function getDrawHour(date) {
+        const info = getDayInfo(date);
+        return info ? info.drawHour : (data || FALLBACK_DATA).defaultDrawHour;
+    }
+
+    /**
+     * Draw hour of a regular day
+     * @returns {number} Hour
+     */
+    function getDefaultDrawHour() {
+        if (!data) configure(window.POPSORTE_DRAW_CALENDAR);
+        return data.defaultDrawHour;
+    }
+
+    /**
+     * Registration cutoff instant for a draw day (one second before the draw)
+     * @param {Date|string} date - Date or date key
+     * @returns {Date|null} Cutoff
+     */
+    function getCutoff(date) {
+        const dateKey = toDateKey(date);
+        if (!dateKey) return null;
+        const hour = getDrawHour(dateKey).toString().padStart(2, '0');
+        const cutoff = new Date(`${dateKey}T${hour}:00:00-03:00`);
+        cutoff.setSeconds(cutoff.getSeconds() - 1);
+        return cutoff;
+    }
+
+    /**
+     * Special draw name for a day
+     * @param {Date|string} date - Date or date key
+     * @returns {string|null} Name
+     */
+    function getSpecialDraw(date) {
+        const info = getDayInfo(date);
+        return info ? info.special : null;
+    }
+
+    /**
+     * First draw day on or after a date
+     * @param {Date|string} date - Date or date key
+     * @returns {string} Date key
+     */
+    function getNextDrawDateKey(date) {
+        let probe = toDateKey(date);
+        for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+            if (isDrawDay(probe)) return probe;
+            probe = addDays(probe, 1);
+        }
+        throw new Error('No valid draw date found in range');
+    }
+
+    /**
+     * Draw day a registration made at an instant belongs to
+     * (same day before the cutoff, otherwise the next draw day)
+     * @param {Date} instant - Registration time
+     * @returns {string|null} Date key
+     */
+    function getDrawDateKeyFor(instant) {
+        if (!(instant instanceof Date) || isNaN(instant.getTime())) return null;
+        const todayKey = toDateKey(instant);
+        if (isDrawDay(todayKey) && instant <= getCutoff(todayKey)) return todayKey;
+        return getNextDrawDateKey(addDays(todayKey, 1));
+    }
+
+    /**
+     * Count draw days stepped onto walking from fromKey to toKey (fromKey excluded);
+     * negative when toKey is earlier
+     * @param {string} fromKey - YYYY-MM-DD
+     * @param {string} toKey - YYYY-MM-DD
+     * @returns {number} Signed number of draw days
+     */
+    function countDrawDaysBetween(fromKey, toKey) {
+        if (fromKey === toKey) return 0;
+        const step = toKey > fromKey ? 1 : -1;
+        let count = 0;
+        let cursor = fromKey;
+        while (cursor !== toKey) {
+            cursor = addDays(cursor, step);
+            if (isDrawDay(cursor)) count++;
+        }
+        return count * step;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        configure,
+
+        // Date keys
+        toDateKey,
+        addDays,
+        toBrazilMidnight,
+
+        // Lookups
+        getDayInfo,
+        isDrawDay,
+        isNoDrawDay,
+        isEarlyDrawDay,
+        getDrawHour,
+        getDefaultDrawHour,
+        getCutoff,
+        getSpecialDraw,
+        getNextDrawDateKey,
+        getDrawDateKeyFor,
+        countDrawDaysBetween,
+
+        // Constants
+        TIMEZONE
+    };
+})();
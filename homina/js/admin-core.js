@@ -9,6 +9,8 @@
  * - Event bus for inter-module communication
  * - Toast notification system
  * - Platform switching (ALL, POPN1, POPLUZ)
+ *
+ * Dependencies: ../csv-parser.js (CsvParser)
  */
 
 // ============================================
@@ -23,7 +25,7 @@ window.AdminCore = (function() {
     const SESSION_KEY = 'popsorte_admin_session';
     const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
     const REFRESH_INTERVAL = 180 * 1000; // 3 minutes
-    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners'];
+    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners', 'suspicious'];
     const DEFAULT_SECTION = 'dashboard';
     
     /**
@@ -34,14 +36,10 @@ window.AdminCore = (function() {
     const DEFAULT_PLATFORM = 'ALL';
     
     /**
-     * Platform-specific prize pools (R$)
-     * Can be configured per platform
+     * Platform-specific prize pools (R$) of the current rule version
+     * Configured in ../prize-rules.js so the public site pays the same
      */
-    const PLATFORM_PRIZES = {
-        'POPN1': 1000,
-        'POPLUZ': 1000,
-        'DEFAULT': 1000
-    };
+    const PLATFORM_PRIZES = WinnerEngine.getRules().pools;
 
     // ============================================
     // State
@@ -196,71 +194,14 @@ window.AdminCore = (function() {
     // ============================================
     // CSV Parsing Utilities
     // ============================================
-    
-    /**
-     * Detect the delimiter used in a CSV header line
-     * @param {string} headerLine - First line of CSV
-     * @returns {string} Detected delimiter
-     */
-    function detectDelimiter(headerLine) {
-        const counts = {
-            ',': (headerLine.match(/,/g) || []).length,
-            ';': (headerLine.match(/;/g) || []).length,
-            '\t': (headerLine.match(/\t/g) || []).length,
-            '|': (headerLine.match(/\|/g) || []).length,
-        };
-        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
-    }
 
     /**
-     * Parse a single CSV line respecting quoted fields
-     * @param {string} line - CSV line to parse
-     * @param {string} delimiter - Field delimiter
-     * @returns {string[]} Array of field values
-     */
-    function parseCSVLine(line, delimiter = ',') {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const ch = line[i];
-            if (ch === '"') {
-                inQuotes = !inQuotes;
-            } else if (ch === delimiter && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += ch;
-            }
-        }
-        values.push(current.trim());
-        return values;
-    }
-
-    /**
-     * Parse complete CSV text to array of objects
+     * Parse complete CSV text to array of objects (see ../csv-parser.js)
      * @param {string} csvText - Raw CSV text
      * @returns {Object[]} Array of row objects with header keys
      */
     function parseCSV(csvText) {
-        const lines = csvText.split(/\r?\n/).filter(Boolean);
-        if (lines.length === 0) return [];
-
-        const delimiter = detectDelimiter(lines[0]);
-        const headers = parseCSVLine(lines[0], delimiter);
-        const rows = [];
-
-        for (let i = 1; i < lines.length; i++) {
-            const values = parseCSVLine(lines[i], delimiter);
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
-            rows.push(row);
-        }
-
-        return rows;
+        return CsvParser.parseObjects(csvText);
     }
 
     // ============================================
@@ -279,6 +220,20 @@ window.AdminCore = (function() {
         return '***' + digits.slice(-4);
     }
 
+    /**
+     * Escape text for use inside innerHTML (pasted or imported values)
+     * @param {*} value - Any value
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // ============================================
     // Number Ball Color Utility
     // ============================================
@@ -468,11 +423,13 @@ window.AdminCore = (function() {
     /**
      * Create a new session
      * @param {string} username - Authenticated username
+     * @param {string} token - Worker API token of the account (optional)
      * @returns {Object} Created session object
      */
-    function createSession(username) {
+    function createSession(username, token) {
         const session = {
             username,
+            token: token || null,
             createdAt: Date.now(),
             expiresAt: Date.now() + SESSION_TTL
         };
@@ -495,6 +452,32 @@ window.AdminCore = (function() {
         return getSession() !== null;
     }
 
+    /**
+     * @returns {string} Logged-in operator, recorded in ledger and override history
+     */
+    function getOperator() {
+        return getSession()?.username || 'unknown';
+    }
+
+    /**
+     * Headers that authenticate a request to the Worker admin API
+     * @returns {Object} Authorization header, or empty when the session has no token
+     */
+    function getAuthHeaders() {
+        const token = getSession()?.token;
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * End the session after the Worker rejected its token (HTTP 401)
+     */
+    function handleUnauthorized() {
+        clearSession();
+        stopAutoRefresh();
+        showToast('Session expired. Please login again.', 'error');
+        setTimeout(showLogin, 2000);
+    }
+
     // ============================================
     // Platform Management
     // ============================================
@@ -535,7 +518,7 @@ window.AdminCore = (function() {
      * @returns {number} Prize pool amount in R$
      */
     function getPlatformPrize(platform) {
-        return PLATFORM_PRIZES[platform] || PLATFORM_PRIZES.DEFAULT;
+        return WinnerEngine.getPrizePool(platform);
     }
 
     /**
@@ -596,7 +579,7 @@ window.AdminCore = (function() {
     
     /**
      * Scroll to a section smoothly
-     * @param {string} section - Section name (dashboard, entries, results, winners)
+     * @param {string} section - Section name (dashboard, entries, results, winners, suspicious)
      */
     function scrollToSection(section) {
         if (!VALID_SECTIONS.includes(section)) {
@@ -940,6 +923,9 @@ window.AdminCore = (function() {
         createSession,
         clearSession,
         isAuthenticated,
+        getOperator,
+        getAuthHeaders,
+        handleUnauthorized,
         
         // Navigation
         scrollToSection,
@@ -973,9 +959,8 @@ window.AdminCore = (function() {
         getBrazilDateString,
         parseBrazilDateTime,
         parseCSV,
-        parseCSVLine,
-        detectDelimiter,
         maskWhatsApp,
+        escapeHtml,
         getBallColorClass,
         
         // Performance utilities
@@ -0,0 +1,68 @@
+/**
+ * POP-SORTE Admin Dashboard - Shared Helpers
+ *
+ * This module handles:
+ * - Small value checks and formatting shared by the admin modules
+ *   (dates, WhatsApp opt-outs, CSV cells)
+ *
+ * No DOM and no AdminCore: validation-worker.js loads this file too.
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Admin Utils Module
+// ============================================
+window.AdminUtils = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * WhatsApp column values of a player who chose not to be contacted
+     */
+    const OPT_OUT_VALUES = ['N/A', 'NA', '-'];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * @param {*} date - Value to check
+     * @returns {boolean} True for a usable Date
+     */
+    function isValidDate(date) {
+        return date instanceof Date && !isNaN(date.getTime());
+    }
+
+    /**
+     * @param {string} whatsapp - WhatsApp number as registered
+     * @returns {boolean} True when the player opted out of WhatsApp
+     */
+    function isOptedOut(whatsapp) {
+        return OPT_OUT_VALUES.includes(String(whatsapp || '').trim().toUpperCase());
+    }
+
+    /**
+     * Quote a value for a CSV export
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    function csvCell(value) {
+        return `"${String(value ?? '').replace(/"/g, '""')}"`;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        isValidDate,
+        isOptedOut,
+        csvCell,
+
+        // Constants
+        OPT_OUT_VALUES
+    };
+})();
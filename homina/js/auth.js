@@ -7,7 +7,7 @@
  * - Session creation and management
  * - Logout functionality
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), ../csv-parser.js (CsvParser)
  */
 
 // ============================================
@@ -22,7 +22,8 @@ window.AdminAuth = (function() {
     
     /**
      * Google Sheet URL for admin credentials
-     * Sheet contains: username, password columns
+     * Sheet contains: username, password columns, and an optional third column
+ * with the account's Worker API token (sent as Bearer by the Worker stores)
      */
     const AUTH_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1PK0qI9PRWaleD6jpn-aQToJ2Mn7PRW0wWfCwd2o0QPE/export?format=csv';
 
@@ -38,7 +39,7 @@ window.AdminAuth = (function() {
     
     /**
      * Fetch credentials from Google Sheet
-     * @returns {Promise<Object[]>} Array of credential objects {username, password}
+     * @returns {Promise<Object[]>} Array of credential objects {username, password, token}
      */
     async function fetchCredentials() {
         try {
@@ -59,20 +60,20 @@ window.AdminAuth = (function() {
                 throw new Error('Sheet not publicly accessible');
             }
 
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-            if (lines.length <= 1) {
+            const rows = CsvParser.parse(csvText);
+            if (rows.length <= 1) {
                 throw new Error('No credentials found');
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
             const creds = [];
 
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
+            for (let i = 1; i < rows.length; i++) {
+                const row = rows[i];
                 if (row.length >= 2 && row[0] && row[1]) {
                     creds.push({
                         username: row[0].trim(),
-                        password: row[1].trim()
+                        password: row[1].trim(),
+                        token: (row[2] || '').trim()
                     });
                 }
             }
@@ -92,7 +93,7 @@ window.AdminAuth = (function() {
      * Validate username and password against credentials
      * @param {string} username - Username to validate
      * @param {string} password - Password to validate
-     * @returns {Promise<boolean>} True if valid
+     * @returns {Promise<Object|null>} Matching credential, or null
      */
     async function validateCredentials(username, password) {
         // Fetch fresh credentials if not cached
@@ -103,10 +104,10 @@ window.AdminAuth = (function() {
         const normalizedUsername = username.trim().toLowerCase();
         const normalizedPassword = password.trim();
 
-        return credentials.some(cred => 
+        return credentials.find(cred => 
             cred.username.toLowerCase() === normalizedUsername &&
             cred.password === normalizedPassword
-        );
+        ) || null;
     }
 
     // ============================================
@@ -147,11 +148,11 @@ window.AdminAuth = (function() {
         hideError(errorEl);
 
         try {
-            const isValid = await validateCredentials(username, password);
+            const credential = await validateCredentials(username, password);
 
-            if (isValid) {
+            if (credential) {
                 // Create session
-                AdminCore.createSession(username);
+                AdminCore.createSession(username, credential.token);
                 
                 // Clear form
                 form.reset();
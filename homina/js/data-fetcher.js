@@ -7,7 +7,8 @@
  * 
  * Data is cached with configurable TTL and refreshed on demand
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), sheet-schema.js (SheetSchema),
+ *               ../csv-parser.js (CsvParser)
  */
 
 // ============================================
@@ -23,14 +24,19 @@ window.DataFetcher = (function() {
     /**
      * Entries sheet: Contains all lottery ticket registrations
      * Columns: Timestamp, Platform, Game ID, WhatsApp, Chosen Numbers, Draw Date, Contest, Ticket #, Status
+     * (matched by header name, any order; see sheet-schema.js)
      */
     const ENTRIES_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
     
     /**
-     * Recharge sheet: Contains recharge transactions
-     * Columns: Game ID, Recharge ID, Recharge Time, Amount, Status (filters for "充值")
+     * Recharge sheets, one per platform
+     * Columns: DATE, TIME, Member ID, Order Number, Change Amount, Balance After Change
+     * (matched by header name; every recharge is tagged with the platform of its sheet)
      */
-    const RECHARGE_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1c6gnCngs2wFOvVayd5XpM9D3LOlKUxtSjl7gfszXcMg/export?format=csv&gid=0';
+    const RECHARGE_SOURCES = {
+        POPLUZ: 'https://docs.google.com/spreadsheets/d/1H68xaO7xjR-o7ECklQT1oZkT7lkMj5FNydq3nVPimgM/export?format=csv&gid=0',
+        POPN1: 'https://docs.google.com/spreadsheets/d/1KcIhrL3EvgdkgHAD-5E2jSK2W1mEZlJ9-D5DBGdxXRU/export?format=csv&gid=0'
+    };
 
     /**
      * Cache TTL in milliseconds (3 minutes - matches refresh interval)
@@ -59,6 +65,10 @@ window.DataFetcher = (function() {
         recharges: false
     };
 
+    // Column mapping and rejected rows of the last parses
+    let lastEntriesReport = null;
+    let lastRechargesReports = {};
+
     /**
      * Generate simple hash for cache invalidation
      * @param {Object[]} data - Data array to hash
@@ -171,37 +181,6 @@ window.DataFetcher = (function() {
     // Entries Data
     // ============================================
     
-    /**
-     * Parse entry row from CSV
-     * @param {string[]} row - CSV row values
-     * @returns {Object} Parsed entry object
-     */
-    function parseEntryRow(row) {
-        // Expected columns: Timestamp, Platform, Game ID, WhatsApp, Numbers, Draw Date, Contest, Ticket #, Status
-        const timestamp = row[0] || '';
-        const parsedDate = AdminCore.parseBrazilDateTime(timestamp);
-        
-        // Parse chosen numbers
-        const numbersRaw = row[4] || '';
-        const numbers = numbersRaw
-            .split(/[,;|\t]/)
-            .map(n => parseInt(n.trim(), 10))
-            .filter(n => !isNaN(n) && n >= 1 && n <= 80);
-
-        return {
-            timestamp: timestamp,
-            parsedDate: parsedDate,
-            platform: (row[1] || 'POPN1').trim().toUpperCase(),
-            gameId: (row[2] || '').trim(),
-            whatsapp: (row[3] || '').trim(),
-            numbers: numbers,
-            drawDate: (row[5] || '').trim(),
-            contest: (row[6] || '').trim(),
-            ticketNumber: (row[7] || '').trim(),
-            status: (row[8] || 'PENDING').trim().toUpperCase()
-        };
-    }
-
     /**
      * Fetch all entries from Google Sheet
      * @param {boolean} forceRefresh - Force refresh ignoring cache
@@ -225,34 +204,19 @@ window.DataFetcher = (function() {
 
         try {
             const csvText = await fetchCSV(ENTRIES_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
+            // Parsed in slices to avoid blocking the UI
+            const rows = await CsvParser.parseAsync(csvText);
 
-            if (lines.length <= 1) {
+            if (rows.length <= 1) {
                 cache.entries = { data: [], timestamp: now };
                 fetchLock.entries = false;
                 return [];
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const entries = [];
-
-            // Parse CSV in batches to avoid blocking UI
-            const batchSize = 500;
-            for (let i = 1; i < lines.length; i += batchSize) {
-                const batch = lines.slice(i, Math.min(i + batchSize, lines.length));
-                
-                for (const line of batch) {
-                    const row = AdminCore.parseCSVLine(line, delimiter);
-                    if (row.length >= 9 && row[2]) { // Must have at least Game ID
-                        entries.push(parseEntryRow(row));
-                    }
-                }
-                
-                // Yield to UI thread after each batch
-                if (i + batchSize < lines.length) {
-                    await new Promise(resolve => setTimeout(resolve, 0));
-                }
-            }
+            // Columns are mapped by header name (see sheet-schema.js)
+            const { entries, report } = SheetSchema.parseEntries(rows);
+            lastEntriesReport = report;
+            console.log(`Entries parsed: ${report.accepted} valid, ${report.rejected.length} rejected (${report.source} columns)`);
 
             // Sort by timestamp descending (newest first) - defer if large
             if (entries.length > 1000) {
@@ -285,92 +249,35 @@ window.DataFetcher = (function() {
         }
     }
 
+    /**
+     * Column mapping and rejected rows of the last entries fetch
+     * @returns {Object|null} SheetSchema report (null until entries are fetched)
+     */
+    function getEntriesReport() {
+        return lastEntriesReport;
+    }
+
     // ============================================
     // Recharge Data
     // ============================================
     
     /**
-     * Parse recharge row from CSV
-     * Expected columns: Game ID, Recharge ID, Timestamp, Amount, Status/Type
-     * @param {string[]} row - CSV row values
-     * @returns {Object|null} Parsed recharge object or null if invalid
+     * Fetch and parse one platform's recharge sheet
+     * @param {string} platform - Platform key in RECHARGE_SOURCES
+     * @returns {Promise<Object>} { recharges, report }
      */
-    function parseRechargeRow(row) {
-        if (!row || row.length < 2) return null;
-        
-        const fullRow = row.join(' ');
-        
-        // Try to extract Game ID (10 digits) from the row
-        let gameId = '';
-        
-        // First, check if first column is a 10-digit game ID
-        if (row[0] && /^\d{10}$/.test(row[0].trim())) {
-            gameId = row[0].trim();
-        } else {
-            // Try to find 10-digit ID anywhere in the row
-            const gameIdMatch = fullRow.match(/\b(\d{10})\b/);
-            gameId = gameIdMatch ? gameIdMatch[1] : '';
-        }
-        
-        // Skip if no valid game ID found
-        if (!gameId) return null;
-        
-        // Skip header rows
-        if (gameId === '0000000000' || fullRow.toLowerCase().includes('game id')) {
-            return null;
-        }
-
-        // Try to parse timestamp - look for various date patterns
-        let rechargeTime = null;
-        
-        // Check each column for a date
-        for (const col of row) {
-            if (!col) continue;
-            const colStr = col.trim();
-            
-            // ISO format: 2024-12-30T15:30:00 or 2024-12-30 15:30:00
-            const isoMatch = colStr.match(/(\d{4}[-\/]\d{2}[-\/]\d{2}[\sT]\d{2}:\d{2}:\d{2})/);
-            if (isoMatch) {
-                rechargeTime = new Date(isoMatch[1].replace(/\//g, '-').replace(' ', 'T'));
-                break;
-            }
-            
-            // DD/MM/YYYY HH:MM:SS format
-            const dmyMatch = colStr.match(/(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2}):(\d{2})/);
-            if (dmyMatch) {
-                rechargeTime = new Date(`${dmyMatch[3]}-${dmyMatch[2]}-${dmyMatch[1]}T${dmyMatch[4]}:${dmyMatch[5]}:${dmyMatch[6]}`);
-                break;
-            }
-        }
-
-        // Try to extract amount - look for numeric values
-        let amount = 0;
-        for (const col of row) {
-            if (!col) continue;
-            const numMatch = col.trim().match(/^[\d,]+\.?\d*$/);
-            if (numMatch && parseFloat(numMatch[0].replace(/,/g, '')) > 0) {
-                const parsed = parseFloat(numMatch[0].replace(/,/g, ''));
-                // Skip if it looks like a game ID or timestamp
-                if (parsed < 100000 && parsed > 0) {
-                    amount = parsed;
-                    break;
-                }
-            }
-        }
+    async function fetchPlatformRecharges(platform) {
+        const csvText = await fetchCSV(RECHARGE_SOURCES[platform]);
+        const rows = await CsvParser.parseAsync(csvText);
+        console.log(`Recharge sheet ${platform}: ${rows.length} rows loaded`);
 
-        return {
-            gameId: gameId,
-            rechargeId: row[1] || '',
-            rechargeTime: rechargeTime,
-            rechargeTimeRaw: row[2] || '',
-            amount: amount,
-            status: 'RECHARGE',
-            rawRow: row
-        };
+        return SheetSchema.parseRecharges(rows, platform);
     }
 
     /**
-     * Fetch all recharge data from Google Sheet
+     * Fetch all recharge data from the platforms' Google Sheets
+     * A platform whose sheet fails keeps its previous recharges when cached;
+     * the fetch only fails when no sheet can be read
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of recharge objects
      */
@@ -391,37 +298,30 @@ window.DataFetcher = (function() {
         fetchLock.recharges = true;
 
         try {
-            const csvText = await fetchCSV(RECHARGE_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-
-            console.log(`Recharge sheet: ${lines.length} lines loaded`);
-            
-            if (lines.length <= 1) {
-                console.warn('Recharge sheet has no data rows');
-                cache.recharges = { data: [], timestamp: now };
-                fetchLock.recharges = false;
-                return [];
-            }
-
-            // Log first few lines for debugging
-            console.log('Recharge sheet header:', lines[0]);
-            if (lines[1]) console.log('Recharge sheet first row:', lines[1]);
-
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
+            const platforms = Object.keys(RECHARGE_SOURCES);
+            const results = await Promise.allSettled(platforms.map(fetchPlatformRecharges));
             const recharges = [];
-            let skippedRows = 0;
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                const recharge = parseRechargeRow(row);
-                if (recharge) {
-                    recharges.push(recharge);
-                } else {
-                    skippedRows++;
+            const reports = {};
+            const failures = [];
+
+            results.forEach((result, i) => {
+                const platform = platforms[i];
+                if (result.status === 'fulfilled') {
+                    recharges.push(...result.value.recharges);
+                    reports[platform] = result.value.report;
+                    console.log(`Recharges ${platform}: ${result.value.report.accepted} valid, ${result.value.report.rejected.length} rejected (${result.value.report.source} columns)`);
+                    return;
                 }
-            }
 
-            console.log(`Recharges parsed: ${recharges.length} valid, ${skippedRows} skipped`);
+                console.warn(`Recharge sheet ${platform} failed:`, result.reason);
+                failures.push(result.reason);
+                const previous = (cache.recharges.data || []).filter(r => r.platform === platform);
+                recharges.push(...previous);
+                if (lastRechargesReports[platform]) reports[platform] = lastRechargesReports[platform];
+            });
+
+            if (failures.length === platforms.length) throw failures[0];
+            lastRechargesReports = reports;
 
             // Sort by timestamp descending
             recharges.sort((a, b) => {
@@ -444,6 +344,14 @@ window.DataFetcher = (function() {
         }
     }
 
+    /**
+     * Column mapping and rejected rows of the last recharge fetch
+     * @returns {Object} SheetSchema report per platform
+     */
+    function getRechargesReports() {
+        return lastRechargesReports;
+    }
+
     // ============================================
     // Aggregation Helpers
     // ============================================
@@ -610,6 +518,13 @@ window.DataFetcher = (function() {
         cache.winners = { data: null, entriesHash: null, resultsHash: null };
     }
 
+    /**
+     * Drop the cached winner calculations (eligibility changed without the entries changing)
+     */
+    function clearWinnersCache() {
+        cache.winners = { data: null, entriesHash: null, resultsHash: null };
+    }
+
     /**
      * Get cache status
      * @returns {Object} Cache status info
@@ -659,6 +574,8 @@ window.DataFetcher = (function() {
         fetchEntries,
         fetchRecharges,
         refreshAll,
+        getEntriesReport,
+        getRechargesReports,
         
         // Aggregation helpers
         getUniqueGameIds,
@@ -672,6 +589,7 @@ window.DataFetcher = (function() {
         
         // Cache management
         clearCache,
+        clearWinnersCache,
         getCacheStatus,
         
         // Processed data cache
@@ -683,7 +601,8 @@ window.DataFetcher = (function() {
         simpleHash,
         
         // Constants
-        CACHE_TTL
+        CACHE_TTL,
+        RECHARGE_PLATFORMS: Object.keys(RECHARGE_SOURCES)
     };
 })();
 
@@ -554,12 +554,14 @@ window.DataStore = (function() {
             return state.recharges;
         }
         
-        // Get game IDs that belong to this platform
+        // Recharges are tagged with the platform of their sheet; untagged ones
+        // belong to the platform whose entries use their Game ID
         const platformEntries = filterByPlatform(state.entries, currentPlatform);
         const platformGameIds = new Set(platformEntries.map(e => e.gameId).filter(Boolean));
         
-        // Filter recharges to only those with game IDs from this platform
-        return state.recharges.filter(r => r.gameId && platformGameIds.has(r.gameId));
+        return state.recharges.filter(r => r.platform
+            ? r.platform === currentPlatform
+            : r.gameId && platformGameIds.has(r.gameId));
     }
     function getResults() { return state.results; }
     function getCounts(platform) { 
@@ -0,0 +1,221 @@
+/**
+ * POP-SORTE Admin Dashboard - Discrepancy Report Module
+ *
+ * This module handles:
+ * - Re-validating every ticket by the rules alone (RechargeValidator with
+ *   ignoreSheetStatus), so a STATUS written in the entries sheet cannot hide a conflict
+ * - Listing the tickets whose sheet STATUS disagrees, grouped by reason and concurso
+ * - A corrections CSV (sheet row, STATUS cell, corrected value) to paste back into the sheet
+ *
+ * Only VALID / INVALID in the sheet are compared; PENDING or empty rows have no
+ * decision to disagree with and are only counted. An active manual override
+ * (see validation-overrides.js) wins over the computed status.
+ *
+ * Dependencies: recharge-validator.js (RechargeValidator), validation-overrides.js (ValidationOverrides),
+ *   admin-utils.js (AdminUtils)
+ */
+
+// ============================================
+// Discrepancy Report Module
+// ============================================
+window.DiscrepancyReport = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const SHEET_VALID = ['VALID', 'VALIDADO', 'VALIDATED'];
+    const SHEET_INVALID = ['INVALID', 'INVÁLIDO'];
+
+    /**
+     * Why the rules reached their status (RechargeValidator.AllocationOutcome,
+     * plus the checks made before allocation)
+     */
+    const REASON_LABELS = {
+        'matched': 'Recharge found for the draw window',
+        'no-recharge': 'No recharge for the Game ID',
+        'other-platform': 'Recharges only on another platform',
+        'no-window': 'No recharge in the draw window',
+        'consumed': 'Recharges already used by earlier tickets',
+        'no-time': 'Unreadable registration time',
+        'missing-game-id': 'Missing Game ID',
+        'override': 'Manual override'
+    };
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * @param {string} status - STATUS cell of the entries sheet
+     * @returns {string|null} VALID, INVALID, or null when the sheet has no decision
+     */
+    function readSheetStatus(status) {
+        const value = (status || '').toString().trim().toUpperCase();
+        if (SHEET_VALID.includes(value)) return 'VALID';
+        if (SHEET_INVALID.includes(value)) return 'INVALID';
+        return null;
+    }
+
+    /**
+     * @param {Object} validation - Rules-only validation of a ticket
+     * @returns {string} REASON_LABELS key
+     */
+    function reasonKeyFor(validation) {
+        if (!validation.ticket.gameId) return 'missing-game-id';
+        return validation.allocation || 'no-recharge';
+    }
+
+    /**
+     * Spreadsheet column letters of a 0-based index (0 -> A, 26 -> AA)
+     * @param {number} index - Column index
+     * @returns {string} Letters
+     */
+    function columnLetter(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return letters;
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Compare a rules-only validation run with the sheet STATUS of its tickets
+     * @param {Object} validationResults - RechargeValidator run made with ignoreSheetStatus
+     * @returns {Object} {
+     *   rows: [{ ticket, sheetStatus, computedStatus, expectedStatus, reasonKey, reason, override }],
+     *   groups: [{ key, sheetStatus, expectedStatus, reasonKey, label, count, byContest: [{ contest, count }] }],
+     *   byContest: [{ contest, count }],
+     *   stats: { checked, agree, disagree, undecided, validToInvalid, invalidToValid }
+     * }
+     */
+    function compare(validationResults) {
+        const rows = [];
+        const stats = { checked: 0, agree: 0, disagree: 0, undecided: 0, validToInvalid: 0, invalidToValid: 0 };
+
+        validationResults.results.forEach(validation => {
+            const sheetStatus = readSheetStatus(validation.ticket.status);
+            if (!sheetStatus) {
+                stats.undecided++;
+                return;
+            }
+            stats.checked++;
+
+            const override = ValidationOverrides.getFor(validation.ticket);
+            const expectedStatus = override ? override.status : validation.status;
+            if (expectedStatus === sheetStatus || !['VALID', 'INVALID'].includes(expectedStatus)) {
+                stats.agree++;
+                return;
+            }
+
+            stats.disagree++;
+            if (expectedStatus === 'INVALID') stats.validToInvalid++;
+            else stats.invalidToValid++;
+            rows.push({
+                ticket: validation.ticket,
+                sheetStatus,
+                computedStatus: validation.status,
+                expectedStatus,
+                reasonKey: override ? 'override' : reasonKeyFor(validation),
+                reason: override ? `${override.reasonCode}: ${override.note}` : validation.reason,
+                override
+            });
+        });
+
+        const groups = new Map();
+        const contests = new Map();
+        rows.forEach(row => {
+            const key = `${row.sheetStatus}|${row.expectedStatus}|${row.reasonKey}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    sheetStatus: row.sheetStatus,
+                    expectedStatus: row.expectedStatus,
+                    reasonKey: row.reasonKey,
+                    label: REASON_LABELS[row.reasonKey] || row.reasonKey,
+                    count: 0,
+                    contests: new Map()
+                });
+            }
+            const group = groups.get(key);
+            const contest = row.ticket.contest || '?';
+            group.count++;
+            group.contests.set(contest, (group.contests.get(contest) || 0) + 1);
+            contests.set(contest, (contests.get(contest) || 0) + 1);
+        });
+
+        const byCount = (a, b) => b.count - a.count;
+        const byContestDesc = (a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0);
+        const toList = map => [...map].map(([contest, count]) => ({ contest, count })).sort(byContestDesc);
+
+        return {
+            rows,
+            groups: [...groups.values()]
+                .map(({ contests: perContest, ...group }) => ({ ...group, byContest: toList(perContest) }))
+                .sort(byCount),
+            byContest: toList(contests),
+            stats
+        };
+    }
+
+    /**
+     * Re-validate tickets ignoring the sheet STATUS and compare
+     * @param {Object[]} entries - Entries as read from the sheet (no overrides applied)
+     * @param {Object[]} recharges - All recharge objects
+     * @param {Object} options - { onProgress, signal } (see RechargeValidator.validateAllTickets)
+     * @returns {Promise<Object>} See compare()
+     */
+    async function run(entries, recharges, options = {}) {
+        const validationResults = await RechargeValidator.validateAllTickets(entries, recharges, true, {
+            ...options,
+            ignoreSheetStatus: true
+        });
+        return compare(validationResults);
+    }
+
+    /**
+     * Corrections to paste into the entries sheet, in sheet order
+     * @param {Object} report - From compare() / run()
+     * @param {Object} entriesReport - DataFetcher.getEntriesReport() (locates the STATUS column)
+     * @returns {string} CSV text
+     */
+    function toCorrectionsCsv(report, entriesReport) {
+        const statusColumn = (entriesReport?.mapped || []).find(c => c.field === 'status');
+        const column = statusColumn ? columnLetter(statusColumn.index) : '';
+
+        const headers = ['Sheet Row', 'STATUS Cell', 'Ticket #', 'Platform', 'Game ID', 'Concurso',
+            'Sheet STATUS', 'Corrected STATUS', 'Reason'];
+        const rows = [...report.rows]
+            .sort((a, b) => (a.ticket.sheetRow || Infinity) - (b.ticket.sheetRow || Infinity))
+            .map(row => [
+                row.ticket.sheetRow || '',
+                column && row.ticket.sheetRow ? `${column}${row.ticket.sheetRow}` : '',
+                row.ticket.ticketNumber,
+                row.ticket.platform,
+                row.ticket.gameId,
+                row.ticket.contest,
+                row.ticket.status,
+                row.expectedStatus,
+                row.reason
+            ].map(AdminUtils.csvCell).join(','));
+
+        return [headers.join(','), ...rows].join('\n');
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        run,
+        compare,
+        toCorrectionsCsv,
+        readSheetStatus,
+
+        // Constants
+        REASON_LABELS
+    };
+})();
@@ -0,0 +1,346 @@
+/**
+ * POP-SORTE Admin Dashboard - Fraud Detector Module
+ *
+ * This module handles:
+ * - Scoring players (Game IDs) for suspicious entry and recharge patterns
+ * - Keeping the underlying entry / recharge rows of every signal for drill-down
+ *
+ * Signals:
+ * - shared-whatsapp:   one WhatsApp number registered by many Game IDs
+ * - duplicate-numbers: the same number set played by many Game IDs in one concurso
+ * - burst:             tickets of one Game ID registered seconds apart
+ * - last-second:       a ticket seconds before the cutoff, right after a recharge
+ * - recharge-ratio:    tickets per recharge far from the other players (robust z-score)
+ *
+ * Each signal adds points (capped per signal type); the score is capped at 100.
+ * A signal is a reason to look, not proof: operators decide from the rows.
+ *
+ * Dependencies: ../draw-calendar.js (DrawCalendar), admin-utils.js (AdminUtils)
+ */
+
+// ============================================
+// Fraud Detector Module
+// ============================================
+window.FraudDetector = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const SignalType = {
+        SHARED_WHATSAPP: 'shared-whatsapp',
+        DUPLICATE_NUMBERS: 'duplicate-numbers',
+        BURST: 'burst',
+        LAST_SECOND: 'last-second',
+        RECHARGE_RATIO: 'recharge-ratio'
+    };
+
+    const SIGNAL_LABELS = {
+        [SignalType.SHARED_WHATSAPP]: 'Shared WhatsApp',
+        [SignalType.DUPLICATE_NUMBERS]: 'Duplicate numbers',
+        [SignalType.BURST]: 'Ticket burst',
+        [SignalType.LAST_SECOND]: 'Last-second ticket',
+        [SignalType.RECHARGE_RATIO]: 'Recharge ratio'
+    };
+
+    const Level = {
+        HIGH: 'high',
+        MEDIUM: 'medium',
+        LOW: 'low'
+    };
+
+    /**
+     * Detection thresholds (defaults; analyze() accepts overrides)
+     */
+    const DEFAULT_THRESHOLDS = {
+        sharedWhatsappIds: 3,         // Game IDs on one number
+        duplicateNumbersIds: 3,       // Game IDs playing one number set in a concurso
+        burstGapSeconds: 10,          // max gap between tickets of a burst
+        burstMinTickets: 3,           // tickets in a burst
+        lastSecondWindowSeconds: 60,  // ticket this close to the cutoff
+        lastSecondRechargeSeconds: 300, // after a recharge this recent
+        ratioMinPlayers: 10,          // players needed to know the norm
+        ratioZScore: 3.5              // robust z-score flagged
+    };
+
+    const TYPE_MAX_POINTS = 40;
+    const MAX_SCORE = 100;
+    const LEVEL_HIGH = 60;
+    const LEVEL_MEDIUM = 30;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    const { isValidDate } = AdminUtils;
+
+    /**
+     * WhatsApp number reduced to its national digits so +55 and local forms group together
+     * @param {string} whatsapp - Number as registered
+     * @returns {string|null} Digits or null (opted out / unusable)
+     */
+    function phoneKey(whatsapp) {
+        const raw = String(whatsapp || '').trim();
+        if (!raw || AdminUtils.isOptedOut(raw)) return null;
+
+        let digits = raw.replace(/\D/g, '');
+        if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) digits = digits.slice(2);
+        return digits.length >= 10 ? digits : null;
+    }
+
+    /**
+     * @param {Object[]} items - Items
+     * @param {Function} keyOf - item => key (falsy keys are skipped)
+     * @returns {Map} key -> items
+     */
+    function groupBy(items, keyOf) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = keyOf(item);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return groups;
+    }
+
+    /**
+     * @param {number[]} values - Values
+     * @returns {number} Median
+     */
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * @param {Object[]} entries - Entries
+     * @returns {Object[]} Entries in registration order
+     */
+    function byTime(entries) {
+        return entries.slice().sort((a, b) =>
+            (isValidDate(a.parsedDate) ? a.parsedDate.getTime() : 0) - (isValidDate(b.parsedDate) ? b.parsedDate.getTime() : 0));
+    }
+
+    // ============================================
+    // Signals
+    // ============================================
+    // Each detector returns [{ gameId, type, points, summary, entries, recharges }]
+
+    function detectSharedWhatsapp(entries, t) {
+        const signals = [];
+        groupBy(entries, e => phoneKey(e.whatsapp)).forEach((rows, phone) => {
+            const ids = [...new Set(rows.map(e => e.gameId).filter(Boolean))];
+            if (ids.length < t.sharedWhatsappIds) return;
+
+            const points = Math.min(20 + 5 * (ids.length - t.sharedWhatsappIds), TYPE_MAX_POINTS);
+            ids.forEach(gameId => signals.push({
+                gameId,
+                type: SignalType.SHARED_WHATSAPP,
+                points,
+                summary: `WhatsApp ending ${phone.slice(-4)} used by ${ids.length} Game IDs`,
+                entries: byTime(rows),
+                recharges: []
+            }));
+        });
+        return signals;
+    }
+
+    function detectDuplicateNumbers(entries, t) {
+        const signals = [];
+        const setKey = e => (e.contest && Array.isArray(e.numbers) && e.numbers.length > 0)
+            ? `${e.contest}|${e.numbers.slice().sort((a, b) => a - b).join('-')}`
+            : null;
+
+        groupBy(entries, setKey).forEach((rows, key) => {
+            const ids = [...new Set(rows.map(e => e.gameId).filter(Boolean))];
+            if (ids.length < t.duplicateNumbersIds) return;
+
+            const [contest, numbers] = key.split('|');
+            const points = Math.min(15 + 5 * (ids.length - t.duplicateNumbersIds), TYPE_MAX_POINTS);
+            ids.forEach(gameId => signals.push({
+                gameId,
+                type: SignalType.DUPLICATE_NUMBERS,
+                points,
+                summary: `Numbers ${numbers} played by ${ids.length} Game IDs in concurso ${contest}`,
+                entries: byTime(rows),
+                recharges: []
+            }));
+        });
+        return signals;
+    }
+
+    function detectBursts(entriesByGameId, t) {
+        const signals = [];
+        const flush = (gameId, run) => {
+            if (run.length < t.burstMinTickets) return;
+            const seconds = Math.round((run[run.length - 1].parsedDate - run[0].parsedDate) / 1000);
+            signals.push({
+                gameId,
+                type: SignalType.BURST,
+                points: Math.min(10 + 2 * (run.length - t.burstMinTickets), TYPE_MAX_POINTS),
+                summary: `${run.length} tickets in ${seconds}s`,
+                entries: run,
+                recharges: []
+            });
+        };
+
+        entriesByGameId.forEach((rows, gameId) => {
+            let run = [];
+            byTime(rows.filter(e => isValidDate(e.parsedDate))).forEach(entry => {
+                const previous = run[run.length - 1];
+                if (previous && (entry.parsedDate - previous.parsedDate) / 1000 > t.burstGapSeconds) {
+                    flush(gameId, run);
+                    run = [];
+                }
+                run.push(entry);
+            });
+            flush(gameId, run);
+        });
+        return signals;
+    }
+
+    function detectLastSecond(entriesByGameId, rechargesByGameId, t) {
+        const signals = [];
+        entriesByGameId.forEach((rows, gameId) => {
+            const recharges = (rechargesByGameId.get(gameId) || []).filter(r => isValidDate(r.rechargeTime));
+            if (recharges.length === 0) return;
+
+            rows.forEach(entry => {
+                if (!isValidDate(entry.parsedDate)) return;
+                const drawKey = DrawCalendar.getDrawDateKeyFor(entry.parsedDate);
+                const cutoff = drawKey ? DrawCalendar.getCutoff(drawKey) : null;
+                if (!cutoff) return;
+
+                const secondsToCutoff = (cutoff - entry.parsedDate) / 1000;
+                if (secondsToCutoff < 0 || secondsToCutoff > t.lastSecondWindowSeconds) return;
+
+                const recharge = recharges
+                    .filter(r => r.rechargeTime <= entry.parsedDate &&
+                        (entry.parsedDate - r.rechargeTime) / 1000 <= t.lastSecondRechargeSeconds)
+                    .sort((a, b) => b.rechargeTime - a.rechargeTime)[0];
+                if (!recharge) return;
+
+                const afterRecharge = Math.round((entry.parsedDate - recharge.rechargeTime) / 1000);
+                signals.push({
+                    gameId,
+                    type: SignalType.LAST_SECOND,
+                    points: 10,
+                    summary: `Ticket ${entry.ticketNumber || '—'} ${Math.round(secondsToCutoff)}s before the cutoff, ${afterRecharge}s after a recharge`,
+                    entries: [entry],
+                    recharges: [recharge]
+                });
+            });
+        });
+        return signals;
+    }
+
+    function detectRechargeRatio(entriesByGameId, rechargesByGameId, t) {
+        const ratios = [];
+        rechargesByGameId.forEach((recharges, gameId) => {
+            const tickets = (entriesByGameId.get(gameId) || []).length;
+            if (tickets > 0) ratios.push({ gameId, tickets, recharges: recharges.length, ratio: tickets / recharges.length });
+        });
+        if (ratios.length < t.ratioMinPlayers) return [];
+
+        const values = ratios.map(r => r.ratio);
+        const center = median(values);
+        // Median absolute deviation; when most players share one ratio it is 0,
+        // so fall back to the mean absolute deviation
+        let scale = median(values.map(v => Math.abs(v - center))) / 0.6745;
+        if (scale === 0) scale = values.reduce((sum, v) => sum + Math.abs(v - center), 0) / values.length * 1.2533;
+        if (scale === 0) return [];
+
+        return ratios
+            .map(r => ({ ...r, z: (r.ratio - center) / scale }))
+            .filter(r => Math.abs(r.z) >= t.ratioZScore)
+            .map(r => ({
+                gameId: r.gameId,
+                type: SignalType.RECHARGE_RATIO,
+                points: Math.abs(r.z) >= t.ratioZScore * 2 ? 30 : 20,
+                summary: `${r.tickets} tickets for ${r.recharges} recharges (${r.ratio.toFixed(2)} per recharge, norm ${center.toFixed(2)}, z ${r.z.toFixed(1)})`,
+                entries: byTime(entriesByGameId.get(r.gameId) || []),
+                recharges: rechargesByGameId.get(r.gameId)
+            }));
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * @param {number} score - Score
+     * @returns {string} Level value
+     */
+    function getLevel(score) {
+        if (score >= LEVEL_HIGH) return Level.HIGH;
+        if (score >= LEVEL_MEDIUM) return Level.MEDIUM;
+        return Level.LOW;
+    }
+
+    /**
+     * Score every player with at least one signal
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} recharges - Recharges
+     * @param {Object} thresholds - Overrides for DEFAULT_THRESHOLDS
+     * @returns {Object} {
+     *   players: [{ gameId, whatsapps, ticketCount, rechargeCount, score, level, signals }] highest score first,
+     *   countsByType: { type: players flagged },
+     *   thresholds
+     * }
+     */
+    function analyze(entries, recharges, thresholds = {}) {
+        const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+        const entriesByGameId = groupBy(entries, e => e.gameId);
+        const rechargesByGameId = groupBy(recharges, r => r.gameId);
+
+        const signals = [
+            ...detectSharedWhatsapp(entries, t),
+            ...detectDuplicateNumbers(entries, t),
+            ...detectBursts(entriesByGameId, t),
+            ...detectLastSecond(entriesByGameId, rechargesByGameId, t),
+            ...detectRechargeRatio(entriesByGameId, rechargesByGameId, t)
+        ].map(signal => ({ ...signal, label: SIGNAL_LABELS[signal.type] }));
+
+        const countsByType = {};
+        Object.values(SignalType).forEach(type => { countsByType[type] = 0; });
+
+        const players = [...groupBy(signals, s => s.gameId)].map(([gameId, playerSignals]) => {
+            const pointsByType = {};
+            playerSignals.forEach(s => {
+                pointsByType[s.type] = Math.min((pointsByType[s.type] || 0) + s.points, TYPE_MAX_POINTS);
+            });
+            Object.keys(pointsByType).forEach(type => countsByType[type]++);
+
+            const score = Math.min(Object.values(pointsByType).reduce((sum, p) => sum + p, 0), MAX_SCORE);
+            const playerEntries = entriesByGameId.get(gameId) || [];
+            return {
+                gameId,
+                whatsapps: [...new Set(playerEntries.map(e => e.whatsapp).filter(Boolean))],
+                ticketCount: playerEntries.length,
+                rechargeCount: (rechargesByGameId.get(gameId) || []).length,
+                score,
+                level: getLevel(score),
+                signals: playerSignals.sort((a, b) => b.points - a.points)
+            };
+        });
+
+        players.sort((a, b) => b.score - a.score || a.gameId.localeCompare(b.gameId));
+        return { players, countsByType, thresholds: t };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        analyze,
+        getLevel,
+
+        // Constants
+        SignalType,
+        SIGNAL_LABELS,
+        Level,
+        DEFAULT_THRESHOLDS
+    };
+})();
@@ -0,0 +1,457 @@
+/**
+ * POP-SORTE Admin Dashboard - Payout Ledger Module
+ *
+ * This module handles:
+ * - One payout record per winning ticket (created from WinnerCalculator winners)
+ * - Status workflow: pending -> approved -> paid, or rejected (with reopen);
+ *   an approved payout the bank could not pay becomes failed until it is retried
+ * - Amount, payment reference, operator and timestamp on every change (history kept)
+ * - Payee PIX key and the payment batch a payout was exported in (see pix-batch.js)
+ * - When and by whom the winner was notified on WhatsApp (see winner-notifier.js)
+ * - Outstanding liabilities per platform and contest
+ * - Persistence through a pluggable store (see record-store.js; Worker
+ *   resource "payouts")
+ *
+ * Dependencies: admin-core.js (AdminCore), record-store.js (RecordStore)
+ */
+
+// ============================================
+// Payout Ledger Module
+// ============================================
+window.PayoutLedger = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const WORKER_RESOURCE = 'payouts';
+    const LOCAL_STORAGE_KEY = 'popsorte_payout_ledger_v1';
+    const IDB_NAME = 'popsorte_admin';
+    const IDB_STORE = 'payouts';
+
+    const Status = {
+        PENDING: 'pending',
+        APPROVED: 'approved',
+        PAID: 'paid',
+        FAILED: 'failed',
+        REJECTED: 'rejected'
+    };
+
+    /**
+     * Allowed status changes (paid is final)
+     */
+    const TRANSITIONS = {
+        [Status.PENDING]: [Status.APPROVED, Status.REJECTED],
+        [Status.APPROVED]: [Status.PAID, Status.FAILED, Status.REJECTED, Status.PENDING],
+        [Status.FAILED]: [Status.APPROVED, Status.REJECTED],
+        [Status.REJECTED]: [Status.PENDING],
+        [Status.PAID]: []
+    };
+
+    /**
+     * Statuses not paid yet, which a recalculation may still withdraw
+     */
+    const UNPAID = [Status.PENDING, Status.APPROVED, Status.FAILED];
+
+    const NOT_A_WINNER_NOTE = 'No longer a winner (recalculated)';
+
+    // ============================================
+    // State
+    // ============================================
+    const records = RecordStore.createCollection('PayoutLedger', {
+        resource: WORKER_RESOURCE,
+        dbName: IDB_NAME,
+        storeName: IDB_STORE,
+        localKey: LOCAL_STORAGE_KEY
+    });
+    const { save, emit } = records;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Ledger id of a winning ticket
+     * @param {Object} winner - Winner from WinnerCalculator
+     * @returns {string} Id
+     */
+    function keyFor(winner) {
+        const ticket = winner.ticketNumber || (winner.numbers || []).join('-');
+        return [winner.contest, (winner.platform || 'POPN1').toUpperCase(), winner.gameId, ticket].join('|');
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Select the store and load the ledger (once per store)
+     * @param {Object} customStore - Store (default: IndexedDB locally, the Worker in production)
+     * @returns {Promise<number>} Number of records
+     */
+    function init(customStore) {
+        return records.init(customStore);
+    }
+
+    /**
+     * Create pending records for new winners and refresh the amount of records
+     * still pending (prize recalculated after late entries or rule changes).
+     * Within the scope of the run, unpaid records whose ticket is no longer a
+     * winner (late STATUS change, manual override, rule change) are rejected,
+     * and put back to pending if the ticket wins again.
+     * @param {Object[]} winners - WinnerCalculator winners ({ ...entry, prize, rulesVersion })
+     * @param {Object} scope - { contests, platform } recomputed by the run
+     *   (platform 'ALL' or empty covers every platform); without it nothing is rejected
+     * @returns {Promise<number>} Records created or updated
+     */
+    async function syncWinners(winners, scope = null) {
+        await init();
+        let changed = 0;
+        const winnerIds = new Set();
+
+        for (const winner of winners) {
+            const id = keyFor(winner);
+            const amount = winner.prize || 0;
+            const existing = records.get(id);
+            const now = new Date().toISOString();
+            winnerIds.add(id);
+
+            if (!existing) {
+                await save({
+                    id,
+                    contest: winner.contest,
+                    drawDate: winner.drawDate,
+                    platform: (winner.platform || 'POPN1').toUpperCase(),
+                    gameId: winner.gameId,
+                    whatsapp: winner.whatsapp || '',
+                    ticketNumber: winner.ticketNumber || '',
+                    timestamp: winner.timestamp || '',
+                    numbers: winner.numbers || [],
+                    matches: winner.matches,
+                    rulesVersion: winner.rulesVersion || null,
+                    amount,
+                    status: Status.PENDING,
+                    reference: '',
+                    operator: 'system',
+                    updatedAt: now,
+                    history: [{ status: Status.PENDING, amount, reference: '', operator: 'system', at: now, note: 'Winner detected' }]
+                });
+                changed++;
+            } else if (existing.status === Status.REJECTED && existing.operator === 'system' &&
+                existing.history[existing.history.length - 1]?.note === NOT_A_WINNER_NOTE) {
+                await save({
+                    ...existing,
+                    amount,
+                    status: Status.PENDING,
+                    updatedAt: now,
+                    history: [...existing.history, {
+                        status: Status.PENDING, amount, reference: '', operator: 'system', at: now,
+                        note: 'Winner again (recalculated)'
+                    }]
+                });
+                changed++;
+            } else if (existing.status === Status.PENDING && existing.amount !== amount) {
+                await save({
+                    ...existing,
+                    amount,
+                    updatedAt: now,
+                    history: [...existing.history, {
+                        status: Status.PENDING, amount, reference: '', operator: 'system', at: now,
+                        note: `Amount recalculated from R$ ${existing.amount.toFixed(2)}`
+                    }]
+                });
+                changed++;
+            }
+        }
+
+        if (scope) {
+            const contests = new Set((scope.contests || []).map(String));
+            const platform = (scope.platform || 'ALL').toUpperCase();
+            const stale = records.getAll().filter(record =>
+                UNPAID.includes(record.status) &&
+                contests.has(String(record.contest)) &&
+                (platform === 'ALL' || record.platform === platform) &&
+                !winnerIds.has(record.id)
+            );
+            for (const record of stale) {
+                const now = new Date().toISOString();
+                await save({
+                    ...record,
+                    status: Status.REJECTED,
+                    operator: 'system',
+                    updatedAt: now,
+                    history: [...record.history, {
+                        status: Status.REJECTED, amount: record.amount, reference: '', operator: 'system', at: now,
+                        note: NOT_A_WINNER_NOTE
+                    }]
+                });
+                changed++;
+            }
+        }
+
+        if (changed > 0) emit();
+        return changed;
+    }
+
+    /**
+     * Move a record to a new status
+     * @param {string} id - Record id
+     * @param {string} status - Status value
+     * @param {Object} details - { reference (required for paid), note }
+     * @returns {Promise<Object>} Updated record
+     * @throws {Error} On unknown record or a change the workflow does not allow
+     */
+    async function transition(id, status, details = {}) {
+        await init();
+        const record = records.get(id);
+        if (!record) throw new Error('Payout record not found');
+        if (!TRANSITIONS[record.status].includes(status)) {
+            throw new Error(`Cannot change a ${record.status} payout to ${status}`);
+        }
+
+        const reference = (details.reference || '').trim();
+        if (status === Status.PAID && !reference) {
+            throw new Error('A payment reference is required to mark as paid');
+        }
+
+        const operator = AdminCore.getOperator();
+        const now = new Date().toISOString();
+        const updated = await save({
+            ...record,
+            status,
+            reference: status === Status.PAID ? reference : record.reference,
+            operator,
+            updatedAt: now,
+            history: [...record.history, {
+                status,
+                amount: record.amount,
+                reference,
+                operator,
+                at: now,
+                note: (details.note || '').trim()
+            }]
+        });
+        emit();
+        return updated;
+    }
+
+    /**
+     * Change bookkeeping fields without moving the status (kept in the history)
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to set
+     * @param {string} note - History note
+     * @returns {Promise<Object>} Updated record
+     */
+    async function amend(id, changes, note) {
+        const record = records.get(id);
+        if (!record) throw new Error('Payout record not found');
+
+        const operator = AdminCore.getOperator();
+        const now = new Date().toISOString();
+        return save({
+            ...record,
+            ...changes,
+            operator,
+            updatedAt: now,
+            history: [...record.history, {
+                status: record.status,
+                amount: record.amount,
+                reference: '',
+                operator,
+                at: now,
+                note
+            }]
+        });
+    }
+
+    /**
+     * Set the PIX key the prize is paid to (defaults to the WhatsApp phone, see PixBatch)
+     * @param {string} id - Record id
+     * @param {string} pixKey - PIX key
+     * @returns {Promise<Object>} Updated record
+     */
+    async function setPixKey(id, pixKey) {
+        await init();
+        const key = (pixKey || '').trim();
+        const updated = await amend(id, { pixKey: key }, key ? `PIX key set to ${key}` : 'PIX key cleared');
+        emit();
+        return updated;
+    }
+
+    /**
+     * Record that payouts were sent to the bank in a payment batch. All or
+     * nothing: when one record cannot be saved, the ones already saved are put
+     * back as they were and the error is rethrown, so no file goes out for a
+     * batch the ledger does not know about.
+     * @param {string[]} ids - Record ids
+     * @param {string} batchId - Batch id
+     * @returns {Promise<number>} Records marked
+     * @throws {Error} On an unknown record or a failed save (nothing stays marked)
+     */
+    async function markExported(ids, batchId) {
+        await init();
+        const missing = ids.find(id => !records.has(id));
+        if (missing) throw new Error(`Payout record not found: ${missing}`);
+
+        const exportedAt = new Date().toISOString();
+        const saved = [];
+        try {
+            for (const id of ids) {
+                const before = records.get(id);
+                await amend(id, { batchId, exportedAt }, `Exported in payment batch ${batchId}`);
+                saved.push(before);
+            }
+        } catch (error) {
+            for (const before of saved.reverse()) {
+                try {
+                    await save(before);
+                } catch (rollbackError) {
+                    console.error(`PayoutLedger: could not roll back ${before.id}:`, rollbackError);
+                }
+            }
+            if (saved.length > 0) emit();
+            throw error;
+        }
+        if (ids.length > 0) emit();
+        return ids.length;
+    }
+
+    /**
+     * Record that the winner was sent a WhatsApp message
+     * @param {string} id - Record id
+     * @param {string} templateName - Template used (for the history)
+     * @returns {Promise<Object>} Updated record
+     */
+    async function markNotified(id, templateName) {
+        await init();
+        const notifiedAt = new Date().toISOString();
+        const updated = await amend(id, { notifiedAt, notifiedBy: AdminCore.getOperator() }, `WhatsApp notification: ${templateName}`);
+        emit();
+        return updated;
+    }
+
+    /**
+     * @param {Object} winner - Winner
+     * @returns {Object|null} Record for a winning ticket
+     */
+    function getForWinner(winner) {
+        return records.get(keyFor(winner)) || null;
+    }
+
+    /**
+     * @param {string} id - Record id
+     * @returns {Object|null} Record
+     */
+    function get(id) {
+        return records.get(id) || null;
+    }
+
+    /**
+     * @returns {Object[]} Every record
+     */
+    function getAll() {
+        return records.getAll();
+    }
+
+    /**
+     * Amounts per platform and contest; outstanding = pending + approved + failed
+     * @param {string} platform - Platform filter ('ALL' for every platform)
+     * @returns {Object} {
+     *   rows: [{ platform, contest, pending, approved, paid, failed, rejected, outstanding, count }],
+     *   byPlatform: { platform: { outstanding, paid } },
+     *   totalOutstanding, totalPaid
+     * }
+     */
+    function getLiabilities(platform = 'ALL') {
+        const groups = new Map();
+        const cents = value => Math.round((value || 0) * 100);
+
+        getAll()
+            .filter(r => platform === 'ALL' || r.platform === platform)
+            .forEach(r => {
+                const key = `${r.platform}|${r.contest}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { platform: r.platform, contest: r.contest, pending: 0, approved: 0, paid: 0, failed: 0, rejected: 0, count: 0 });
+                }
+                const group = groups.get(key);
+                group[r.status] += cents(r.amount);
+                group.count++;
+            });
+
+        const byPlatform = {};
+        let totalOutstanding = 0;
+        let totalPaid = 0;
+        const rows = [...groups.values()].map(group => {
+            const outstanding = group.pending + group.approved + group.failed;
+            byPlatform[group.platform] = byPlatform[group.platform] || { outstanding: 0, paid: 0 };
+            byPlatform[group.platform].outstanding += outstanding;
+            byPlatform[group.platform].paid += group.paid;
+            totalOutstanding += outstanding;
+            totalPaid += group.paid;
+            return {
+                ...group,
+                pending: group.pending / 100,
+                approved: group.approved / 100,
+                paid: group.paid / 100,
+                failed: group.failed / 100,
+                rejected: group.rejected / 100,
+                outstanding: outstanding / 100
+            };
+        });
+
+        Object.values(byPlatform).forEach(totals => {
+            totals.outstanding /= 100;
+            totals.paid /= 100;
+        });
+
+        rows.sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0) || a.platform.localeCompare(b.platform));
+        return { rows, byPlatform, totalOutstanding: totalOutstanding / 100, totalPaid: totalPaid / 100 };
+    }
+
+    /**
+     * @param {string} status - Current status
+     * @returns {string[]} Statuses it can move to
+     */
+    function getAllowedTransitions(status) {
+        return TRANSITIONS[status] || [];
+    }
+
+    /**
+     * @returns {string} Name of the active store
+     */
+    function getStoreName() {
+        return records.getStoreName();
+    }
+
+    /**
+     * Subscribe to ledger changes
+     * @param {Function} listener - (records) => void
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        return records.subscribe(listener);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        syncWinners,
+        transition,
+        setPixKey,
+        markExported,
+        markNotified,
+        get,
+        getForWinner,
+        getAll,
+        getLiabilities,
+        getAllowedTransitions,
+        getStoreName,
+        keyFor,
+        subscribe,
+
+        // Constants
+        Status
+    };
+})();
@@ -0,0 +1,278 @@
+/**
+ * POP-SORTE Admin Dashboard - PIX Batch Module
+ *
+ * This module handles:
+ * - Payment batch file for the bank with every approved, unpaid payout
+ *   (a payout already sent in a batch waits for that batch's return file)
+ * - Importing the bank's return file to mark payouts paid or failed
+ *
+ * Batch file (UTF-8, ';' separated, one record per line):
+ *   H;POPSORTE;<batchId>;<generated ISO time>;<count>
+ *   D;<seq>;<payoutId>;<keyType>;<pixKey>;<amount in cents>;<description>
+ *   T;<count>;<total in cents>;<sha256 of the D lines joined by \n>
+ *
+ * Return file (same layout, one R line per payment; H/T lines are ignored):
+ *   R;<seq>;<payoutId>;<status>;<end-to-end id>;<reason>
+ *   status PAID / LIQUIDADO / 00 marks the payout paid, anything else failed
+ *
+ * A payout whose ticket was overridden INVALID is never payable, even before
+ * the next winners sync withdraws it from the ledger.
+ *
+ * Dependencies: admin-core.js (AdminCore), payout-ledger.js (PayoutLedger),
+ *   validation-overrides.js (ValidationOverrides)
+ */
+
+// ============================================
+// PIX Batch Module
+// ============================================
+window.PixBatch = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const SEPARATOR = ';';
+    const DESCRIPTION_MAX = 140;
+    const PAID_CODES = ['PAID', 'LIQUIDADO', 'PAGO', '00'];
+
+    const KeyType = {
+        CPF: 'CPF',
+        CNPJ: 'CNPJ',
+        PHONE: 'PHONE',
+        EMAIL: 'EMAIL',
+        EVP: 'EVP'
+    };
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Drop characters that would break the line layout
+     * @param {string} value - Field
+     * @returns {string} Safe field
+     */
+    function clean(value) {
+        return String(value || '').replace(/[;\r\n]+/g, ' ').trim();
+    }
+
+    /**
+     * PIX key a payout is sent to: the key set in the ledger, otherwise the
+     * player's WhatsApp number as a phone key
+     * @param {Object} record - Ledger record
+     * @returns {Object|null} { key, type } or null when there is no usable key
+     */
+    function resolvePixKey(record) {
+        const raw = (record.pixKey || '').trim();
+        if (raw) {
+            const digits = raw.replace(/\D/g, '');
+            if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(raw)) return { key: raw.toLowerCase(), type: KeyType.EMAIL };
+            if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(raw)) return { key: raw.toLowerCase(), type: KeyType.EVP };
+            if (raw.startsWith('+')) return { key: `+${digits}`, type: KeyType.PHONE };
+            if (digits.length === 11 && /^[\d.\-\s]+$/.test(raw)) return { key: digits, type: KeyType.CPF };
+            if (digits.length === 14) return { key: digits, type: KeyType.CNPJ };
+            return null;
+        }
+
+        const phone = String(record.whatsapp || '').replace(/\D/g, '');
+        if (phone.length === 10 || phone.length === 11) return { key: `+55${phone}`, type: KeyType.PHONE };
+        if ((phone.length === 12 || phone.length === 13) && phone.startsWith('55')) return { key: `+${phone}`, type: KeyType.PHONE };
+        return null;
+    }
+
+    /**
+     * @param {Object} record - Ledger record
+     * @returns {string} Payment description
+     */
+    function describe(record) {
+        const ticket = record.ticketNumber ? ` BILHETE ${record.ticketNumber}` : '';
+        return clean(`POPSORTE ${record.platform} CONCURSO ${record.contest}${ticket} ID ${record.gameId}`).slice(0, DESCRIPTION_MAX);
+    }
+
+    /**
+     * Hex SHA-256 of a text
+     * @param {string} text - Text
+     * @returns {Promise<string>} Hex digest
+     */
+    async function sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @returns {string} Batch id like PIX-20260119-143205
+     */
+    function generateBatchId() {
+        const now = AdminCore.getBrazilTime();
+        const pad = n => String(n).padStart(2, '0');
+        return `PIX-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    }
+
+    /**
+     * @param {string} platform - Platform filter ('ALL' for every platform)
+     * @returns {Object[]} Approved ledger records
+     */
+    function getApproved(platform) {
+        return PayoutLedger.getAll()
+            .filter(r => r.status === PayoutLedger.Status.APPROVED)
+            .filter(r => platform === 'ALL' || r.platform === platform);
+    }
+
+    /**
+     * Whether a payout was sent in a batch since it was last approved
+     * (a failed payment approved again goes in the next batch)
+     * @param {Object} record - Ledger record
+     * @returns {boolean} True while the bank return is pending
+     */
+    function isAwaitingReturn(record) {
+        if (!record.exportedAt) return false;
+        const approvals = record.history.filter(h => h.status === PayoutLedger.Status.APPROVED);
+        const approvedAt = approvals.length > 0 ? approvals[approvals.length - 1].at : '';
+        return record.exportedAt > approvedAt;
+    }
+
+    /**
+     * @param {Object} record - Ledger record
+     * @returns {boolean} True when the ticket has an active INVALID override
+     */
+    function isOverriddenInvalid(record) {
+        if (typeof ValidationOverrides === 'undefined') return false;
+        const override = ValidationOverrides.getFor(record);
+        return Boolean(override && override.status === ValidationOverrides.Status.INVALID);
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Payouts that belong in the next batch
+     * @param {string} platform - Platform filter ('ALL' for every platform)
+     * @returns {Object[]} Approved, unpaid ledger records not waiting for a bank return
+     *   and not overridden INVALID
+     */
+    function getPayable(platform = 'ALL') {
+        return getApproved(platform)
+            .filter(r => !isAwaitingReturn(r) && !isOverriddenInvalid(r))
+            .sort((a, b) => (parseInt(a.contest, 10) || 0) - (parseInt(b.contest, 10) || 0) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Approved payouts already sent to the bank, waiting for the return file
+     * @param {string} platform - Platform filter ('ALL' for every platform)
+     * @returns {Object[]} Ledger records
+     */
+    function getAwaitingReturn(platform = 'ALL') {
+        return getApproved(platform).filter(isAwaitingReturn);
+    }
+
+    /**
+     * Build a batch file
+     * @param {Object[]} records - Ledger records (see getPayable)
+     * @param {Object} options - { batchId }
+     * @returns {Promise<Object>} { batchId, text, ids, count, totalCents, checksum, skipped: [{ record, reason }] }
+     */
+    async function buildBatch(records, options = {}) {
+        const batchId = options.batchId || generateBatchId();
+        const details = [];
+        const ids = [];
+        const skipped = [];
+        let totalCents = 0;
+
+        records.forEach(record => {
+            const payee = resolvePixKey(record);
+            const cents = Math.round((record.amount || 0) * 100);
+            if (!payee) {
+                skipped.push({ record, reason: 'No valid PIX key' });
+                return;
+            }
+            if (cents <= 0) {
+                skipped.push({ record, reason: 'Zero amount' });
+                return;
+            }
+
+            details.push(['D', details.length + 1, clean(record.id), payee.type, payee.key, cents, describe(record)].join(SEPARATOR));
+            ids.push(record.id);
+            totalCents += cents;
+        });
+
+        const checksum = await sha256Hex(details.join('\n'));
+        const lines = [
+            ['H', 'POPSORTE', batchId, new Date().toISOString(), details.length].join(SEPARATOR),
+            ...details,
+            ['T', details.length, totalCents, checksum].join(SEPARATOR)
+        ];
+
+        return { batchId, text: lines.join('\n') + '\n', ids, count: details.length, totalCents, checksum, skipped };
+    }
+
+    /**
+     * Parse a bank return file
+     * @param {string} text - File content
+     * @returns {Object[]} [{ line, payoutId, paid, reference, reason }]
+     */
+    function parseReturnFile(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map((raw, index) => ({ fields: raw.split(SEPARATOR).map(f => f.trim()), line: index + 1 }))
+            .filter(({ fields }) => fields[0].toUpperCase() === 'R')
+            .map(({ fields, line }) => ({
+                line,
+                payoutId: fields[2] || '',
+                paid: PAID_CODES.includes((fields[3] || '').toUpperCase()),
+                reference: fields[4] || '',
+                reason: fields[5] || fields[3] || ''
+            }));
+    }
+
+    /**
+     * Apply a bank return file to the ledger
+     * @param {string} text - File content
+     * @returns {Promise<Object>} { paid, failed, unmatched: [line], skipped: [{ line, reason }] }
+     */
+    async function applyReturnFile(text) {
+        const summary = { paid: 0, failed: 0, unmatched: [], skipped: [] };
+
+        for (const row of parseReturnFile(text)) {
+            const record = PayoutLedger.get(row.payoutId);
+            if (!record) {
+                summary.unmatched.push(row.line);
+                continue;
+            }
+            if (record.status !== PayoutLedger.Status.APPROVED) {
+                summary.skipped.push({ line: row.line, reason: `Payout is ${record.status}` });
+                continue;
+            }
+
+            if (row.paid) {
+                await PayoutLedger.transition(record.id, PayoutLedger.Status.PAID, {
+                    reference: row.reference || `${record.batchId || 'bank'}:${row.line}`,
+                    note: 'Bank return file'
+                });
+                summary.paid++;
+            } else {
+                await PayoutLedger.transition(record.id, PayoutLedger.Status.FAILED, {
+                    reference: row.reference,
+                    note: `Bank return file: ${row.reason || 'failed'}`
+                });
+                summary.failed++;
+            }
+        }
+        return summary;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        getPayable,
+        getAwaitingReturn,
+        buildBatch,
+        parseReturnFile,
+        applyReturnFile,
+        resolvePixKey,
+
+        // Constants
+        KeyType
+    };
+})();
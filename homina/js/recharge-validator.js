@@ -6,11 +6,23 @@
  * Validation Rules:
  * 1. Ticket must be created AFTER recharge timestamp
  * 2. Ticket must fall within eligible draw windows (same day or next draw day)
- * 3. Each recharge can only be used once (first ticket after recharge)
- * 4. Cutoff time: 20:00 BRT (16:00 on Dec 24/31)
- * 5. No draws on Sundays and holidays (Dec 25, Jan 1)
+ * 3. Each recharge funds one ticket: per Game ID, tickets take the oldest unused
+ *    recharge of their draw window in time order (see allocateRecharges)
+ * 4. Cutoff time: the draw hour from DrawCalendar (20:00 BRT, 17:00 on Dec 24/31)
+ * 5. No draws on days DrawCalendar marks closed (Sundays, Dec 25, Jan 1, ...)
+ * 6. A ticket only matches recharges from its own platform's sheet, and only
+ *    tickets of that platform can use them up
  * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher)
+ * A STATUS already written in the entries sheet is trusted (VALID short-circuits,
+ * INVALID takes no recharge) unless the run is made with { ignoreSheetStatus: true },
+ * which the discrepancy report uses to check the sheet against the rules.
+ * 
+ * Validation of a full sheet runs in validation-worker.js, which loads this
+ * file too: everything validateTicket needs must work without the DOM
+ * (DrawCalendar and AdminUtils only, no AdminCore).
+ *
+ * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher),
+ *               ../draw-calendar.js (DrawCalendar), admin-utils.js (AdminUtils)
  */
 
 // ============================================
@@ -26,12 +38,7 @@ window.RechargeValidator = (function() {
     /**
      * Default cutoff hour for same-day draws (20:00 BRT)
      */
-    const DEFAULT_CUTOFF_HOUR = 20;
-    
-    /**
-     * Early cutoff hour for special days (Dec 24, Dec 31)
-     */
-    const EARLY_CUTOFF_HOUR = 16;
+    const DEFAULT_CUTOFF_HOUR = DrawCalendar.getDefaultDrawHour();
     
     /**
      * Validation result statuses
@@ -43,75 +50,89 @@ window.RechargeValidator = (function() {
         CUTOFF: 'CUTOFF'
     };
 
+    /**
+     * How a ticket's recharge allocation ended (see allocateRecharges)
+     */
+    const AllocationOutcome = {
+        MATCHED: 'matched',
+        NO_RECHARGE: 'no-recharge',
+        OTHER_PLATFORM: 'other-platform',
+        NO_WINDOW: 'no-window',
+        CONSUMED: 'consumed',
+        NO_TIME: 'no-time',
+        SKIPPED: 'skipped'
+    };
+
+    /**
+     * Why a recharge was or was not used for a ticket (see buildTrace)
+     */
+    const TraceVerdict = {
+        USED: 'used',
+        AFTER_TICKET: 'after-ticket',
+        WRONG_WINDOW: 'wrong-window',
+        CONSUMED: 'consumed',
+        OTHER_PLATFORM: 'other-platform',
+        NO_TIME: 'no-time',
+        SPARE: 'spare'
+    };
+
+    /**
+     * Tickets validated between two progress messages from the worker
+     */
+    const PROGRESS_BATCH_SIZE = 500;
+
+    /**
+     * Worker script, next to this file (null inside the worker itself)
+     */
+    const WORKER_URL = typeof document !== 'undefined' && document.currentScript
+        ? new URL('validation-worker.js', document.currentScript.src).href
+        : null;
+
+    // ============================================
+    // State
+    // ============================================
+
+    // Set when a worker could not start, so later runs go straight to the page
+    let workerUnavailable = false;
+
     // ============================================
     // Draw Calendar Helpers
     // ============================================
     
     /**
-     * Check if a date is a no-draw day (Sunday, Dec 25, Jan 1)
+     * Check if a date is a no-draw day (see draw-calendar-data.js)
      * @param {Date} date - Date to check
      * @returns {boolean} True if no draw on this day
      */
     function isNoDrawDay(date) {
-        const month = date.getMonth(); // 0-indexed
-        const day = date.getDate();
-        const dayOfWeek = date.getDay();
-        
-        // Sunday
-        if (dayOfWeek === 0) return true;
-        
-        // Christmas (Dec 25)
-        if (month === 11 && day === 25) return true;
-        
-        // New Year (Jan 1)
-        if (month === 0 && day === 1) return true;
-        
-        return false;
+        return DrawCalendar.isNoDrawDay(date);
     }
 
     /**
-     * Check if a date has early cutoff (Dec 24, Dec 31)
+     * Check if a date has early cutoff (e.g. Dec 24, Dec 31)
      * @param {Date} date - Date to check
      * @returns {boolean} True if early cutoff applies
      */
     function isEarlyCutoffDay(date) {
-        const month = date.getMonth();
-        const day = date.getDate();
-        
-        // Dec 24 or Dec 31
-        return month === 11 && (day === 24 || day === 31);
+        return DrawCalendar.isEarlyDrawDay(date);
     }
 
     /**
      * Get cutoff hour for a specific date
      * @param {Date} date - Date to check
-     * @returns {number} Cutoff hour (16 or 20)
+     * @returns {number} Cutoff hour (draw hour of that day)
      */
     function getCutoffHour(date) {
-        return isEarlyCutoffDay(date) ? EARLY_CUTOFF_HOUR : DEFAULT_CUTOFF_HOUR;
+        return DrawCalendar.getDrawHour(date);
     }
 
     /**
      * Get next valid draw date from a given date
      * @param {Date} fromDate - Starting date
-     * @returns {Date} Next valid draw date
+     * @returns {Date} Next valid draw date (00:00 BRT)
      */
     function getNextValidDrawDate(fromDate) {
-        const probe = new Date(fromDate);
-        probe.setHours(0, 0, 0, 0);
-        
-        // Check up to 14 days ahead
-        for (let i = 0; i < 14; i++) {
-            if (i > 0) {
-                probe.setDate(probe.getDate() + 1);
-            }
-            
-            if (!isNoDrawDay(probe)) {
-                return new Date(probe);
-            }
-        }
-        
-        throw new Error('No valid draw date found in range');
+        return DrawCalendar.toBrazilMidnight(DrawCalendar.getNextDrawDateKey(fromDate));
     }
 
     /**
@@ -125,187 +146,228 @@ window.RechargeValidator = (function() {
             return null;
         }
         
-        const regDateStr = AdminCore.getBrazilDateString(registrationTime);
-        if (!regDateStr) return null;
-        
-        const regDate = new Date(`${regDateStr}T00:00:00-03:00`);
-        
-        // Get registration hour in BRT
-        const regHour = registrationTime.getHours();
-        const cutoffHour = getCutoffHour(regDate);
-        
-        if (!isNoDrawDay(regDate) && regHour < cutoffHour) {
-            // Before cutoff on a valid draw day - same day draw
-            return regDate;
-        } else {
-            // After cutoff or on a no-draw day - next valid draw
-            const nextDay = new Date(regDate);
-            nextDay.setDate(nextDay.getDate() + 1);
-            return getNextValidDrawDate(nextDay);
-        }
+        // Before cutoff on a valid draw day - same day draw,
+        // after cutoff or on a no-draw day - next valid draw
+        const drawDateKey = DrawCalendar.getDrawDateKeyFor(registrationTime);
+        return drawDateKey ? DrawCalendar.toBrazilMidnight(drawDateKey) : null;
     }
 
     // ============================================
-    // Recharge Matching
+    // Recharge Allocation
     // ============================================
-    
+    // Per Game ID, tickets and recharges are walked once on a single timeline.
+    // A recharge opens a credit for the draw window it falls in (same-day draw
+    // before the cutoff, otherwise the next draw day) on its platform; each
+    // ticket consumes the oldest open credit for its own draw date and platform.
+    // Ties are broken by ticket number / order number, so the same sheets
+    // always give the same assignment.
+
+    /**
+     * Whether a recharge or ticket belongs to a platform
+     * (recharges without a platform tag match every platform)
+     * @param {Object} record - Recharge or ticket
+     * @param {string} platform - Ticket platform
+     * @returns {boolean} True when on the same platform
+     */
+    function isSamePlatform(record, platform) {
+        return !record.platform || !platform || record.platform === platform;
+    }
+
+    const { isValidDate } = AdminUtils;
+
     /**
-     * Find the best matching recharge for a ticket
      * @param {Object} ticket - Ticket entry object
-     * @param {Object[]} recharges - All recharges for this game ID
-     * @param {Object[]} allTickets - All tickets for this game ID (to check usage)
-     * @returns {Object|null} Matching recharge or null
+     * @returns {boolean} True when the source sheet already says VALID
      */
-    function findMatchingRecharge(ticket, recharges, allTickets) {
-        // Validate ticket.parsedDate is a proper Date object
-        if (!ticket.parsedDate || !(ticket.parsedDate instanceof Date) || isNaN(ticket.parsedDate.getTime())) {
-            return null;
-        }
-        if (!recharges || recharges.length === 0) {
-            return null;
-        }
-        
-        const ticketTime = ticket.parsedDate.getTime();
-        const ticketDrawDate = ticket.drawDate;
-        
-        // Filter recharges that could potentially match
-        // Recharge must be before ticket creation and have valid rechargeTime
-        const eligibleRecharges = recharges.filter(r => {
-            if (!r.rechargeTime || !(r.rechargeTime instanceof Date) || isNaN(r.rechargeTime.getTime())) return false;
-            return r.rechargeTime.getTime() < ticketTime;
+    function isPreValidated(ticket) {
+        return ['VALID', 'VALIDADO', 'VALIDATED'].includes((ticket.status || '').toUpperCase());
+    }
+
+    /**
+     * @param {Object} ticket - Ticket entry object
+     * @returns {boolean} True when the source sheet already says INVALID
+     */
+    function isPreInvalidated(ticket) {
+        return ['INVALID', 'INVÁLIDO'].includes((ticket.status || '').toUpperCase());
+    }
+
+    /**
+     * Allocate one Game ID's recharges to its tickets
+     * @param {Object[]} tickets - Tickets of the Game ID
+     * @param {Object[]} recharges - Recharges of the Game ID (every platform)
+     * @param {Map} allocations - Filled with ticket -> allocation
+     * @param {Map} rechargeStates - Filled with recharge -> { drawKey, consumedBy }
+     * @param {Object} options - { ignoreSheetStatus }
+     * @returns {Object[]} Recharges no ticket consumed
+     */
+    function allocateGameId(tickets, recharges, allocations, rechargeStates, options) {
+        const events = [];
+        recharges.forEach((recharge, index) => {
+            const drawKey = DrawCalendar.getDrawDateKeyFor(recharge.rechargeTime);
+            rechargeStates.set(recharge, { drawKey, consumedBy: null });
+            if (!drawKey) return;
+            events.push({ time: recharge.rechargeTime.getTime(), kind: 1, tie: String(recharge.rechargeId || ''), index, recharge, drawKey });
         });
-        
-        if (eligibleRecharges.length === 0) {
-            return null;
-        }
-        
-        // Sort by time descending (most recent first)
-        eligibleRecharges.sort((a, b) => b.rechargeTime.getTime() - a.rechargeTime.getTime());
-        
-        // For each recharge, check if it's already used by another ticket
-        for (const recharge of eligibleRecharges) {
-            // Get eligible draw date for this recharge
-            const eligibleDraw = getEligibleDrawDate(recharge.rechargeTime);
-            if (!eligibleDraw) continue; // Skip if can't determine eligible draw
-            
-            const eligibleDrawStr = AdminCore.getBrazilDateString(eligibleDraw);
-            if (!eligibleDrawStr) continue;
-            
-            // Check if ticket's draw date matches eligible draw
-            // Parse ticket draw date (could be in various formats)
-            let ticketDrawStr = '';
-            if (ticketDrawDate) {
-                // Try to normalize the format
-                const parts = ticketDrawDate.split(/[\/\-]/);
-                if (parts.length === 3) {
-                    if (parts[0].length === 4) {
-                        // YYYY-MM-DD
-                        ticketDrawStr = ticketDrawDate;
-                    } else {
-                        // DD/MM/YYYY
-                        ticketDrawStr = `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
-                    }
-                }
+        tickets.forEach((ticket, index) => {
+            if (!isValidDate(ticket.parsedDate)) {
+                allocations.set(ticket, { outcome: AllocationOutcome.NO_TIME, recharge: null, drawKey: null, consumedBy: null });
+                return;
             }
-            
-            // Check if draw dates match
-            if (ticketDrawStr !== eligibleDrawStr) {
+            events.push({ time: ticket.parsedDate.getTime(), kind: 0, tie: String(ticket.ticketNumber || ''), index, ticket });
+        });
+
+        // A recharge must come strictly before the ticket, so tickets go first on equal times
+        events.sort((a, b) => a.time - b.time || a.kind - b.kind || a.tie.localeCompare(b.tie) || a.index - b.index);
+
+        // `${platform}|${drawKey}` -> { open: [recharge], head, lastConsumer }
+        // ('*' holds recharges without a platform tag)
+        const credits = new Map();
+        const consumed = new Set();
+        const platforms = new Set(recharges.map(r => r.platform || '*'));
+
+        for (const event of events) {
+            if (event.kind === 1) {
+                const key = `${event.recharge.platform || '*'}|${event.drawKey}`;
+                if (!credits.has(key)) credits.set(key, { open: [], head: 0, lastConsumer: null });
+                credits.get(key).open.push(event.recharge);
                 continue;
             }
-            
-            // Check if this recharge is already used by a prior ticket
-            const priorTickets = allTickets.filter(t => 
-                t.ticketNumber !== ticket.ticketNumber &&
-                t.parsedDate &&
-                t.parsedDate instanceof Date &&
-                !isNaN(t.parsedDate.getTime()) &&
-                t.parsedDate.getTime() < ticketTime &&
-                t.parsedDate.getTime() > recharge.rechargeTime.getTime()
-            );
-            
-            // If no prior tickets used this recharge, it's available
-            if (priorTickets.length === 0) {
-                return recharge;
-            }
-            
-            // Check if any prior ticket already claimed this recharge
-            let rechargeUsed = false;
-            for (const prior of priorTickets) {
-                const priorEligibleDraw = getEligibleDrawDate(prior.parsedDate);
-                if (!priorEligibleDraw) continue;
-                
-                const priorDrawStr = AdminCore.getBrazilDateString(priorEligibleDraw);
-                if (priorDrawStr === eligibleDrawStr) {
-                    rechargeUsed = true;
-                    break;
-                }
+
+            const ticket = event.ticket;
+            const drawKey = DrawCalendar.toDateKey(ticket.drawDate);
+            if (!options.ignoreSheetStatus && isPreInvalidated(ticket)) {
+                allocations.set(ticket, { outcome: AllocationOutcome.SKIPPED, recharge: null, drawKey, consumedBy: null });
+                continue;
             }
-            
-            if (!rechargeUsed) {
-                return recharge;
+
+            // Oldest open credit of the ticket's platform or of an untagged recharge
+            const pools = [credits.get(`${ticket.platform}|${drawKey}`), credits.get(`*|${drawKey}`)].filter(Boolean);
+            let pool = null;
+            pools.forEach(candidate => {
+                if (candidate.head >= candidate.open.length) return;
+                if (!pool || candidate.open[candidate.head].rechargeTime < pool.open[pool.head].rechargeTime) pool = candidate;
+            });
+
+            if (pool) {
+                const recharge = pool.open[pool.head++];
+                pool.lastConsumer = ticket;
+                consumed.add(recharge);
+                rechargeStates.get(recharge).consumedBy = ticket;
+                allocations.set(ticket, { outcome: AllocationOutcome.MATCHED, recharge, drawKey, consumedBy: null });
+                continue;
             }
+
+            let outcome = AllocationOutcome.NO_WINDOW;
+            if (recharges.length === 0) outcome = AllocationOutcome.NO_RECHARGE;
+            else if (ticket.platform && !platforms.has('*') && !platforms.has(ticket.platform)) outcome = AllocationOutcome.OTHER_PLATFORM;
+            else if (pools.length > 0) outcome = AllocationOutcome.CONSUMED;
+
+            const lastConsumer = pools.reduce((last, p) => (p.lastConsumer && (!last || p.lastConsumer.parsedDate > last.parsedDate) ? p.lastConsumer : last), null);
+            allocations.set(ticket, { outcome, recharge: null, drawKey, consumedBy: lastConsumer });
         }
-        
-        return null;
+
+        return recharges.filter(r => !consumed.has(r));
+    }
+
+    /**
+     * Allocate recharges to tickets for every Game ID
+     * @param {Object[]} entries - Tickets
+     * @param {Object[]} recharges - All recharge objects
+     * @param {Object} options - { ignoreSheetStatus: let tickets the sheet marks INVALID take recharges }
+     * @returns {Object} {
+     *   allocations: Map(ticket -> { outcome, recharge, drawKey, consumedBy }),
+     *   rechargeStates: Map(recharge -> { drawKey, consumedBy }),
+     *   unusedRecharges
+     * }
+     */
+    function allocateRecharges(entries, recharges, options = {}) {
+        const byGameId = new Map();
+        const group = gameId => {
+            if (!byGameId.has(gameId)) byGameId.set(gameId, { tickets: [], recharges: [] });
+            return byGameId.get(gameId);
+        };
+        entries.forEach(e => { if (e.gameId) group(e.gameId).tickets.push(e); });
+        recharges.forEach(r => { if (r.gameId) group(r.gameId).recharges.push(r); });
+
+        const allocations = new Map();
+        const rechargeStates = new Map();
+        const unusedRecharges = [];
+        byGameId.forEach(({ tickets, recharges: gameRecharges }) => {
+            unusedRecharges.push(...allocateGameId(tickets, gameRecharges, allocations, rechargeStates, options));
+        });
+        return { allocations, rechargeStates, unusedRecharges };
     }
 
     // ============================================
     // Ticket Validation
     // ============================================
+
+    /**
+     * Explain an allocation that found no recharge
+     * @param {Object} ticket - Ticket entry object
+     * @param {Object} allocation - From allocateRecharges
+     * @returns {string} Reason
+     */
+    function describeMissingRecharge(ticket, allocation) {
+        switch (allocation.outcome) {
+            case AllocationOutcome.NO_RECHARGE:
+                return 'No recharge found for Game ID: ' + ticket.gameId;
+            case AllocationOutcome.OTHER_PLATFORM:
+                return `No ${ticket.platform} recharge found for Game ID: ${ticket.gameId} (only on other platforms)`;
+            case AllocationOutcome.CONSUMED: {
+                const by = allocation.consumedBy && allocation.consumedBy.ticketNumber;
+                return `Recharges for this draw window were already used${by ? ` (last by ticket #${by})` : ''}`;
+            }
+            case AllocationOutcome.NO_TIME:
+                return 'Invalid registration time';
+            default:
+                return 'Recharge exists but timing does not match draw window';
+        }
+    }
     
     /**
-     * Validate a single ticket against recharge data
+     * Validate a single ticket from its recharge allocation
      * @param {Object} ticket - Ticket entry object
-     * @param {Object[]} rechargesByGameId - Map of game ID to recharges
-     * @param {Object[]} ticketsByGameId - Map of game ID to tickets
+     * @param {Object} allocation - The ticket's allocation from allocateRecharges
+     * @param {Object} options - { ignoreSheetStatus: judge by the rules only }
      * @returns {Object} Validation result
      */
-    function validateTicket(ticket, rechargesByGameId, ticketsByGameId) {
+    function validateTicket(ticket, allocation, options = {}) {
         const result = {
             ticket: ticket,
             status: ValidationStatus.UNKNOWN,
             reason: '',
-            matchedRecharge: null,
+            matchedRecharge: allocation && allocation.recharge ? allocation.recharge : null,
+            allocation: allocation ? allocation.outcome : null,
             isCutoff: false
         };
         
         // Check if ticket already has a valid status
-        const existingStatus = (ticket.status || '').toUpperCase();
-        if (['VALID', 'VALIDADO', 'VALIDATED'].includes(existingStatus)) {
+        // (a pre-validated ticket still consumes a recharge when one is open)
+        if (!options.ignoreSheetStatus && isPreValidated(ticket)) {
             result.status = ValidationStatus.VALID;
             result.reason = 'Pre-validated in source data';
             return result;
         }
         
-        if (['INVALID', 'INVÁLIDO'].includes(existingStatus)) {
+        if (!options.ignoreSheetStatus && isPreInvalidated(ticket)) {
             result.status = ValidationStatus.INVALID;
             result.reason = 'Marked invalid in source data';
             return result;
         }
         
-        // Get recharges for this game ID
-        const gameId = ticket.gameId;
-        if (!gameId) {
+        if (!ticket.gameId) {
             result.status = ValidationStatus.INVALID;
             result.reason = 'Missing Game ID';
             return result;
         }
         
-        const recharges = rechargesByGameId[gameId] || [];
-        const tickets = ticketsByGameId[gameId] || [];
-        
-        if (recharges.length === 0) {
-            result.status = ValidationStatus.INVALID;
-            result.reason = 'No recharge found for Game ID: ' + gameId;
-            return result;
-        }
-        
         // Check for cutoff violation
         // Validate parsedDate is a proper Date object before using Date methods
-        if (ticket.parsedDate && ticket.parsedDate instanceof Date && !isNaN(ticket.parsedDate.getTime())) {
+        if (isValidDate(ticket.parsedDate)) {
             const regHour = ticket.parsedDate.getHours();
             const regMinute = ticket.parsedDate.getMinutes();
-            const dateStr = AdminCore.getBrazilDateString(ticket.parsedDate);
+            const dateStr = DrawCalendar.toDateKey(ticket.parsedDate);
             if (dateStr) {
                 const checkDate = new Date(`${dateStr}T12:00:00-03:00`);
                 const cutoffHour = getCutoffHour(checkDate);
@@ -317,96 +379,272 @@ window.RechargeValidator = (function() {
             }
         }
         
-        // Try to find matching recharge
-        const matchedRecharge = findMatchingRecharge(ticket, recharges, tickets);
-        
-        if (matchedRecharge) {
+        if (result.matchedRecharge) {
+            const recharge = result.matchedRecharge;
             result.status = ValidationStatus.VALID;
-            result.reason = `Matched recharge R$${matchedRecharge.amount || '?'}`;
-            result.matchedRecharge = matchedRecharge;
+            result.reason = `Matched recharge R$${recharge.amount || '?'}${recharge.rechargeId ? ` (${recharge.rechargeId})` : ''}`;
         } else {
             result.status = ValidationStatus.INVALID;
-            result.reason = 'Recharge exists but timing does not match draw window';
+            result.reason = describeMissingRecharge(ticket, allocation || { outcome: AllocationOutcome.NO_RECHARGE });
         }
         
         return result;
     }
 
     /**
-     * Validate all tickets with caching
-     * @param {Object[]} entries - All entry objects
+     * Allocate recharges for a validation run
+     * @param {Object[]} entries - Entries to validate
      * @param {Object[]} recharges - All recharge objects
-     * @param {boolean} skipCache - Skip cache check (for platform-filtered data)
-     * @returns {Object} Validation results with statistics
+     * @param {Object} options - { ignoreSheetStatus }
+     * @returns {Object} { entries, recharges, options, allocations, rechargeStates, unusedRecharges, results, stats }
      */
-    async function validateAllTickets(entries, recharges, skipCache = false) {
-        // Check cache first (only for ALL platform data, not filtered)
-        if (!skipCache) {
-            const cached = DataFetcher.getCachedValidation();
-            if (cached && cached.stats.total === entries.length && cached.entriesCount === entries.length) {
-                console.log('Using cached validation results');
-                return cached;
-            }
-        }
-        
-        console.log('Computing validation results for', entries.length, 'entries...');
-        
-        // Group recharges by game ID
-        const rechargesByGameId = {};
-        recharges.forEach(r => {
-            if (!r.gameId) return;
-            if (!rechargesByGameId[r.gameId]) {
-                rechargesByGameId[r.gameId] = [];
+    function prepareValidation(entries, recharges, options = {}) {
+        const { allocations, rechargeStates, unusedRecharges } = allocateRecharges(entries, recharges, options);
+        return {
+            entries,
+            recharges,
+            options,
+            allocations,
+            rechargeStates,
+            unusedRecharges,
+            results: [],
+            stats: { total: entries.length, valid: 0, invalid: 0, unknown: 0, cutoff: 0 }
+        };
+    }
+
+    /**
+     * Validate entries [from, to) of a prepared run
+     * @param {Object} run - From prepareValidation
+     * @param {number} from - First entry index
+     * @param {number} to - Entry index to stop at
+     */
+    function validateRange(run, from, to) {
+        for (let i = from; i < to; i++) {
+            const validation = validateTicket(run.entries[i], run.allocations.get(run.entries[i]), run.options);
+            run.results.push(validation);
+            
+            switch (validation.status) {
+                case ValidationStatus.VALID:
+                    run.stats.valid++;
+                    break;
+                case ValidationStatus.INVALID:
+                    run.stats.invalid++;
+                    break;
+                default:
+                    run.stats.unknown++;
             }
-            rechargesByGameId[r.gameId].push(r);
-        });
-        
-        // Group tickets by game ID
-        const ticketsByGameId = {};
-        entries.forEach(e => {
-            if (!e.gameId) return;
-            if (!ticketsByGameId[e.gameId]) {
-                ticketsByGameId[e.gameId] = [];
+            
+            if (validation.isCutoff) {
+                run.stats.cutoff++;
             }
-            ticketsByGameId[e.gameId].push(e);
+        }
+    }
+
+    /**
+     * Validate tickets synchronously (used inside validation-worker.js)
+     * @param {Object[]} entries - Entries to validate
+     * @param {Object[]} recharges - All recharge objects
+     * @param {Function} onProgress - (done, total) after each batch
+     * @param {Object} options - { ignoreSheetStatus }
+     * @returns {Object} { results, stats, unusedRecharges, rechargeAllocations, rechargeCount }
+     */
+    function runValidation(entries, recharges, onProgress, options = {}) {
+        const run = prepareValidation(entries, recharges, options);
+        for (let i = 0; i < entries.length; i += PROGRESS_BATCH_SIZE) {
+            validateRange(run, i, Math.min(i + PROGRESS_BATCH_SIZE, entries.length));
+            if (onProgress) onProgress(run.results.length, entries.length);
+        }
+        return {
+            results: run.results,
+            stats: run.stats,
+            unusedRecharges: run.unusedRecharges,
+            rechargeAllocations: run.rechargeStates,
+            rechargeCount: recharges.length
+        };
+    }
+
+    // ============================================
+    // Validation Trace
+    // ============================================
+
+    /**
+     * Cutoff computation for a ticket's registration time
+     * @param {Object} ticket - Ticket entry object
+     * @returns {Object|null} { registeredKey, isDrawDay, drawHour, cutoffAt, afterCutoff, eligibleDrawKey, declaredDrawKey }
+     */
+    function traceCutoff(ticket) {
+        if (!isValidDate(ticket.parsedDate)) return null;
+        const registeredKey = DrawCalendar.toDateKey(ticket.parsedDate);
+        const isDrawDay = DrawCalendar.isDrawDay(registeredKey);
+        const cutoffAt = DrawCalendar.getCutoff(registeredKey);
+        return {
+            registeredKey,
+            isDrawDay,
+            drawHour: DrawCalendar.getDrawHour(registeredKey),
+            cutoffAt,
+            afterCutoff: !isDrawDay || ticket.parsedDate > cutoffAt,
+            eligibleDrawKey: DrawCalendar.getDrawDateKeyFor(ticket.parsedDate),
+            declaredDrawKey: DrawCalendar.toDateKey(ticket.drawDate)
+        };
+    }
+
+    /**
+     * Why a recharge was or was not used for a ticket
+     * @param {Object} ticket - Ticket entry object
+     * @param {Object} recharge - Recharge of the same Game ID
+     * @param {Object} state - { drawKey, consumedBy } from the allocation
+     * @param {Object} validation - The ticket's validation result
+     * @returns {Object} { verdict, detail }
+     */
+    function judgeRecharge(ticket, recharge, state, validation) {
+        const declaredDrawKey = DrawCalendar.toDateKey(ticket.drawDate);
+        if (!state.drawKey) {
+            return { verdict: TraceVerdict.NO_TIME, detail: 'Recharge time could not be read' };
+        }
+        if (!isSamePlatform(recharge, ticket.platform)) {
+            return { verdict: TraceVerdict.OTHER_PLATFORM, detail: `${recharge.platform} recharge, the ticket is ${ticket.platform}` };
+        }
+        if (!isValidDate(ticket.parsedDate) || recharge.rechargeTime >= ticket.parsedDate) {
+            return { verdict: TraceVerdict.AFTER_TICKET, detail: 'Made after the ticket was registered' };
+        }
+        if (state.drawKey !== declaredDrawKey) {
+            return { verdict: TraceVerdict.WRONG_WINDOW, detail: `Counts for the ${state.drawKey} draw, the ticket is for ${declaredDrawKey || 'an unreadable date'}` };
+        }
+        if (state.consumedBy === ticket) {
+            return { verdict: TraceVerdict.USED, detail: 'Used by this ticket' };
+        }
+        if (state.consumedBy) {
+            return { verdict: TraceVerdict.CONSUMED, detail: `Already used by ticket #${state.consumedBy.ticketNumber || '?'}` };
+        }
+        return {
+            verdict: TraceVerdict.SPARE,
+            detail: validation.matchedRecharge ? 'Eligible, but an older recharge was used first' : 'Eligible but not allocated'
+        };
+    }
+
+    /**
+     * Step-by-step explanation of a ticket's validation
+     * @param {Object} validation - Result from validateAllTickets().results
+     * @param {Object} run - The validateAllTickets() result it came from
+     * @returns {Object} {
+     *   outcome, cutoff (see traceCutoff),
+     *   recharges: [{ recharge, time, drawKey, verdict, detail }] oldest first
+     * }
+     */
+    function buildTrace(validation, run) {
+        const ticket = validation.ticket;
+        const recharges = [];
+        (run.rechargeAllocations || new Map()).forEach((state, recharge) => {
+            if (recharge.gameId !== ticket.gameId) return;
+            recharges.push({
+                recharge,
+                time: isValidDate(recharge.rechargeTime) ? recharge.rechargeTime : null,
+                drawKey: state.drawKey,
+                ...judgeRecharge(ticket, recharge, state, validation)
+            });
         });
-        
-        // Validate each ticket
-        const results = [];
-        const stats = {
-            total: entries.length,
-            valid: 0,
-            invalid: 0,
-            unknown: 0,
-            cutoff: 0
+        recharges.sort((a, b) => (a.time ? a.time.getTime() : 0) - (b.time ? b.time.getTime() : 0));
+
+        return {
+            outcome: validation.allocation,
+            cutoff: traceCutoff(ticket),
+            recharges
         };
-        
-        // Process in smaller batches to keep UI responsive
-        const batchSize = 50;
-        const totalBatches = Math.ceil(entries.length / batchSize);
-        
-        for (let i = 0; i < entries.length; i += batchSize) {
-            const batch = entries.slice(i, i + batchSize);
+    }
+
+    // ============================================
+    // Validation Runs (main thread)
+    // ============================================
+
+    /**
+     * @returns {DOMException} Error a cancelled run rejects with
+     */
+    function cancelledError() {
+        return new DOMException('Validation cancelled', 'AbortError');
+    }
+
+    /**
+     * Validate in validation-worker.js
+     * The worker answers with indexes, which are mapped back to the caller's
+     * own entry and recharge objects
+     * @param {Object[]} entries - Entries to validate
+     * @param {Object[]} recharges - All recharge objects
+     * @param {Object} options - { onProgress, signal, ignoreSheetStatus }
+     * @returns {Promise<Object>} { results, stats, unusedRecharges, rechargeAllocations, rechargeCount }
+     */
+    function validateInWorker(entries, recharges, options) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_URL);
+            const { onProgress, signal } = options;
             
-            for (const entry of batch) {
-                const validation = validateTicket(entry, rechargesByGameId, ticketsByGameId);
-                results.push(validation);
-                
-                switch (validation.status) {
-                    case ValidationStatus.VALID:
-                        stats.valid++;
-                        break;
-                    case ValidationStatus.INVALID:
-                        stats.invalid++;
-                        break;
-                    default:
-                        stats.unknown++;
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            // The worker is busy in a synchronous loop, so it is stopped rather than told
+            const onAbort = () => {
+                finish();
+                reject(cancelledError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+            
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'progress') {
+                    if (onProgress) onProgress(data.done, data.total);
+                    return;
                 }
-                
-                if (validation.isCutoff) {
-                    stats.cutoff++;
+                finish();
+                if (data.type === 'error') {
+                    reject(new Error(data.message));
+                    return;
                 }
-            }
+                resolve({
+                    results: data.results.map((r, i) => ({
+                        ticket: entries[i],
+                        status: r.status,
+                        reason: r.reason,
+                        matchedRecharge: r.rechargeIndex >= 0 ? recharges[r.rechargeIndex] : null,
+                        allocation: r.allocation,
+                        isCutoff: r.isCutoff
+                    })),
+                    stats: data.stats,
+                    unusedRecharges: data.unusedRechargeIndexes.map(i => recharges[i]),
+                    rechargeAllocations: new Map(data.rechargeAllocations
+                        .map((state, i) => state && [recharges[i], {
+                            drawKey: state.drawKey,
+                            consumedBy: state.consumedByIndex >= 0 ? entries[state.consumedByIndex] : null
+                        }])
+                        .filter(Boolean)),
+                    rechargeCount: recharges.length
+                });
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                reject(new Error(`Validation worker failed: ${event.message || 'could not start'}`));
+            };
+            
+            worker.postMessage({ type: 'validate', entries, recharges, ignoreSheetStatus: Boolean(options.ignoreSheetStatus) });
+        });
+    }
+
+    /**
+     * Validate on the main thread in small batches (browsers without workers,
+     * or pages opened from file:// where workers cannot load)
+     * @param {Object[]} entries - Entries to validate
+     * @param {Object[]} recharges - All recharge objects
+     * @param {Object} options - { onProgress, signal, ignoreSheetStatus }
+     * @returns {Promise<Object>} { results, stats, unusedRecharges, rechargeAllocations, rechargeCount }
+     */
+    async function validateInPage(entries, recharges, options) {
+        const { onProgress, signal, ignoreSheetStatus } = options;
+        const run = prepareValidation(entries, recharges, { ignoreSheetStatus });
+        const batchSize = 50;
+        
+        for (let i = 0; i < entries.length; i += batchSize) {
+            if (signal && signal.aborted) throw cancelledError();
+            validateRange(run, i, Math.min(i + batchSize, entries.length));
+            if (onProgress) onProgress(run.results.length, entries.length);
             
             // Yield to main thread after each batch - use longer delay for UI responsiveness
             if (i + batchSize < entries.length) {
@@ -414,14 +652,54 @@ window.RechargeValidator = (function() {
             }
         }
         
-        const result = {
-            results,
-            stats,
+        return {
+            results: run.results,
+            stats: run.stats,
+            unusedRecharges: run.unusedRecharges,
+            rechargeAllocations: run.rechargeStates,
             rechargeCount: recharges.length
         };
+    }
+
+    /**
+     * Validate all tickets with caching
+     * Runs in a Web Worker when available; a cancelled run rejects with an AbortError
+     * @param {Object[]} entries - All entry objects
+     * @param {Object[]} recharges - All recharge objects
+     * @param {boolean} skipCache - Skip cache check (for platform-filtered data)
+     * @param {Object} options - { onProgress(done, total), signal: AbortSignal,
+     *                            ignoreSheetStatus (never cached: the pages show the sheet-aware run) }
+     * @returns {Promise<Object>} Validation results with statistics
+     */
+    async function validateAllTickets(entries, recharges, skipCache = false, options = {}) {
+        // Check cache first (only for ALL platform data, not filtered)
+        if (!skipCache && !options.ignoreSheetStatus) {
+            const cached = DataFetcher.getCachedValidation();
+            if (cached && cached.stats.total === entries.length && cached.entriesCount === entries.length) {
+                console.log('Using cached validation results');
+                return cached;
+            }
+        }
+        if (options.signal && options.signal.aborted) throw cancelledError();
+        
+        console.log('Computing validation results for', entries.length, 'entries...');
+        
+        let result;
+        if (WORKER_URL && typeof Worker !== 'undefined' && !workerUnavailable) {
+            try {
+                result = await validateInWorker(entries, recharges, options);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('RechargeValidator: worker unavailable, validating in page:', error.message);
+                workerUnavailable = true;
+            }
+        }
+        if (!result) {
+            result = await validateInPage(entries, recharges, options);
+        }
         
         // Cache the results
-        DataFetcher.setCachedValidation(result);
+        if (!options.ignoreSheetStatus) DataFetcher.setCachedValidation(result);
         
         return result;
     }
@@ -548,6 +826,9 @@ window.RechargeValidator = (function() {
         // Validation
         validateTicket,
         validateAllTickets,
+        runValidation,
+        allocateRecharges,
+        buildTrace,
         
         // Engagement
         analyzeEngagement,
@@ -562,8 +843,9 @@ window.RechargeValidator = (function() {
         
         // Constants
         ValidationStatus,
-        DEFAULT_CUTOFF_HOUR,
-        EARLY_CUTOFF_HOUR
+        AllocationOutcome,
+        TraceVerdict,
+        DEFAULT_CUTOFF_HOUR
     };
 })();
 
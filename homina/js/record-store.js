@@ -0,0 +1,255 @@
+/**
+ * POP-SORTE Admin Dashboard - Record Store Module
+ *
+ * This module handles:
+ * - Persisted record collections (payout ledger, validation overrides): records
+ *   keyed by id, loaded once per store, with change subscribers
+ * - The pluggable stores behind them: localStorage, IndexedDB, or the Worker
+ * - Picking the store: local ones on a developer machine, the Worker otherwise
+ *
+ * Store interface:
+ * - name: label shown in the UI
+ * - load(): Promise<Object[]> every record
+ * - put(record): Promise<void> insert or replace one record by id
+ *
+ * Worker contract (production store, one collection per resource):
+ * - GET  /api/admin/<resource>       -> { <resource>: [record] }
+ * - PUT  /api/admin/<resource>/:id   body: record -> { ok: true }
+ * - Both send Authorization: Bearer <session token>; 401 ends the session
+ *
+ * Dependencies: admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Record Store Module
+// ============================================
+window.RecordStore = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const WORKER_BASE = 'https://popsorte-api.danilla-vargas1923.workers.dev';
+    const LOCAL_HOSTS = ['localhost', '127.0.0.1', ''];
+
+    // ============================================
+    // Stores
+    // ============================================
+
+    /**
+     * Store backed by localStorage
+     * @param {string} key - Storage key
+     * @returns {Object} Store
+     */
+    function createLocalStore(key) {
+        const read = () => {
+            try {
+                const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+                return Array.isArray(parsed) ? parsed : [];
+            } catch (e) {
+                console.warn(`RecordStore: could not read localStorage ${key}:`, e);
+                return [];
+            }
+        };
+
+        return {
+            name: 'localStorage',
+            load: async () => read(),
+            put: async (record) => {
+                const all = read().filter(r => r.id !== record.id);
+                all.push(record);
+                localStorage.setItem(key, JSON.stringify(all));
+            }
+        };
+    }
+
+    /**
+     * Store backed by IndexedDB (one object store keyed by id)
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     * @returns {Object} Store
+     */
+    function createIndexedDbStore(dbName, storeName) {
+        let dbPromise = null;
+        const open = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        if (!request.result.objectStoreNames.contains(storeName)) {
+                            request.result.createObjectStore(storeName, { keyPath: 'id' });
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
+        const run = async (mode, action) => {
+            const db = await open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = action(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onerror = () => reject(tx.error);
+            });
+        };
+
+        return {
+            name: 'IndexedDB',
+            load: () => run('readonly', os => os.getAll()),
+            put: (record) => run('readwrite', os => os.put(record)).then(() => undefined)
+        };
+    }
+
+    /**
+     * Store backed by the Worker (production). Requests carry the session's
+     * Bearer token; a 401 ends the session.
+     * @param {string} resource - Collection under /api/admin, also the list key of the GET response
+     * @param {string} baseUrl - Worker base URL
+     * @returns {Object} Store
+     */
+    function createWorkerStore(resource, baseUrl = WORKER_BASE) {
+        const url = `${baseUrl}/api/admin/${resource}`;
+
+        const request = async (target, options = {}) => {
+            const response = await fetch(target, {
+                ...options,
+                headers: { ...AdminCore.getAuthHeaders(), ...options.headers }
+            });
+            if (response.status === 401) {
+                AdminCore.handleUnauthorized();
+                throw new Error('Unauthorized');
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response;
+        };
+
+        return {
+            name: 'Worker',
+            load: async () => {
+                const response = await request(url, { cache: 'no-store' });
+                const data = await response.json();
+                return Array.isArray(data[resource]) ? data[resource] : [];
+            },
+            put: async (record) => {
+                await request(`${url}/${encodeURIComponent(record.id)}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(record)
+                });
+            }
+        };
+    }
+
+    /**
+     * Local stores when running on a developer machine, the Worker otherwise
+     * @param {Object} locations - { resource, dbName, storeName, localKey }
+     * @returns {Object} Store
+     */
+    function getDefaultStore(locations) {
+        if (!LOCAL_HOSTS.includes(location.hostname)) return createWorkerStore(locations.resource);
+        return typeof indexedDB !== 'undefined'
+            ? createIndexedDbStore(locations.dbName, locations.storeName)
+            : createLocalStore(locations.localKey);
+    }
+
+    // ============================================
+    // Collections
+    // ============================================
+
+    /**
+     * Records of one kind, kept in memory by id and persisted through a store
+     * @param {string} label - Name used in log messages
+     * @param {Object} locations - Default store locations (see getDefaultStore)
+     * @returns {Object} { init, save, emit, get, has, getAll, size, getStoreName, subscribe }
+     */
+    function createCollection(label, locations) {
+        let store = null;
+        let records = new Map();    // id -> record
+        let loadPromise = null;
+        const listeners = new Set();
+
+        const getAll = () => [...records.values()];
+
+        /**
+         * Notify subscribers
+         */
+        const emit = () => {
+            const snapshot = getAll();
+            listeners.forEach(listener => {
+                try {
+                    listener(snapshot);
+                } catch (e) {
+                    console.error(`${label} listener error:`, e);
+                }
+            });
+        };
+
+        return {
+            /**
+             * Select the store and load the records (once per store)
+             * @param {Object} customStore - Store (default: getDefaultStore(locations))
+             * @returns {Promise<number>} Number of records
+             */
+            init(customStore) {
+                if (customStore) {
+                    store = customStore;
+                    loadPromise = null;
+                }
+                if (!store) store = getDefaultStore(locations);
+                if (!loadPromise) {
+                    loadPromise = store.load().then(list => {
+                        records = new Map(list.map(r => [r.id, r]));
+                        emit();
+                        return records.size;
+                    }).catch(error => {
+                        loadPromise = null;
+                        throw error;
+                    });
+                }
+                return loadPromise;
+            },
+
+            /**
+             * Persist a record (callers notify once they are done)
+             * @param {Object} record - Record
+             * @returns {Promise<Object>} Record
+             */
+            async save(record) {
+                await store.put(record);
+                records.set(record.id, record);
+                return record;
+            },
+
+            emit,
+            get: id => records.get(id) || null,
+            has: id => records.has(id),
+            getAll,
+            size: () => records.size,
+            getStoreName: () => (store ? store.name : ''),
+
+            /**
+             * Subscribe to changes
+             * @param {Function} listener - (records) => void
+             * @returns {Function} Unsubscribe
+             */
+            subscribe(listener) {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            }
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        createCollection,
+        createLocalStore,
+        createIndexedDbStore,
+        createWorkerStore,
+        getDefaultStore
+    };
+})();
@@ -4,7 +4,7 @@
  * This module handles fetching and caching of:
  * - Lottery results (winning numbers) from Google Sheets
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), ../csv-parser.js (CsvParser)
  */
 
 // ============================================
@@ -176,20 +176,18 @@ window.ResultsFetcher = (function() {
 
         try {
             const csvText = await fetchCSV(RESULTS_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
+            const rows = CsvParser.parse(csvText);
 
-            if (lines.length <= 1) {
+            if (rows.length <= 1) {
                 cache.results = { data: [], timestamp: now };
                 fetchLock = false;
                 return [];
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
             const results = [];
 
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                const result = parseResultRow(row);
+            for (let i = 1; i < rows.length; i++) {
+                const result = parseResultRow(rows[i]);
                 if (result) {
                     results.push(result);
                 }
@@ -0,0 +1,418 @@
+/**
+ * POP-SORTE Admin Dashboard - Sheet Schema Module
+ *
+ * This module handles:
+ * - Mapping entries and recharge CSV columns by header name (PT/EN aliases, configurable)
+ * - Re-aligning rows whose unquoted values spilled into extra columns
+ *   ("01, 12, 22, 25, 44" numbers, "Mon, 22 Dec 2025" dates)
+ * - Building timestamps from split DATE / TIME columns when needed
+ * - A report of the mapped columns and of every rejected row with its reason
+ *
+ * Sheets without a recognizable header fall back to their original layout:
+ * - entries: Timestamp, Platform, Game ID, WhatsApp, Numbers, Draw Date, Contest, Ticket #, Status
+ * - recharges: DATE, TIME, Member ID, Order Number, Change Amount, Balance After Change
+ *
+ * Dependencies: admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Sheet Schema Module
+// ============================================
+window.SheetSchema = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Per dataset:
+     * aliases: header aliases per field, compared after normalizeHeader()
+     *          (upper case, no accents, punctuation collapsed to single spaces)
+     * required: fields the header must map, otherwise the legacy layout is assumed
+     * legacy: field of each column in the original layout
+     */
+    const DATASETS = {
+        entries: {
+            aliases: {
+                timestamp: ['TIMESTAMP', 'DATA HORA REGISTRO', 'DATA HORA', 'DATA E HORA', 'REGISTRO', 'REGISTERED AT'],
+                date: ['DATE', 'DATA', 'DATA REGISTRO'],
+                time: ['TIME', 'HORA', 'HORA REGISTRO'],
+                platform: ['PLATFORM', 'PLATAFORMA'],
+                gameId: ['GAME ID', 'GAMEID', 'ID JOGO', 'ID DO JOGO'],
+                whatsapp: ['WHATSAPP', 'WHATS', 'TELEFONE', 'CELULAR', 'PHONE'],
+                numbers: ['NUMBERS', 'CHOSEN NUMBERS', 'NUMEROS', 'NUMEROS ESCOLHIDOS', 'DEZENAS'],
+                drawDate: ['DRAW DATE', 'DATA SORTEIO', 'DATA DO SORTEIO'],
+                contest: ['CONTEST', 'CONCURSO'],
+                ticketNumber: ['TICKET', 'TICKET #', 'TICKET NUMBER', 'BILHETE', 'BILHETE #', 'NUMERO BILHETE'],
+                status: ['STATUS', 'SITUACAO']
+            },
+            required: ['gameId', 'numbers'],
+            legacy: ['timestamp', 'platform', 'gameId', 'whatsapp', 'numbers', 'drawDate', 'contest', 'ticketNumber', 'status']
+        },
+        recharges: {
+            aliases: {
+                timestamp: ['TIMESTAMP', 'DATA HORA', 'DATE TIME', 'RECHARGE TIME'],
+                date: ['DATE', 'DATA'],
+                time: ['TIME', 'HORA'],
+                gameId: ['MEMBER ID', 'GAME ID', 'GAMEID', 'ID MEMBRO', 'ID DO MEMBRO'],
+                orderNumber: ['ORDER NUMBER', 'ORDER ID', 'ORDER NO', 'RECHARGE ID', 'NUMERO PEDIDO', 'NUMERO DO PEDIDO', 'PEDIDO'],
+                amount: ['CHANGE AMOUNT', 'AMOUNT', 'VALOR', 'VALOR ALTERACAO', 'VALOR RECARGA'],
+                balanceAfter: ['BALANCE AFTER CHANGE', 'BALANCE', 'SALDO', 'SALDO APOS ALTERACAO']
+            },
+            required: ['gameId', 'amount'],
+            legacy: ['date', 'time', 'gameId', 'orderNumber', 'amount', 'balanceAfter']
+        }
+    };
+
+    const TIME_FIELDS = ['timestamp', 'date', 'time'];
+    const DRAW_SIZE = 5;
+    const MIN_NUMBER = 1;
+    const MAX_NUMBER = 80;
+
+    const MONTHS = {
+        jan: 1, feb: 2, fev: 2, mar: 3, apr: 4, abr: 4, may: 5, mai: 5, jun: 6,
+        jul: 7, aug: 8, ago: 8, sep: 9, set: 9, oct: 10, out: 10, nov: 11, dec: 12, dez: 12
+    };
+    const WEEKDAY_PATTERN = /^(mon|tue|wed|thu|fri|sat|sun|seg|ter|qua|qui|sex|sab|dom)[a-z]*\.?$/i;
+    const DAY_MONTH_YEAR_PATTERN = /^\d{1,2}\s+[a-z]{3}[a-z]*\.?\s+\d{4}$/i;
+
+    // ============================================
+    // State
+    // ============================================
+    const aliasOverrides = { entries: {}, recharges: {} };
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * @param {string} header - Header cell
+     * @returns {string} Comparable header ("NÚMEROS ESCOLHIDOS" -> "NUMEROS ESCOLHIDOS")
+     */
+    function normalizeHeader(header) {
+        return String(header || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9#]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Date in DD/MM/YYYY
+     * @param {string} value - "22/12/2025", "2025-12-22" or "Mon, 22 Dec 2025"
+     * @returns {string|null} Date or null when not recognized
+     */
+    function normalizeDate(value) {
+        const text = String(value || '').trim();
+        let m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (m) return `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}/${m[3]}`;
+
+        m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (m) return `${m[3]}/${m[2]}/${m[1]}`;
+
+        m = text.match(/(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})/i);
+        if (m && MONTHS[m[2].toLowerCase()]) {
+            return `${m[1].padStart(2, '0')}/${String(MONTHS[m[2].toLowerCase()]).padStart(2, '0')}/${m[3]}`;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} value - "13:46:46" or "13:46"
+     * @returns {string|null} HH:MM:SS
+     */
+    function normalizeTime(value) {
+        const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        return m ? `${m[1].padStart(2, '0')}:${m[2]}:${m[3] || '00'}` : null;
+    }
+
+    /**
+     * Timestamp "DD/MM/YYYY HH:MM:SS" from a timestamp column or split DATE / TIME columns
+     * @param {Object} values - Row values by field
+     * @returns {string} Timestamp (as found when it cannot be normalized)
+     */
+    function buildTimestamp(values) {
+        const timestamp = values.timestamp || '';
+        if (AdminCore.parseBrazilDateTime(timestamp) && /\d{1,2}:\d{2}/.test(timestamp)) return timestamp;
+
+        const date = normalizeDate(values.date || timestamp);
+        const time = normalizeTime(values.time);
+        if (!date) return timestamp;
+        return time ? `${date} ${time}` : date;
+    }
+
+    /**
+     * @param {string} value - Cell
+     * @returns {boolean} True for a lone number that can be a played number
+     */
+    function isLoneNumber(value) {
+        if (!/^\d{1,2}$/.test(String(value).trim())) return false;
+        const n = parseInt(value, 10);
+        return n >= MIN_NUMBER && n <= MAX_NUMBER;
+    }
+
+    /**
+     * How many cells a column takes in a row (values spill when the export forgot the quotes)
+     * @param {string} field - Field of the column (null when unmapped)
+     * @param {string[]} row - Row cells
+     * @param {number} at - First cell of the column
+     * @returns {number} Cells to consume
+     */
+    function spanOf(field, row, at) {
+        if (field === 'numbers') {
+            if (!isLoneNumber(row[at])) return 1;
+            let span = 1;
+            while (span < DRAW_SIZE && at + span < row.length && isLoneNumber(row[at + span])) span++;
+            return span;
+        }
+        if (field === 'date' || field === 'drawDate' || field === 'timestamp') {
+            const next = String(row[at + 1] || '').trim();
+            return WEEKDAY_PATTERN.test(String(row[at] || '').trim()) && DAY_MONTH_YEAR_PATTERN.test(next) ? 2 : 1;
+        }
+        return 1;
+    }
+
+    /**
+     * Values of a row by field, following the schema's columns
+     * @param {string[]} row - Row cells
+     * @param {Object} schema - From detect()
+     * @returns {Object} { values, realigned }
+     */
+    function alignRow(row, schema) {
+        const values = {};
+        let at = 0;
+        schema.columns.forEach(field => {
+            const span = spanOf(field, row, at);
+            if (field) values[field] = row.slice(at, at + span).map(cell => String(cell).trim()).filter(Boolean).join(', ');
+            at += span;
+        });
+        return { values, realigned: at !== schema.columns.length };
+    }
+
+    /**
+     * @param {string} dataset - 'entries' or 'recharges'
+     * @returns {Object} Aliases with the configured overrides appended
+     */
+    function getAliases(dataset) {
+        const aliases = {};
+        Object.entries(DATASETS[dataset].aliases).forEach(([field, list]) => {
+            aliases[field] = [...list, ...(aliasOverrides[dataset][field] || [])];
+        });
+        return aliases;
+    }
+
+    // ============================================
+    // Record builders
+    // ============================================
+    // Each returns { record } or { error }
+
+    function buildEntry(values) {
+        const gameId = values.gameId || '';
+        if (!gameId) return { error: 'Missing Game ID' };
+
+        const numbers = (values.numbers || '')
+            .split(/[,;|\t\s]+/)
+            .map(n => parseInt(n, 10))
+            .filter(n => !isNaN(n) && n >= MIN_NUMBER && n <= MAX_NUMBER);
+        const distinct = new Set(numbers).size;
+        if (numbers.length !== DRAW_SIZE || distinct !== DRAW_SIZE) {
+            return { error: `Expected ${DRAW_SIZE} distinct numbers between 01 and 80, got ${distinct}` };
+        }
+
+        const timestamp = buildTimestamp(values);
+        const drawDate = values.drawDate || '';
+        return {
+            record: {
+                timestamp,
+                parsedDate: AdminCore.parseBrazilDateTime(timestamp),
+                platform: (values.platform || 'POPN1').toUpperCase(),
+                gameId,
+                whatsapp: values.whatsapp || '',
+                numbers,
+                drawDate: normalizeDate(drawDate) || drawDate,
+                contest: values.contest || '',
+                ticketNumber: values.ticketNumber || '',
+                status: (values.status || 'PENDING').toUpperCase()
+            }
+        };
+    }
+
+    function buildRecharge(values, platform) {
+        const gameId = (values.gameId || '').replace(/\D/g, '');
+        if (!gameId) return { error: 'Missing Member ID' };
+
+        // "1.234,56" and "1,234.56" both read as 1234.56
+        const rawAmount = (values.amount || '').replace(/\s/g, '');
+        const amount = parseFloat(/,\d{1,2}$/.test(rawAmount)
+            ? rawAmount.replace(/\./g, '').replace(',', '.')
+            : rawAmount.replace(/,/g, ''));
+        if (isNaN(amount)) return { error: `Unreadable amount "${values.amount || ''}"` };
+        if (amount <= 0) return { error: `Not a recharge (change of ${amount})` };
+
+        const timestamp = buildTimestamp(values);
+        const rechargeTime = AdminCore.parseBrazilDateTime(timestamp);
+        if (!rechargeTime || !/\d{1,2}:\d{2}/.test(timestamp)) return { error: `Unreadable date/time "${timestamp}"` };
+
+        const balanceAfter = parseFloat((values.balanceAfter || '').replace(/,/g, ''));
+        return {
+            record: {
+                platform,
+                gameId,
+                rechargeId: values.orderNumber || '',
+                orderNumber: values.orderNumber || '',
+                rechargeTime,
+                rechargeTimeRaw: timestamp,
+                amount,
+                balanceAfter: isNaN(balanceAfter) ? null : balanceAfter,
+                status: 'RECHARGE'
+            }
+        };
+    }
+
+    /**
+     * Parse a sheet with a record builder
+     * @param {string[][]} rows - Header row first
+     * @param {string} dataset - 'entries' or 'recharges'
+     * @param {Function} build - (values) => { record } | { error }
+     * @returns {Object} { records (each with its sheetRow line number), report }
+     */
+    function parseWith(rows, dataset, build) {
+        const schema = detect(rows[0] || [], dataset);
+        const records = [];
+        const rejected = [];
+        let realigned = 0;
+
+        rows.slice(1).forEach((row, i) => {
+            // +2: 1-based line numbers, after the header
+            const line = i + 2;
+            if (row.every(cell => !String(cell).trim())) {
+                rejected.push({ line, reason: 'Empty row', preview: '' });
+                return;
+            }
+
+            const aligned = alignRow(row, schema);
+            const result = build(aligned.values);
+            if (result.error) {
+                rejected.push({ line, reason: result.error, preview: row.join(', ').slice(0, 120) });
+                return;
+            }
+            if (aligned.realigned) realigned++;
+            result.record.sheetRow = line;
+            records.push(result.record);
+        });
+
+        return {
+            records,
+            report: {
+                source: schema.source,
+                mapped: schema.mapped,
+                unmapped: schema.unmapped,
+                missing: schema.missing,
+                totalRows: Math.max(rows.length - 1, 0),
+                accepted: records.length,
+                realigned,
+                rejected
+            }
+        };
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Add header aliases (e.g. a new sheet column name)
+     * @param {string} dataset - 'entries' or 'recharges'
+     * @param {Object} overrides - { field: [aliases] } (appended to the defaults)
+     */
+    function configure(dataset, overrides = {}) {
+        if (!DATASETS[dataset]) throw new Error(`SheetSchema: unknown dataset "${dataset}"`);
+        Object.keys(overrides).forEach(field => {
+            if (!DATASETS[dataset].aliases[field]) throw new Error(`SheetSchema: unknown ${dataset} field "${field}"`);
+        });
+        aliasOverrides[dataset] = { ...overrides };
+    }
+
+    /**
+     * Map header cells to fields
+     * @param {string[]} headerRow - Header cells
+     * @param {string} dataset - 'entries' or 'recharges'
+     * @returns {Object} {
+     *   source: 'header' | 'legacy',
+     *   columns: [field|null] per header cell,
+     *   mapped: [{ field, header, index }], unmapped: [header], missing: [field]
+     * }
+     */
+    function detect(headerRow, dataset) {
+        const definition = DATASETS[dataset];
+        const aliases = getAliases(dataset);
+        const lookup = new Map();
+        Object.entries(aliases).forEach(([field, list]) => {
+            list.forEach(alias => {
+                const key = normalizeHeader(alias);
+                if (!lookup.has(key)) lookup.set(key, field);
+            });
+        });
+
+        const used = new Set();
+        const columns = headerRow.map(header => {
+            const field = lookup.get(normalizeHeader(header));
+            if (!field || used.has(field)) return null;
+            used.add(field);
+            return field;
+        });
+
+        if (!definition.required.every(field => used.has(field))) {
+            return {
+                source: 'legacy',
+                columns: definition.legacy.slice(),
+                mapped: definition.legacy.map((field, index) => ({ field, header: headerRow[index] || '', index })),
+                unmapped: headerRow.slice(definition.legacy.length),
+                missing: []
+            };
+        }
+
+        const hasTimestamp = used.has('timestamp') || used.has('date');
+        return {
+            source: 'header',
+            columns,
+            mapped: columns.map((field, index) => ({ field, header: headerRow[index], index })).filter(c => c.field),
+            unmapped: headerRow.filter((header, index) => !columns[index]),
+            missing: Object.keys(aliases).filter(field => !used.has(field) && !(hasTimestamp && TIME_FIELDS.includes(field)))
+        };
+    }
+
+    /**
+     * Parse entry rows
+     * @param {string[][]} rows - Header row first
+     * @returns {Object} { entries, report: { source, mapped, unmapped, missing, totalRows, accepted, realigned, rejected: [{ line, reason, preview }] } }
+     */
+    function parseEntries(rows) {
+        const { records, report } = parseWith(rows, 'entries', buildEntry);
+        return { entries: records, report };
+    }
+
+    /**
+     * Parse one platform's recharge rows
+     * @param {string[][]} rows - Header row first
+     * @param {string} platform - Platform the sheet belongs to
+     * @returns {Object} { recharges, report } (report as parseEntries, plus platform)
+     */
+    function parseRecharges(rows, platform) {
+        const { records, report } = parseWith(rows, 'recharges', values => buildRecharge(values, platform));
+        return { recharges: records, report: { ...report, platform } };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        configure,
+        detect,
+        parseEntries,
+        parseRecharges,
+        normalizeHeader,
+        normalizeDate
+    };
+})();
@@ -1,7 +1,7 @@
 /**
  * POP-SORTE Admin Dashboard - Unified Page Module
  * 
- * This module combines Dashboard, Entries, Results, and Winners into a single
+ * This module combines Dashboard, Entries, Results, Winners and Suspicious Activity into a single
  * scrollable page. All sections load together and sidebar navigation scrolls
  * to the appropriate section.
  * 
@@ -12,7 +12,9 @@
  * - Real-time updates
  * 
  * Dependencies: AdminCore, DataStore, DataFetcher, ResultsFetcher, 
- *               RechargeValidator, WinnerCalculator, AdminCharts
+ *               RechargeValidator, WinnerCalculator, AdminCharts, ContestRegistry,
+ *               TicketSignature, PayoutLedger, PixBatch, WinnerNotifier, FraudDetector,
+ *               ValidationOverrides, DiscrepancyReport
  */
 
 window.UnifiedPage = (function() {
@@ -28,7 +30,8 @@ window.UnifiedPage = (function() {
         recharges: [],      // Platform-filtered recharges
         allRecharges: [],   // All recharges (for validation)
         results: [],
-        validationResults: null
+        computedValidation: null,   // RechargeValidator run as computed
+        validationResults: null     // Same run with manual overrides applied (what every section shows)
     };
     
     // Entries pagination state
@@ -55,9 +58,47 @@ window.UnifiedPage = (function() {
         prizeLevel: 'all'
     };
 
-    // Validation cache
+    // Suspicious activity state
+    let suspiciousAnalysis = null;
+    let suspiciousFilters = {
+        signal: 'all',
+        level: 'all'
+    };
+
+    // Validation cache (entryKey -> validation result)
     let validationMap = new Map();
 
+    // Contest registry mismatches (entryKey -> mismatch)
+    let contestMismatchMap = new Map();
+    let lastMismatchCount = 0;
+    
+    // Validation in flight; aborted when a newer load (platform switch, refresh) starts
+    let validationController = null;
+    
+    // Last sheet STATUS discrepancy report (corrections CSV is built from it)
+    let discrepancyReport = null;
+
+    /**
+     * Unique key of an entry row: the ticket number is a per-player ordinal
+     * ("1º bilhete"), so rows are told apart the way overrides are keyed
+     * @param {Object} entry - Entry
+     * @returns {string} Key
+     */
+    function entryKey(entry) {
+        return ValidationOverrides.keyFor(entry);
+    }
+
+    /**
+     * @param {string} key - entryKey() of a row
+     * @returns {Object|null} Entry, from the selected platform first
+     */
+    function findEntryByKey(key) {
+        // allEntries: a scanned ticket may belong to another platform than the one selected
+        return currentData.entries.find(e => entryKey(e) === key)
+            || currentData.allEntries.find(e => entryKey(e) === key)
+            || null;
+    }
+
     // ============================================
     // DASHBOARD SECTION
     // ============================================
@@ -101,6 +142,9 @@ window.UnifiedPage = (function() {
             document.getElementById('statPOPLUZTickets').textContent = breakdown.POPLUZ.count.toLocaleString() + ' tickets';
         }
         
+        // Contest number warnings
+        renderContestWarning();
+        
         // Engagement
         renderEngagement();
         
@@ -120,6 +164,46 @@ window.UnifiedPage = (function() {
         renderWinnersStats();
     }
 
+    /**
+     * Check ticket concursos against the contest registry and show the dashboard warning
+     */
+    function renderContestWarning() {
+        const warningEl = document.getElementById('contestRegistryWarning');
+        const mismatches = [...contestMismatchMap.values()];
+        const drift = ContestRegistry.getDrift();
+        
+        if (!warningEl) return;
+        if (mismatches.length === 0 && drift.length === 0) {
+            warningEl.style.display = 'none';
+            return;
+        }
+        
+        const byContest = {};
+        mismatches.forEach(m => {
+            const key = `${m.ticketContest ?? '?'} → ${m.expectedContest ?? 'no draw'}`;
+            byContest[key] = (byContest[key] || 0) + 1;
+        });
+        const summary = Object.entries(byContest)
+            .slice(0, 5)
+            .map(([key, count]) => `${key} (${count})`)
+            .join(', ');
+        
+        const parts = [];
+        if (mismatches.length > 0) {
+            parts.push(`<strong>${mismatches.length} ticket(s)</strong> have a concurso that disagrees with the published results: ${summary}`);
+        }
+        if (drift.length > 0) {
+            const last = drift[drift.length - 1];
+            parts.push(`Draw calendar drift on ${last.dateKey}: calendar expected #${last.expected}, results say #${last.actual} (check draw-calendar-data.js)`);
+        }
+        
+        warningEl.innerHTML = `
+            <span class="status-banner-icon">⚠️</span>
+            <span class="status-banner-text">${parts.join('<br>')}</span>
+        `;
+        warningEl.style.display = 'flex';
+    }
+
     function renderEngagement() {
         const { entries, recharges } = currentData;
         
@@ -281,16 +365,20 @@ window.UnifiedPage = (function() {
             } else if (validationResults) {
                 banner.className = 'status-banner success';
                 const platformNote = platform === 'ALL' ? '' : ` (${recharges.length} for ${platform})`;
-                banner.innerHTML = `<span class="status-banner-icon">✅</span><span class="status-banner-text">Validation complete. ${allRecharges.length} total recharges${platformNote}.</span>`;
+                const overrideNote = validationResults.stats.overridden ? ` ${validationResults.stats.overridden} manual override(s) applied.` : '';
+                banner.innerHTML = `<span class="status-banner-icon">✅</span><span class="status-banner-text">Validation complete. ${allRecharges.length} total recharges${platformNote}.${overrideNote}</span>`;
             }
         }
         
+        renderEntriesImportReport();
+        renderRechargesImportReport();
+        
         // Build validation map
         validationMap.clear();
         if (validationResults) {
             validationResults.results.forEach(v => {
-                if (v.ticket?.ticketNumber) {
-                    validationMap.set(v.ticket.ticketNumber, v);
+                if (v.ticket) {
+                    validationMap.set(entryKey(v.ticket), v);
                 }
             });
         }
@@ -306,6 +394,70 @@ window.UnifiedPage = (function() {
         applyEntriesFilters();
     }
 
+    function renderEntriesImportReport() {
+        const container = document.getElementById('entriesImportReport');
+        const report = DataFetcher.getEntriesReport();
+        if (!container) return;
+        if (!report) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const source = report.source === 'header' ? 'columns matched by header' : 'header not recognized, original column order assumed';
+        const rejectedText = report.rejected.length > 0 ? ` · ⚠️ ${report.rejected.length} rows rejected` : '';
+        document.getElementById('entriesImportSummary').textContent =
+            `Import: ${report.accepted.toLocaleString()} of ${report.totalRows.toLocaleString()} rows (${source})${rejectedText}`;
+        document.getElementById('entriesImportDetails').innerHTML = renderImportReportDetails(report);
+        container.style.display = '';
+    }
+
+    function renderRechargesImportReport() {
+        const container = document.getElementById('rechargesImportReport');
+        const reports = Object.entries(DataFetcher.getRechargesReports());
+        if (!container) return;
+        if (reports.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const rejectedTotal = reports.reduce((sum, [, r]) => sum + r.rejected.length, 0);
+        const counts = reports.map(([platform, r]) => `${platform} ${r.accepted.toLocaleString()}/${r.totalRows.toLocaleString()}`).join(' · ');
+        document.getElementById('rechargesImportSummary').textContent =
+            `Recharges import: ${counts}${rejectedTotal > 0 ? ` · ${rejectedTotal} rows rejected` : ''}`;
+        document.getElementById('rechargesImportDetails').innerHTML = reports.map(([platform, report]) => `
+            <h4>${AdminCore.escapeHtml(platform)}${report.source === 'legacy' ? ' <span class="badge badge-warning">header not recognized</span>' : ''}</h4>
+            ${renderImportReportDetails(report)}
+        `).join('');
+        container.style.display = '';
+    }
+
+    function renderImportReportDetails(report) {
+        const mapped = report.mapped.map(c => `<span class="badge badge-info">${AdminCore.escapeHtml(c.header || `#${c.index + 1}`)} → ${c.field}</span>`).join(' ');
+        const unmapped = report.unmapped.map(h => `<span class="badge badge-gray">${AdminCore.escapeHtml(h)}</span>`).join(' ');
+        const missing = report.missing.map(f => `<span class="badge badge-warning">${f}</span>`).join(' ');
+        const rejectedRows = report.rejected.slice(0, 50).map(r => `
+            <tr>
+                <td>${r.line}</td>
+                <td>${AdminCore.escapeHtml(r.reason)}</td>
+                <td><small class="text-muted">${AdminCore.escapeHtml(r.preview)}</small></td>
+            </tr>`).join('');
+        
+        return `
+            <p><strong>Mapped:</strong> ${mapped}</p>
+            ${unmapped ? `<p><strong>Ignored columns:</strong> ${unmapped}</p>` : ''}
+            ${missing ? `<p><strong>Not in the sheet:</strong> ${missing}</p>` : ''}
+            ${report.realigned > 0 ? `<p class="text-muted">${report.realigned.toLocaleString()} rows had unquoted values spread over several columns and were re-aligned.</p>` : ''}
+            ${rejectedRows ? `
+                <div class="table-container">
+                    <table class="table">
+                        <thead><tr><th>Line</th><th>Reason</th><th>Row</th></tr></thead>
+                        <tbody>${rejectedRows}</tbody>
+                    </table>
+                </div>
+                ${report.rejected.length > 50 ? `<p class="text-muted">Showing 50 of ${report.rejected.length} rejected rows</p>` : ''}` : ''}
+        `;
+    }
+
     function applyEntriesFilters() {
         let result = [...currentData.entries];
         
@@ -322,7 +474,8 @@ window.UnifiedPage = (function() {
         }
         if (entriesFilters.validity !== 'all') {
             result = result.filter(e => {
-                const validation = validationMap.get(e.ticketNumber);
+                const validation = validationMap.get(entryKey(e));
+                if (entriesFilters.validity === 'overridden') return Boolean(validation?.override);
                 const status = validation?.status || 'UNKNOWN';
                 return entriesFilters.validity === 'valid' ? status === 'VALID' : status === 'INVALID';
             });
@@ -347,7 +500,7 @@ window.UnifiedPage = (function() {
         }
         
         tbody.innerHTML = pageEntries.map(entry => {
-            const validation = validationMap.get(entry.ticketNumber);
+            const validation = validationMap.get(entryKey(entry));
             const status = validation?.status || 'UNKNOWN';
             
             let statusBadge = '';
@@ -356,6 +509,9 @@ window.UnifiedPage = (function() {
                 case 'INVALID': statusBadge = '<span class="badge badge-danger">❌ INVALID</span>'; break;
                 default: statusBadge = '<span class="badge badge-warning">⏳ PENDING</span>';
             }
+            if (validation?.override) {
+                statusBadge += ` <span class="badge badge-info" title="Manual override by ${AdminCore.escapeHtml(validation.override.operator)} (computed: ${validation.computedStatus})">✍️</span>`;
+            }
             
             const formattedTime = entry.parsedDate
                 ? AdminCore.formatBrazilDateTime(entry.parsedDate, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
@@ -376,7 +532,7 @@ window.UnifiedPage = (function() {
                     <td><strong>${entry.gameId}</strong></td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td>${entry.contest}</td>
-                    <td><button class="btn btn-sm btn-outline" onclick="UnifiedPage.showTicketDetails('${entry.ticketNumber}')">Details</button></td>
+                    <td><button class="btn btn-sm btn-outline" data-entry-key="${AdminCore.escapeHtml(entryKey(entry))}" onclick="UnifiedPage.showTicketDetails(this.dataset.entryKey)">Details</button></td>
                 </tr>
             `;
         }).join('');
@@ -409,11 +565,15 @@ window.UnifiedPage = (function() {
         renderEntriesPagination();
     }
 
-    function showTicketDetails(ticketNumber) {
-        const entry = currentData.entries.find(e => e.ticketNumber === ticketNumber);
+    /**
+     * Open the ticket modal
+     * @param {string} key - entryKey() of the ticket
+     */
+    function showTicketDetails(key) {
+        const entry = findEntryByKey(key);
         if (!entry) return;
         
-        const validation = validationMap.get(ticketNumber);
+        const validation = validationMap.get(key);
         const modalContent = document.getElementById('ticketModalContent');
         if (!modalContent) return;
         
@@ -427,6 +587,16 @@ window.UnifiedPage = (function() {
             </div>`;
         }
         
+        const mismatch = contestMismatchMap.get(key);
+        if (mismatch) {
+            statusHtml += `<div class="status-banner warning mb-4">
+                <span class="status-banner-icon">⚠️</span>
+                <span class="status-banner-text">${mismatch.expectedContest
+                    ? `Concurso #${mismatch.ticketContest ?? '?'} does not match the registry: ${mismatch.drawDate} is contest <strong>#${mismatch.expectedContest}</strong> (${mismatch.source})`
+                    : `No draw on ${mismatch.drawDate} according to the draw calendar`}</span>
+            </div>`;
+        }
+        
         const numbersHtml = entry.numbers.map(n => {
             const colorClass = AdminCore.getBallColorClass(n);
             return `<span class="number-badge ${colorClass}">${String(n).padStart(2,'0')}</span>`;
@@ -445,22 +615,462 @@ window.UnifiedPage = (function() {
             </div>
             <h4 class="mb-3">Selected Numbers</h4>
             <div class="numbers-display mb-4">${numbersHtml}</div>
+            ${renderValidationTrace(validation)}
+            ${renderOverrideForm(entry, validation)}
+            <h4 class="mb-3">Verify Player's Ticket</h4>
+            <div class="ticket-verify mb-4">
+                <textarea id="ticketVerifyInput" class="form-input" rows="3" placeholder="Paste the bilhete.html link, QR link or JSON payload the player sent"></textarea>
+                <button class="btn btn-primary btn-sm mt-2" id="btnTicketVerify">Verify</button>
+                <div id="ticketVerifyResult" class="mt-3"></div>
+            </div>
         `;
         
+        document.getElementById('btnTicketVerify')?.addEventListener('click', () => verifyTicketPayload(entry));
+        document.getElementById('btnSaveOverride')?.addEventListener('click', () => saveOverride(entry, validation));
+        document.getElementById('btnClearOverride')?.addEventListener('click', () => clearOverride(entry));
         AdminCore.openModal('ticketModal');
     }
 
+    /**
+     * Manual override block of the ticket modal: the active override, if any,
+     * and the form to set or clear one
+     * @param {Object} entry - Entry shown in the modal
+     * @param {Object} validation - Validation result of the ticket
+     * @returns {string} HTML
+     */
+    function renderOverrideForm(entry, validation) {
+        const override = ValidationOverrides.getFor(entry);
+        const reasons = Object.entries(ValidationOverrides.REASON_CODES).map(([code, label]) =>
+            `<option value="${code}" ${override?.reasonCode === code ? 'selected' : ''}>${AdminCore.escapeHtml(label)}</option>`
+        ).join('');
+        const current = override ? `
+            <div class="status-banner info mb-3">
+                <span class="status-banner-icon">✍️</span>
+                <span class="status-banner-text">
+                    Overridden to <strong>${override.status}</strong> by ${AdminCore.escapeHtml(override.operator)}
+                    on ${AdminCore.formatBrazilDateTime(new Date(override.updatedAt))}
+                    (computed: ${validation?.computedStatus || 'not validated'})
+                </span>
+            </div>` : '';
+        
+        return `
+            <h4 class="mb-3">Manual Override</h4>
+            ${current}
+            <div class="ticket-override mb-4">
+                <div class="filters-row">
+                    <div class="filter-group">
+                        <label>Status</label>
+                        <select id="overrideStatus">
+                            <option value="VALID" ${override?.status === 'VALID' ? 'selected' : ''}>VALID</option>
+                            <option value="INVALID" ${override?.status === 'INVALID' ? 'selected' : ''}>INVALID</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label>Reason</label>
+                        <select id="overrideReason"><option value="">Choose...</option>${reasons}</select>
+                    </div>
+                </div>
+                <textarea id="overrideNote" class="form-input" rows="2" placeholder="Note (required): dispute reference, what support checked..."></textarea>
+                <button class="btn btn-primary btn-sm mt-2" id="btnSaveOverride">${override ? 'Update override' : 'Override'}</button>
+                ${override ? '<button class="btn btn-secondary btn-sm mt-2" id="btnClearOverride">Remove override</button>' : ''}
+            </div>
+        `;
+    }
+
+    async function saveOverride(entry, validation) {
+        try {
+            await ValidationOverrides.setOverride(entry, {
+                status: document.getElementById('overrideStatus').value,
+                reasonCode: document.getElementById('overrideReason').value,
+                note: document.getElementById('overrideNote').value,
+                computedStatus: validation?.computedStatus || validation?.status || ''
+            });
+            AdminCore.showToast(`Ticket #${entry.ticketNumber} overridden`, 'success');
+            showTicketDetails(entryKey(entry));
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    async function clearOverride(entry) {
+        try {
+            await ValidationOverrides.clearOverride(entry, document.getElementById('overrideNote').value);
+            AdminCore.showToast(`Override removed from ticket #${entry.ticketNumber}`, 'success');
+            showTicketDetails(entryKey(entry));
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Re-validate the current platform's tickets ignoring the sheet STATUS and
+     * show where the sheet disagrees
+     */
+    async function runDiscrepancyReport() {
+        let overlayShown = false;
+        const onProgress = (done, total) => {
+            if (!overlayShown) {
+                AdminCore.showLoading('Checking sheet status...');
+                overlayShown = true;
+            }
+            AdminCore.updateLoadingProgress(total > 0 ? (done / total) * 100 : 100,
+                `Checking sheet status... ${done.toLocaleString()} / ${total.toLocaleString()}`);
+        };
+        
+        try {
+            const entries = DataStore.getEntries(AdminCore.getCurrentPlatform());
+            discrepancyReport = await DiscrepancyReport.run(entries, currentData.allRecharges, { onProgress });
+        } catch (error) {
+            console.error('UnifiedPage: Discrepancy report failed:', error);
+            AdminCore.showToast('Discrepancy report failed: ' + error.message, 'error');
+            return;
+        } finally {
+            if (overlayShown) AdminCore.hideLoading();
+        }
+        
+        renderDiscrepancyReport();
+        AdminCore.openModal('discrepancyModal');
+    }
+
+    function renderDiscrepancyReport() {
+        const body = document.getElementById('discrepancyModalBody');
+        if (!body || !discrepancyReport) return;
+        
+        const { stats, groups, byContest, rows } = discrepancyReport;
+        const contestList = list => list.slice(0, 8).map(c => `#${AdminCore.escapeHtml(c.contest)} (${c.count})`).join(', ')
+            + (list.length > 8 ? ` +${list.length - 8} more` : '');
+        const statusBadge = status => `<span class="badge ${status === 'VALID' ? 'badge-success' : 'badge-danger'}">${status}</span>`;
+        
+        const groupRows = groups.map(g => `
+            <tr>
+                <td>${statusBadge(g.sheetStatus)} → ${statusBadge(g.expectedStatus)}</td>
+                <td>${AdminCore.escapeHtml(g.label)}</td>
+                <td><strong>${g.count.toLocaleString()}</strong></td>
+                <td><small>${contestList(g.byContest)}</small></td>
+            </tr>`).join('');
+        const ticketRows = rows.slice(0, 200).map(row => `
+            <tr>
+                <td>${row.ticket.sheetRow || '—'}</td>
+                <td><button class="btn btn-secondary btn-sm" data-discrepancy-ticket="${AdminCore.escapeHtml(entryKey(row.ticket))}">${AdminCore.escapeHtml(row.ticket.ticketNumber || '—')}</button></td>
+                <td>${AdminCore.escapeHtml(row.ticket.gameId)}</td>
+                <td>${AdminCore.escapeHtml(row.ticket.contest || '—')}</td>
+                <td>${statusBadge(row.sheetStatus)} → ${statusBadge(row.expectedStatus)}${row.override ? ' ✍️' : ''}</td>
+                <td><small class="text-muted">${AdminCore.escapeHtml(row.reason)}</small></td>
+            </tr>`).join('');
+        
+        body.innerHTML = `
+            <div class="status-banner ${stats.disagree > 0 ? 'warning' : 'success'} mb-4">
+                <span class="status-banner-icon">${stats.disagree > 0 ? '⚠️' : '✅'}</span>
+                <span class="status-banner-text">
+                    ${stats.checked.toLocaleString()} tickets with a sheet STATUS checked:
+                    <strong>${stats.disagree.toLocaleString()}</strong> disagree
+                    (${stats.validToInvalid.toLocaleString()} VALID → INVALID, ${stats.invalidToValid.toLocaleString()} INVALID → VALID).
+                    ${stats.undecided.toLocaleString()} pending or empty rows not compared.
+                </span>
+            </div>
+            ${rows.length === 0 ? '' : `
+                <h4 class="mb-3">By reason</h4>
+                <div class="table-container mb-4">
+                    <table class="table">
+                        <thead><tr><th>Sheet → Rules</th><th>Reason</th><th>Tickets</th><th>Concursos</th></tr></thead>
+                        <tbody>${groupRows}</tbody>
+                    </table>
+                </div>
+                <h4 class="mb-3">By concurso</h4>
+                <p class="mb-4">${contestList(byContest)}</p>
+                <h4 class="mb-3">Tickets${rows.length > 200 ? ` (first 200 of ${rows.length.toLocaleString()}, all in the CSV)` : ''}</h4>
+                <div class="table-container mb-4">
+                    <table class="table">
+                        <thead><tr><th>Row</th><th>Ticket</th><th>Game ID</th><th>Contest</th><th>Sheet → Rules</th><th>Reason</th></tr></thead>
+                        <tbody>${ticketRows}</tbody>
+                    </table>
+                </div>
+                <button class="btn btn-primary btn-sm" id="btnDownloadCorrections">📥 Corrections CSV</button>
+            `}
+        `;
+        document.getElementById('btnDownloadCorrections')?.addEventListener('click', downloadCorrections);
+    }
+
+    function downloadCorrections() {
+        if (!discrepancyReport) return;
+        
+        const csv = DiscrepancyReport.toCorrectionsCsv(discrepancyReport, DataFetcher.getEntriesReport());
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `status_corrections_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+        
+        AdminCore.showToast(`${discrepancyReport.rows.length} corrections exported`, 'success');
+    }
+
+    function exportOverridesAudit() {
+        if (ValidationOverrides.getAll().length === 0) {
+            AdminCore.showToast('No overrides recorded', 'warning');
+            return;
+        }
+        
+        const blob = new Blob([ValidationOverrides.exportAuditLog()], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `validation_overrides_audit_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+    }
+
+    const TRACE_BADGES = {
+        'used': ['badge-success', 'Used'],
+        'consumed': ['badge-warning', 'Already used'],
+        'wrong-window': ['badge-gray', 'Other draw'],
+        'after-ticket': ['badge-gray', 'After ticket'],
+        'other-platform': ['badge-gray', 'Other platform'],
+        'no-time': ['badge-danger', 'No time'],
+        'spare': ['badge-info', 'Not needed']
+    };
+
+    /**
+     * Timeline of the recharges considered for a ticket and of its cutoff check
+     * @param {Object} validation - Validation result of the ticket
+     * @returns {string} HTML ('' when the ticket was not validated in this run)
+     */
+    function renderValidationTrace(validation) {
+        const run = currentData.validationResults;
+        if (!validation || !run || !run.rechargeAllocations) return '';
+        
+        const trace = RechargeValidator.buildTrace(validation, run);
+        const ticket = validation.ticket;
+        const time = date => date ? AdminCore.formatBrazilDateTime(date) : '—';
+        const steps = trace.recharges.map(step => {
+            const [badgeClass, label] = TRACE_BADGES[step.verdict] || ['badge-gray', step.verdict];
+            return {
+                at: step.time ? step.time.getTime() : 0,
+                html: `
+                    <li class="trace-step trace-${step.verdict}">
+                        <span class="trace-time">${time(step.time)}</span>
+                        <div>
+                            <strong>Recharge R$ ${(step.recharge.amount || 0).toFixed(2)}</strong>
+                            <small class="text-muted">${AdminCore.escapeHtml(step.recharge.rechargeId || '')}${step.recharge.platform ? ` · ${step.recharge.platform}` : ''}</small>
+                            <span class="badge ${badgeClass}">${label}</span>
+                            <div class="text-muted">${AdminCore.escapeHtml(step.detail)}${step.drawKey ? ` · counts for the ${step.drawKey} draw` : ''}</div>
+                        </div>
+                    </li>`
+            };
+        });
+        
+        const cutoff = trace.cutoff;
+        if (cutoff) {
+            const windowText = !cutoff.isDrawDay
+                ? `no draw on ${cutoff.registeredKey}`
+                : `cutoff ${time(cutoff.cutoffAt)} (draw at ${cutoff.drawHour}h), registered ${cutoff.afterCutoff ? 'after' : 'before'} it`;
+            const declared = cutoff.declaredDrawKey === cutoff.eligibleDrawKey
+                ? `ticket is for that draw ✓`
+                : `ticket says ${cutoff.declaredDrawKey || AdminCore.escapeHtml(ticket.drawDate || '?')} ⚠️`;
+            steps.push({
+                at: ticket.parsedDate.getTime(),
+                // Registration goes after recharges made in the same second (they must come strictly before)
+                order: 1,
+                html: `
+                    <li class="trace-step trace-ticket">
+                        <span class="trace-time">${time(ticket.parsedDate)}</span>
+                        <div>
+                            <strong>Ticket #${AdminCore.escapeHtml(ticket.ticketNumber || '?')} registered</strong>
+                            <div class="text-muted">${windowText} → eligible for the ${cutoff.eligibleDrawKey} draw; ${declared}</div>
+                        </div>
+                    </li>`
+            });
+        }
+        
+        steps.sort((a, b) => a.at - b.at || (a.order || 0) - (b.order || 0));
+        const empty = trace.recharges.length === 0
+            ? `<p class="text-muted">No recharge found for Game ID ${AdminCore.escapeHtml(ticket.gameId || '—')}</p>`
+            : '';
+        
+        return `
+            <h4 class="mb-3">Validation Trace</h4>
+            ${empty}
+            <ol class="validation-trace mb-4">${steps.map(s => s.html).join('')}</ol>
+        `;
+    }
+
+    /**
+     * Check a pasted ticket link/payload: signature first, then each field
+     * against the entry shown in the modal
+     * @param {Object} entry - Entry from the sheet
+     */
+    async function verifyTicketPayload(entry) {
+        const input = document.getElementById('ticketVerifyInput');
+        const output = document.getElementById('ticketVerifyResult');
+        if (!input || !output) return;
+
+        const fields = TicketSignature.parsePayload(input.value);
+        if (!fields) {
+            output.innerHTML = `<div class="status-banner danger">
+                <span class="status-banner-icon">❌</span>
+                <span class="status-banner-text">Not a ticket link or payload</span>
+            </div>`;
+            return;
+        }
+
+        output.innerHTML = '<div class="text-muted">Verifying...</div>';
+        const signature = await TicketSignature.verify(fields);
+        const banner = {
+            verified: ['success', '✅', 'Signature valid - issued by the POP-SORTE Worker'],
+            invalid: ['danger', '⛔', `Forged or altered ticket: ${signature.reason}`],
+            unsigned: ['warning', '⚠️', 'Ticket link has no signature (issued before signing or edited)'],
+            unavailable: ['warning', '⚠️', `Could not verify: ${signature.reason}`]
+        }[signature.status];
+
+        const claimed = TicketSignature.normalizeFields(fields);
+        const actual = TicketSignature.normalizeFields({
+            platform: entry.platform,
+            gameId: entry.gameId,
+            concurso: entry.contest,
+            bilhete: entry.ticketNumber,
+            numbers: entry.numbers
+        });
+        const rows = ['platform', 'gameId', 'concurso', 'bilhete', 'numbers'].map(field => {
+            const claimedValue = Array.isArray(claimed[field]) ? claimed[field].join(', ') : claimed[field];
+            const actualValue = Array.isArray(actual[field]) ? actual[field].join(', ') : actual[field];
+            const match = claimedValue === actualValue;
+            return `<tr>
+                <td>${field}</td>
+                <td>${AdminCore.escapeHtml(claimedValue || '—')}</td>
+                <td>${AdminCore.escapeHtml(actualValue || '—')}</td>
+                <td>${match ? '✅' : '❌'}</td>
+            </tr>`;
+        }).join('');
+
+        output.innerHTML = `
+            <div class="status-banner ${banner[0]} mb-3">
+                <span class="status-banner-icon">${banner[1]}</span>
+                <span class="status-banner-text">${AdminCore.escapeHtml(banner[2])}</span>
+            </div>
+            <table class="table">
+                <thead><tr><th>Field</th><th>Ticket link</th><th>This entry</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // ============================================
+    // TICKET QR LOOKUP
+    // ============================================
+
+    let qrScanStream = null;
+
+    /**
+     * Entry for a ticket scanned from a bilhete QR code (same Game ID and contest;
+     * ticket number first, same numbers as a fallback)
+     * @param {Object} fields - TicketSignature fields
+     * @returns {Object|null} Entry
+     */
+    function findEntryForTicket(fields) {
+        const claimed = TicketSignature.normalizeFields(fields);
+        const candidates = currentData.allEntries.filter(e =>
+            String(e.gameId) === claimed.gameId && String(e.contest) === claimed.concurso
+        );
+        const byTicket = candidates.find(e => String(e.ticketNumber) === claimed.bilhete);
+        if (byTicket) return byTicket;
+
+        const numbersKey = claimed.numbers.join(',');
+        return candidates.find(e => e.numbers.slice().sort((a, b) => a - b).join(',') === numbersKey) || null;
+    }
+
+    /**
+     * Jump from a scanned/pasted QR payload to its entry and verify it
+     * @param {string} text - QR link, bilhete.html link or JSON payload
+     */
+    function openTicketFromPayload(text) {
+        const fields = TicketSignature.parsePayload(text);
+        if (!fields || !fields.gameId) {
+            AdminCore.showToast('Not a ticket QR code or link', 'error');
+            return;
+        }
+
+        const entry = findEntryForTicket(fields);
+        if (!entry) {
+            AdminCore.showToast(`No entry for Game ID ${fields.gameId} in contest ${fields.concurso || '?'}`, 'warning');
+            return;
+        }
+
+        showTicketDetails(entryKey(entry));
+        const input = document.getElementById('ticketVerifyInput');
+        if (input) {
+            input.value = text.trim();
+            verifyTicketPayload(entry);
+        }
+    }
+
+    /**
+     * Stop the camera used by the QR scanner
+     */
+    function stopQrScan() {
+        if (qrScanStream) {
+            qrScanStream.getTracks().forEach(track => track.stop());
+            qrScanStream = null;
+        }
+        const video = document.getElementById('qrScanVideo');
+        if (video) video.srcObject = null;
+    }
+
+    /**
+     * Scan a bilhete QR code with the camera (BarcodeDetector)
+     */
+    async function startQrScan() {
+        if (!('BarcodeDetector' in window) || !navigator.mediaDevices) {
+            AdminCore.showToast('Camera scanning is not supported in this browser - paste the QR link instead', 'warning');
+            document.getElementById('ticketQrInput')?.focus();
+            return;
+        }
+
+        const modal = document.getElementById('qrScanModal');
+        const video = document.getElementById('qrScanVideo');
+        try {
+            qrScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch (error) {
+            console.error('UnifiedPage: camera unavailable:', error);
+            AdminCore.showToast('Could not open the camera', 'error');
+            return;
+        }
+
+        video.srcObject = qrScanStream;
+        await video.play();
+        AdminCore.openModal('qrScanModal');
+
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        const scanFrame = async () => {
+            // Modal closed (button or overlay click)
+            if (!qrScanStream || modal.style.display === 'none') {
+                stopQrScan();
+                return;
+            }
+            try {
+                const codes = await detector.detect(video);
+                if (codes.length > 0) {
+                    stopQrScan();
+                    AdminCore.closeModal('qrScanModal');
+                    openTicketFromPayload(codes[0].rawValue);
+                    return;
+                }
+            } catch (error) {
+                console.warn('UnifiedPage: QR detection failed:', error);
+            }
+            setTimeout(scanFrame, 250);
+        };
+        scanFrame();
+    }
+
     function exportEntriesCSV() {
         if (filteredEntries.length === 0) {
             AdminCore.showToast('No data to export', 'warning');
             return;
         }
         
-        const headers = ['Status', 'Date/Time', 'Platform', 'Game ID', 'Numbers', 'Contest', 'Ticket #'];
+        const headers = ['Status', 'Override', 'Date/Time', 'Platform', 'Game ID', 'Numbers', 'Contest', 'Ticket #'];
         const rows = filteredEntries.map(entry => {
-            const validation = validationMap.get(entry.ticketNumber);
+            const validation = validationMap.get(entryKey(entry));
             return [
                 validation?.status || 'UNKNOWN',
+                validation?.override ? `${validation.override.reasonCode} (computed ${validation.computedStatus})` : '',
                 entry.timestamp,
                 entry.platform,
                 entry.gameId,
@@ -591,10 +1201,11 @@ window.UnifiedPage = (function() {
             }
             
             renderWinnersTable();
+            syncPayouts();
             
         } catch (error) {
             console.error('Error calculating winners:', error);
-            document.getElementById('winnersTableBody').innerHTML = '<tr><td colspan="6" class="text-center text-danger">Error calculating winners</td></tr>';
+            document.getElementById('winnersTableBody').innerHTML = '<tr><td colspan="9" class="text-center text-danger">Error calculating winners</td></tr>';
         }
     }
 
@@ -627,10 +1238,19 @@ window.UnifiedPage = (function() {
                 }
             }
             
+            // Each platform pool pays its own winners (see WinnerEngine)
             let prizeInfo = '';
-            if (contest.winningTier > 0 && contest.prizePerWinner > 0) {
-                const winnerCount = contest.byTier[contest.winningTier]?.filter(w => w.isValidEntry).length || 0;
+            const paidPools = (contest.pools || []).filter(pool => pool.winners.length > 0);
+            if (contest.prizePerWinner > 0) {
                 prizeInfo = `<div class="text-success mt-2" style="font-size:0.8rem">💰 R$ ${contest.prizePerWinner.toFixed(2)} per winner</div>`;
+            } else if (paidPools.length > 0) {
+                prizeInfo = paidPools.map(pool => pool.prizePerWinner > 0
+                    ? `<div class="text-success mt-2" style="font-size:0.8rem">💰 ${pool.platform}: R$ ${pool.prizePerWinner.toFixed(2)} per winner</div>`
+                    : `<div class="text-success mt-2" style="font-size:0.8rem">💰 ${pool.platform}: R$ ${pool.totalPaid.toFixed(2)} among ${pool.winners.length} winners</div>`
+                ).join('');
+            }
+            if (contest.rules) {
+                prizeInfo += `<div class="text-muted" style="font-size:0.7rem">Prize rules v${contest.rules.version}</div>`;
             }
             
             return `
@@ -671,13 +1291,13 @@ window.UnifiedPage = (function() {
         if (!tbody) return;
         
         if (filteredWinners.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No winners found</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">No winners found</td></tr>';
             return;
         }
         
         const displayWinners = filteredWinners.slice(0, 100);
         
-        tbody.innerHTML = displayWinners.map(winner => {
+        tbody.innerHTML = displayWinners.map((winner, index) => {
             let matchBadge = '';
             switch (winner.matches) {
                 case 5: matchBadge = '<span class="badge" style="background:#fbbf24;color:#000">🏆 5</span>'; break;
@@ -706,12 +1326,15 @@ window.UnifiedPage = (function() {
                     <td><div class="numbers-display">${matchedHtml}</div></td>
                     <td>${winner.contest}</td>
                     <td>${winner.drawDate}</td>
+                    <td>R$ ${(winner.prize || 0).toFixed(2)}</td>
+                    <td>${renderPayoutBadge(winner)}</td>
+                    <td>${renderNotifyCell(winner, index)}</td>
                 </tr>
             `;
         }).join('');
         
         if (filteredWinners.length > 100) {
-            tbody.innerHTML += `<tr><td colspan="6" class="text-center text-muted">Showing 100 of ${filteredWinners.length} winners</td></tr>`;
+            tbody.innerHTML += `<tr><td colspan="9" class="text-center text-muted">Showing 100 of ${filteredWinners.length} winners</td></tr>`;
         }
     }
 
@@ -721,15 +1344,22 @@ window.UnifiedPage = (function() {
             return;
         }
         
-        const headers = ['Matches', 'Game ID', 'Numbers', 'Matched Numbers', 'Draw Date', 'Contest'];
-        const rows = filteredWinners.map(w => [
-            w.matches,
-            w.gameId,
-            w.numbers.join(', '),
-            (w.matchedNumbers || []).join(', '),
-            w.drawDate,
-            w.contest
-        ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
+        const headers = ['Matches', 'Game ID', 'Numbers', 'Matched Numbers', 'Draw Date', 'Contest', 'Platform', 'Prize', 'Payout Status', 'Payment Reference'];
+        const rows = filteredWinners.map(w => {
+            const payout = PayoutLedger.getForWinner(w);
+            return [
+                w.matches,
+                w.gameId,
+                w.numbers.join(', '),
+                (w.matchedNumbers || []).join(', '),
+                w.drawDate,
+                w.contest,
+                w.platform || '',
+                (w.prize || 0).toFixed(2),
+                payout ? payout.status : '',
+                payout ? payout.reference : ''
+            ];
+        }).map(row => row.map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
         
         const csv = [headers.join(','), ...rows].join('\n');
         const blob = new Blob([csv], { type: 'text/csv' });
@@ -741,6 +1371,421 @@ window.UnifiedPage = (function() {
         AdminCore.showToast(`${filteredWinners.length} winners exported`, 'success');
     }
 
+    // ============================================
+    // PAYOUTS SECTION
+    // ============================================
+    
+    const PAYOUT_BADGES = {
+        pending: 'badge-warning',
+        approved: 'badge-info',
+        paid: 'badge-success',
+        failed: 'badge-danger',
+        rejected: 'badge-danger'
+    };
+    
+    const PAYOUT_ACTIONS = {
+        approved: { label: '✅ Approve', className: 'btn-primary' },
+        paid: { label: '💸 Mark Paid', className: 'btn-primary' },
+        failed: { label: '⚠️ Mark Failed', className: 'btn-secondary' },
+        rejected: { label: '⛔ Reject', className: 'btn-secondary' },
+        pending: { label: '↩️ Back to Pending', className: 'btn-secondary' }
+    };
+    
+    let openPayoutId = null;
+    
+    /**
+     * Create ledger records for new winners, withdraw unpaid ones that no longer
+     * win in the recomputed contests, then refresh the payout views
+     */
+    async function syncPayouts() {
+        try {
+            await PayoutLedger.syncWinners(allWinners, {
+                contests: (winnersCalculation?.contestResults || []).filter(c => c.hasResult).map(c => c.contest),
+                platform: winnersCalculation?.platform
+            });
+        } catch (error) {
+            console.error('Payout ledger unavailable:', error);
+            AdminCore.showToast(`Payout ledger unavailable: ${error.message}`, 'warning');
+        }
+        renderWinnersTable();
+        renderPayoutLiabilities();
+    }
+    
+    function renderPayoutBadge(winner) {
+        const payout = PayoutLedger.getForWinner(winner);
+        if (!payout) return '<span class="text-muted">—</span>';
+        return `<button class="badge ${PAYOUT_BADGES[payout.status] || ''}" data-payout-id="${AdminCore.escapeHtml(payout.id)}" style="border:none;cursor:pointer">${payout.status}</button>`;
+    }
+    
+    function renderPayoutLiabilities() {
+        const tbody = document.getElementById('payoutLiabilitiesBody');
+        if (!tbody) return;
+        
+        const storeLabel = document.getElementById('payoutStoreLabel');
+        if (storeLabel) storeLabel.textContent = PayoutLedger.getStoreName() ? `Store: ${PayoutLedger.getStoreName()}` : '';
+        
+        const liabilities = PayoutLedger.getLiabilities(AdminCore.getCurrentPlatform());
+        document.getElementById('statPayoutOutstanding').textContent = `R$ ${liabilities.totalOutstanding.toFixed(2)}`;
+        document.getElementById('statPayoutPaid').textContent = `R$ ${liabilities.totalPaid.toFixed(2)}`;
+        
+        if (liabilities.rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No payouts recorded</td></tr>';
+            return;
+        }
+        
+        const money = value => value > 0 ? `R$ ${value.toFixed(2)}` : '<span class="text-muted">—</span>';
+        const platformRows = Object.entries(liabilities.byPlatform).map(([platform, totals]) => `
+            <tr>
+                <td><strong>${platform}</strong></td>
+                <td><strong>All</strong></td>
+                <td colspan="2"></td>
+                <td><strong>${money(totals.paid)}</strong></td>
+                <td colspan="2"></td>
+                <td><strong>${money(totals.outstanding)}</strong></td>
+            </tr>
+        `).join('');
+        
+        tbody.innerHTML = platformRows + liabilities.rows.map(row => `
+            <tr>
+                <td>${row.platform}</td>
+                <td>#${row.contest}</td>
+                <td>${money(row.pending)}</td>
+                <td>${money(row.approved)}</td>
+                <td>${money(row.paid)}</td>
+                <td>${money(row.failed)}</td>
+                <td>${money(row.rejected)}</td>
+                <td>${row.outstanding > 0 ? `<strong class="text-danger">R$ ${row.outstanding.toFixed(2)}</strong>` : money(0)}</td>
+            </tr>
+        `).join('');
+    }
+    
+    function openPayoutModal(id) {
+        const payout = PayoutLedger.get(id);
+        if (!payout) return;
+        openPayoutId = id;
+        
+        document.getElementById('payoutModalTitle').textContent = `Payout · ${payout.gameId} · #${payout.contest}`;
+        document.getElementById('payoutModalDetails').innerHTML = `
+            <p><strong>Status:</strong> <span class="badge ${PAYOUT_BADGES[payout.status] || ''}">${payout.status}</span></p>
+            <p><strong>Amount:</strong> R$ ${payout.amount.toFixed(2)} · ${payout.matches} matches · ${payout.platform}</p>
+            <p><strong>WhatsApp:</strong> ${AdminCore.escapeHtml(AdminCore.maskWhatsApp(payout.whatsapp))} · <strong>Ticket:</strong> ${AdminCore.escapeHtml(payout.ticketNumber || '—')}</p>
+            ${payout.reference ? `<p><strong>Reference:</strong> ${AdminCore.escapeHtml(payout.reference)}</p>` : ''}
+            ${payout.batchId ? `<p><strong>Batch:</strong> ${AdminCore.escapeHtml(payout.batchId)}</p>` : ''}
+        `;
+        const payee = PixBatch.resolvePixKey(payout);
+        document.getElementById('payoutPixKey').value = payout.pixKey || '';
+        document.getElementById('payoutPixKey').placeholder = payee ? `${payee.type}: ${payee.key}` : 'No WhatsApp phone: enter a PIX key';
+        document.getElementById('payoutReference').value = payout.reference || '';
+        document.getElementById('payoutNote').value = '';
+        
+        const allowed = PayoutLedger.getAllowedTransitions(payout.status);
+        document.getElementById('payoutActions').innerHTML = allowed.length > 0
+            ? allowed.map(status => {
+                const action = PAYOUT_ACTIONS[status];
+                return `<button class="btn ${action.className} btn-sm" data-payout-status="${status}">${action.label}</button>`;
+            }).join('')
+            : '<span class="text-muted">Paid payouts are final</span>';
+        
+        document.getElementById('payoutHistory').innerHTML = `
+            <h4>History</h4>
+            <ul>${payout.history.slice().reverse().map(h => `
+                <li><strong>${h.status}</strong> · R$ ${h.amount.toFixed(2)} · ${AdminCore.escapeHtml(h.operator)} ·
+                    ${AdminCore.formatBrazilDateTime(new Date(h.at))}
+                    ${h.reference ? ` · ref ${AdminCore.escapeHtml(h.reference)}` : ''}
+                    ${h.note ? `<br><small class="text-muted">${AdminCore.escapeHtml(h.note)}</small>` : ''}
+                </li>`).join('')}
+            </ul>
+        `;
+        
+        AdminCore.openModal('payoutModal');
+    }
+    
+    async function applyPayoutTransition(status) {
+        if (!openPayoutId) return;
+        try {
+            await PayoutLedger.transition(openPayoutId, status, {
+                reference: document.getElementById('payoutReference').value,
+                note: document.getElementById('payoutNote').value
+            });
+            AdminCore.showToast(`Payout ${status}`, 'success');
+            openPayoutModal(openPayoutId);
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    async function savePayoutPixKey() {
+        if (!openPayoutId) return;
+        const pixKey = document.getElementById('payoutPixKey').value;
+        if (pixKey.trim() && !PixBatch.resolvePixKey({ pixKey })) {
+            AdminCore.showToast('Unrecognized PIX key (CPF, CNPJ, +55 phone, e-mail or random key)', 'error');
+            return;
+        }
+        try {
+            await PayoutLedger.setPixKey(openPayoutId, pixKey);
+            AdminCore.showToast('PIX key saved', 'success');
+            openPayoutModal(openPayoutId);
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+    
+    async function exportPixBatch() {
+        const platform = AdminCore.getCurrentPlatform();
+        const payable = PixBatch.getPayable(platform);
+        if (payable.length === 0) {
+            const awaiting = PixBatch.getAwaitingReturn(platform).length;
+            AdminCore.showToast(awaiting > 0
+                ? `No new approved payouts (${awaiting} already sent, waiting for the bank return)`
+                : 'No approved payouts waiting for payment', 'warning');
+            return;
+        }
+        
+        try {
+            const batch = await PixBatch.buildBatch(payable);
+            if (batch.count === 0) {
+                AdminCore.showToast(`No payout could be exported (${batch.skipped.length} without a valid PIX key)`, 'error');
+                return;
+            }
+            
+            // Record the batch on every payout first; the file is only offered once it is persisted
+            await PayoutLedger.markExported(batch.ids, batch.batchId);
+            
+            const blob = new Blob([batch.text], { type: 'text/plain' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${batch.batchId}.txt`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            
+            const skippedText = batch.skipped.length > 0 ? `, ${batch.skipped.length} skipped (no PIX key)` : '';
+            AdminCore.showToast(`${batch.batchId}: ${batch.count} payments, R$ ${(batch.totalCents / 100).toFixed(2)}${skippedText}`, batch.skipped.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error('PIX batch export failed:', error);
+            AdminCore.showToast(`PIX batch export failed: ${error.message}`, 'error');
+        }
+    }
+    
+    async function importPixReturn(file) {
+        if (!file) return;
+        try {
+            const summary = await PixBatch.applyReturnFile(await file.text());
+            const problems = summary.unmatched.length + summary.skipped.length;
+            AdminCore.showToast(
+                `Bank return: ${summary.paid} paid, ${summary.failed} failed` +
+                (problems > 0 ? `, ${problems} lines not applied (see console)` : ''),
+                problems > 0 || summary.failed > 0 ? 'warning' : 'success'
+            );
+            if (problems > 0) console.warn('Bank return lines not applied:', summary);
+        } catch (error) {
+            console.error('Bank return import failed:', error);
+            AdminCore.showToast(`Bank return import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ============================================
+    // WHATSAPP NOTIFICATIONS SECTION
+    // ============================================
+    
+    let notifyWinners = [];
+    
+    function renderNotifyCell(winner, index) {
+        const skipReason = WinnerNotifier.getSkipReason(winner.whatsapp);
+        if (skipReason) return `<span class="badge badge-gray">${skipReason}</span>`;
+        const payout = PayoutLedger.getForWinner(winner);
+        const notified = payout && payout.notifiedAt
+            ? `<br><small class="text-success">✓ ${AdminCore.formatBrazilDateTime(new Date(payout.notifiedAt))}</small>`
+            : '';
+        return `<button class="btn btn-secondary btn-sm" data-notify-index="${index}">💬</button>${notified}`;
+    }
+    
+    function openNotifyModal(winners, title) {
+        notifyWinners = winners;
+        
+        const select = document.getElementById('notifyTemplate');
+        const templates = WinnerNotifier.getTemplates();
+        if (!templates.some(t => t.id === select.value)) {
+            select.innerHTML = templates.map(t => `<option value="${t.id}">${AdminCore.escapeHtml(t.name)}</option>`).join('');
+        }
+        document.getElementById('notifyTemplateText').value = WinnerNotifier.getTemplate(select.value).text;
+        document.getElementById('notifyModalTitle').textContent = title;
+        
+        renderNotifyList();
+        AdminCore.openModal('notifyModal');
+    }
+    
+    function renderNotifyList() {
+        const templateId = document.getElementById('notifyTemplate').value;
+        const items = WinnerNotifier.compose(notifyWinners, templateId, document.getElementById('notifyTemplateText').value);
+        
+        const skipped = items.filter(item => !item.link).length;
+        const notified = items.filter(item => item.link && item.payout?.notifiedAt).length;
+        document.getElementById('notifySummary').innerHTML = `
+            <span class="badge badge-info">${items.length - skipped - notified} to send</span>
+            <span class="badge badge-success">${notified} already notified</span>
+            ${skipped > 0 ? `<span class="badge badge-gray">${skipped} skipped</span>` : ''}
+        `;
+        
+        document.getElementById('notifyList').innerHTML = items.map((item, index) => {
+            const { winner, payout } = item;
+            const header = `<strong>${AdminCore.escapeHtml(winner.gameId)}</strong> · ${AdminCore.escapeHtml(AdminCore.maskWhatsApp(winner.whatsapp))} ·
+                ${winner.matches} matches · R$ ${(winner.prize || 0).toFixed(2)}`;
+            
+            if (!item.link) {
+                return `<div class="card mb-2"><div class="card-body">${header}<br><span class="badge badge-gray">${item.skipReason}</span></div></div>`;
+            }
+            
+            const status = payout?.notifiedAt
+                ? `<small class="text-success">✓ Notified ${AdminCore.formatBrazilDateTime(new Date(payout.notifiedAt))} by ${AdminCore.escapeHtml(payout.notifiedBy || '—')}</small>`
+                : '<small class="text-muted">Not notified yet</small>';
+            return `
+                <div class="card mb-2">
+                    <div class="card-body">
+                        ${header}<br>${status}
+                        <pre style="white-space:pre-wrap;font-family:inherit;font-size:0.8rem">${AdminCore.escapeHtml(item.message)}</pre>
+                        <a class="btn btn-primary btn-sm" href="${AdminCore.escapeHtml(item.link)}" target="_blank" rel="noopener" data-notify-item="${index}">Open WhatsApp</a>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async function markNotifySent(index) {
+        const templateId = document.getElementById('notifyTemplate').value;
+        const item = WinnerNotifier.compose([notifyWinners[index]], templateId)[0];
+        try {
+            const updated = await WinnerNotifier.markSent(item, templateId);
+            if (!updated) AdminCore.showToast('No payout record for this winner: notification not recorded', 'warning');
+        } catch (error) {
+            AdminCore.showToast(`Could not record the notification: ${error.message}`, 'error');
+        }
+        renderNotifyList();
+    }
+    
+    function notifyContest() {
+        if (!winnersFilters.contest) {
+            AdminCore.showToast('Select a contest to notify its winners', 'warning');
+            return;
+        }
+        const winners = allWinners.filter(w => w.contest === winnersFilters.contest);
+        openNotifyModal(winners, `WhatsApp · Contest #${winnersFilters.contest} · ${winners.length} winners`);
+    }
+
+    // ============================================
+    // SUSPICIOUS ACTIVITY SECTION
+    // ============================================
+    
+    const SUSPICIOUS_LEVEL_BADGES = {
+        high: 'badge-danger',
+        medium: 'badge-warning',
+        low: 'badge-gray'
+    };
+    
+    function renderSuspicious() {
+        suspiciousAnalysis = FraudDetector.analyze(currentData.entries, currentData.recharges);
+        const { players, countsByType } = suspiciousAnalysis;
+        
+        document.getElementById('statSuspiciousTotal').textContent = players.length.toLocaleString();
+        document.getElementById('statSuspiciousHigh').textContent = players.filter(p => p.level === FraudDetector.Level.HIGH).length.toLocaleString();
+        document.getElementById('statSuspiciousMedium').textContent = players.filter(p => p.level === FraudDetector.Level.MEDIUM).length.toLocaleString();
+        
+        const signalSelect = document.getElementById('filterSuspiciousSignal');
+        if (signalSelect) {
+            signalSelect.innerHTML = '<option value="all">All</option>' + Object.entries(FraudDetector.SIGNAL_LABELS)
+                .map(([type, label]) => `<option value="${type}">${label} (${countsByType[type]})</option>`).join('');
+            signalSelect.value = suspiciousFilters.signal;
+        }
+        
+        renderSuspiciousTable();
+    }
+    
+    function renderSuspiciousTable() {
+        const tbody = document.getElementById('suspiciousTableBody');
+        if (!tbody || !suspiciousAnalysis) return;
+        
+        const minLevels = { all: ['high', 'medium', 'low'], medium: ['high', 'medium'], high: ['high'] };
+        const players = suspiciousAnalysis.players
+            .filter(p => minLevels[suspiciousFilters.level].includes(p.level))
+            .filter(p => suspiciousFilters.signal === 'all' || p.signals.some(s => s.type === suspiciousFilters.signal));
+        
+        if (players.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No suspicious activity found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = players.slice(0, 100).map(player => {
+            const signalBadges = [...new Set(player.signals.map(s => s.label))]
+                .map(label => `<span class="badge badge-info">${label}</span>`).join(' ');
+            return `
+                <tr>
+                    <td><span class="badge ${SUSPICIOUS_LEVEL_BADGES[player.level]}">${player.score}</span></td>
+                    <td><strong>${AdminCore.escapeHtml(player.gameId)}</strong></td>
+                    <td>${player.whatsapps.map(w => AdminCore.escapeHtml(AdminCore.maskWhatsApp(w))).join('<br>') || '—'}</td>
+                    <td>${player.ticketCount}</td>
+                    <td>${player.rechargeCount}</td>
+                    <td>${signalBadges}</td>
+                    <td><button class="btn btn-secondary btn-sm" data-suspicious-id="${AdminCore.escapeHtml(player.gameId)}">Details</button></td>
+                </tr>
+            `;
+        }).join('');
+        
+        if (players.length > 100) {
+            tbody.innerHTML += `<tr><td colspan="7" class="text-center text-muted">Showing 100 of ${players.length} Game IDs</td></tr>`;
+        }
+    }
+    
+    function openSuspiciousModal(gameId) {
+        const player = suspiciousAnalysis?.players.find(p => p.gameId === gameId);
+        if (!player) return;
+        
+        const time = date => date instanceof Date && !isNaN(date.getTime()) ? AdminCore.formatBrazilDateTime(date) : '—';
+        const entryRows = entries => entries.map(e => `
+            <tr${e.gameId === gameId ? ' style="font-weight:600"' : ''}>
+                <td>${time(e.parsedDate)}</td>
+                <td>${AdminCore.escapeHtml(e.gameId)}</td>
+                <td>${AdminCore.escapeHtml(AdminCore.maskWhatsApp(e.whatsapp))}</td>
+                <td>${AdminCore.escapeHtml(e.contest || '—')}</td>
+                <td>${e.ticketNumber ? `<button class="btn btn-secondary btn-sm" data-suspicious-ticket="${AdminCore.escapeHtml(entryKey(e))}">${AdminCore.escapeHtml(e.ticketNumber)}</button>` : '—'}</td>
+                <td>${(e.numbers || []).map(n => String(n).padStart(2, '0')).join(' ')}</td>
+            </tr>`).join('');
+        const rechargeRows = recharges => recharges.map(r => `
+            <tr>
+                <td>${time(r.rechargeTime)}</td>
+                <td>${AdminCore.escapeHtml(r.gameId)}</td>
+                <td>${AdminCore.escapeHtml(r.rechargeId || '—')}</td>
+                <td>R$ ${(r.amount || 0).toFixed(2)}</td>
+            </tr>`).join('');
+        
+        document.getElementById('suspiciousModalTitle').textContent = `Suspicious activity · ${gameId} · score ${player.score}`;
+        document.getElementById('suspiciousModalBody').innerHTML = player.signals.map(signal => `
+            <div class="card mb-2">
+                <div class="card-header">
+                    <strong>${signal.label}</strong>
+                    <span class="badge badge-warning">+${signal.points}</span>
+                </div>
+                <div class="card-body">
+                    <p>${AdminCore.escapeHtml(signal.summary)}</p>
+                    ${signal.entries.length > 0 ? `
+                        <div class="table-container">
+                            <table class="table">
+                                <thead><tr><th>Registered</th><th>Game ID</th><th>WhatsApp</th><th>Contest</th><th>Ticket</th><th>Numbers</th></tr></thead>
+                                <tbody>${entryRows(signal.entries)}</tbody>
+                            </table>
+                        </div>` : ''}
+                    ${signal.recharges.length > 0 ? `
+                        <div class="table-container mt-2">
+                            <table class="table">
+                                <thead><tr><th>Recharged</th><th>Game ID</th><th>Recharge ID</th><th>Amount</th></tr></thead>
+                                <tbody>${rechargeRows(signal.recharges)}</tbody>
+                            </table>
+                        </div>` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+        AdminCore.openModal('suspiciousModal');
+    }
+
     // ============================================
     // DATA LOADING
     // ============================================
@@ -764,7 +1809,29 @@ window.UnifiedPage = (function() {
             // Validate only the platform-filtered entries (using ALL recharges for validation lookup)
             // Skip cache when platform is not ALL, since cached results are for all entries
             const skipCache = platform !== 'ALL';
-            currentData.validationResults = await RechargeValidator.validateAllTickets(currentData.entries, currentData.allRecharges, skipCache);
+            const computedValidation = await validateTickets(skipCache);
+            
+            // Manual overrides go on top of the computed run, the entries' status and the winners
+            try {
+                await ValidationOverrides.init();
+            } catch (error) {
+                console.error('UnifiedPage: Could not load validation overrides:', error);
+                AdminCore.showToast('Validation overrides could not be loaded - showing computed validation only', 'warning');
+            }
+            currentData.computedValidation = computedValidation;
+            applyOverrides();
+            
+            // Reconcile ticket concursos against published results
+            ContestRegistry.setConfirmed(currentData.results);
+            contestMismatchMap = new Map();
+            currentData.entries.forEach(entry => {
+                const mismatch = ContestRegistry.checkTicket(entry);
+                if (mismatch) contestMismatchMap.set(entryKey(entry), mismatch);
+            });
+            if (contestMismatchMap.size > lastMismatchCount) {
+                AdminCore.showToast(`${contestMismatchMap.size} ticket(s) with a concurso that disagrees with the results`, 'warning');
+            }
+            lastMismatchCount = contestMismatchMap.size;
             
             console.log('UnifiedPage: Data loaded -', currentData.entries.length, 'entries,', currentData.recharges.length, 'recharges for platform:', platform);
             
@@ -773,13 +1840,64 @@ window.UnifiedPage = (function() {
             renderEntries();
             renderResults();
             renderWinners();
+            renderSuspicious();
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('UnifiedPage: Validation cancelled by a newer load');
+                return;
+            }
             console.error('UnifiedPage: Error loading data:', error);
             AdminCore.showToast('Error loading data: ' + error.message, 'error');
         }
     }
 
+    /**
+     * Validate the current entries in the validation worker, cancelling any run
+     * still in flight. The loading overlay only shows once the worker reports
+     * progress, so cached results do not flash it.
+     * @param {boolean} skipCache - Skip the validation cache
+     * @returns {Promise<Object>} Validation results (rejects with AbortError when superseded)
+     */
+    async function validateTickets(skipCache) {
+        if (validationController) validationController.abort();
+        const controller = new AbortController();
+        validationController = controller;
+        
+        let overlayShown = false;
+        const onProgress = (done, total) => {
+            if (controller.signal.aborted) return;
+            if (!overlayShown) {
+                AdminCore.showLoading('Validating tickets...');
+                overlayShown = true;
+            }
+            AdminCore.updateLoadingProgress(total > 0 ? (done / total) * 100 : 100,
+                `Validating tickets... ${done.toLocaleString()} / ${total.toLocaleString()}`);
+        };
+        
+        try {
+            return await RechargeValidator.validateAllTickets(currentData.entries, currentData.allRecharges, skipCache, {
+                onProgress,
+                signal: controller.signal
+            });
+        } finally {
+            // A cancelled run settles before the newer run's first progress message
+            if (validationController === controller) validationController = null;
+            if (overlayShown) AdminCore.hideLoading();
+        }
+    }
+
+    /**
+     * Rebuild the entries and validation every section reads from the
+     * computed run and the active overrides
+     */
+    function applyOverrides() {
+        const platform = AdminCore.getCurrentPlatform();
+        currentData.entries = ValidationOverrides.applyToEntries(DataStore.getEntries(platform));
+        currentData.allEntries = ValidationOverrides.applyToEntries(DataStore.getAllEntries());
+        currentData.validationResults = ValidationOverrides.applyToResults(currentData.computedValidation);
+    }
+
     // ============================================
     // EVENT BINDING
     // ============================================
@@ -808,6 +1926,33 @@ window.UnifiedPage = (function() {
             applyEntriesFilters();
         });
         document.getElementById('btnExportCSV')?.addEventListener('click', exportEntriesCSV);
+        document.getElementById('btnExportOverrides')?.addEventListener('click', exportOverridesAudit);
+        document.getElementById('btnDiscrepancyReport')?.addEventListener('click', runDiscrepancyReport);
+        document.getElementById('discrepancyModalBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-discrepancy-ticket]');
+            if (!button) return;
+            AdminCore.closeModal('discrepancyModal');
+            showTicketDetails(button.dataset.discrepancyTicket);
+        });
+        ValidationOverrides.subscribe(() => {
+            if (!currentData.computedValidation) return;
+            applyOverrides();
+            // Winner eligibility changed but the entries hash did not
+            DataFetcher.clearWinnersCache();
+            const page = entriesPage;
+            renderDashboard();
+            renderEntries();
+            goToEntriesPage(Math.max(1, Math.min(page, Math.ceil(filteredEntries.length / entriesPerPage))));
+            // Re-syncs the payout ledger: unpaid payouts of tickets that stopped winning are rejected
+            renderWinners();
+        });
+        document.getElementById('ticketQrInput')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.value.trim()) {
+                openTicketFromPayload(e.target.value);
+                e.target.value = '';
+            }
+        });
+        document.getElementById('btnScanTicketQr')?.addEventListener('click', startQrScan);
         document.getElementById('btnPrevPage')?.addEventListener('click', () => { if (entriesPage > 1) { entriesPage--; renderEntriesTable(); renderEntriesPagination(); } });
         document.getElementById('btnNextPage')?.addEventListener('click', () => {
             const totalPages = Math.ceil(filteredEntries.length / entriesPerPage);
@@ -835,6 +1980,74 @@ window.UnifiedPage = (function() {
         });
         document.getElementById('btnExportWinnersCSV')?.addEventListener('click', exportWinnersCSV);
         
+        // Payouts
+        document.getElementById('winnersTableBody')?.addEventListener('click', (e) => {
+            const badge = e.target.closest('[data-payout-id]');
+            if (badge) openPayoutModal(badge.dataset.payoutId);
+            
+            const notify = e.target.closest('[data-notify-index]');
+            if (notify) {
+                const winner = filteredWinners[parseInt(notify.dataset.notifyIndex, 10)];
+                if (winner) openNotifyModal([winner], `WhatsApp · ${winner.gameId} · #${winner.contest}`);
+            }
+        });
+        document.getElementById('btnSavePixKey')?.addEventListener('click', savePayoutPixKey);
+        document.getElementById('btnExportPixBatch')?.addEventListener('click', exportPixBatch);
+        document.getElementById('btnImportPixReturn')?.addEventListener('click', () => document.getElementById('pixReturnInput')?.click());
+        document.getElementById('pixReturnInput')?.addEventListener('change', (e) => {
+            importPixReturn(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('payoutActions')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-payout-status]');
+            if (button) applyPayoutTransition(button.dataset.payoutStatus);
+        });
+        
+        // WhatsApp notifications
+        document.getElementById('btnNotifyContest')?.addEventListener('click', notifyContest);
+        document.getElementById('notifyTemplate')?.addEventListener('change', (e) => {
+            document.getElementById('notifyTemplateText').value = WinnerNotifier.getTemplate(e.target.value).text;
+            renderNotifyList();
+        });
+        document.getElementById('notifyTemplateText')?.addEventListener('input', AdminCore.debounce(renderNotifyList, 300));
+        document.getElementById('btnSaveNotifyTemplate')?.addEventListener('click', () => {
+            try {
+                WinnerNotifier.saveTemplate(document.getElementById('notifyTemplate').value, document.getElementById('notifyTemplateText').value);
+                AdminCore.showToast('Template saved', 'success');
+            } catch (error) {
+                AdminCore.showToast(error.message, 'error');
+            }
+        });
+        document.getElementById('btnResetNotifyTemplate')?.addEventListener('click', () => {
+            const templateId = document.getElementById('notifyTemplate').value;
+            WinnerNotifier.resetTemplate(templateId);
+            document.getElementById('notifyTemplateText').value = WinnerNotifier.getTemplate(templateId).text;
+            renderNotifyList();
+        });
+        document.getElementById('notifyList')?.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-notify-item]');
+            if (link) markNotifySent(parseInt(link.dataset.notifyItem, 10));
+        });
+        PayoutLedger.subscribe(() => {
+            if (!winnersCalculation) return;
+            renderWinnersTable();
+            renderPayoutLiabilities();
+        });
+        
+        // Suspicious activity
+        document.getElementById('filterSuspiciousSignal')?.addEventListener('change', (e) => { suspiciousFilters.signal = e.target.value; renderSuspiciousTable(); });
+        document.getElementById('filterSuspiciousLevel')?.addEventListener('change', (e) => { suspiciousFilters.level = e.target.value; renderSuspiciousTable(); });
+        document.getElementById('suspiciousTableBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-suspicious-id]');
+            if (button) openSuspiciousModal(button.dataset.suspiciousId);
+        });
+        document.getElementById('suspiciousModalBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-suspicious-ticket]');
+            if (!button) return;
+            AdminCore.closeModal('suspiciousModal');
+            showTicketDetails(button.dataset.suspiciousTicket);
+        });
+        
         // Clear cache button
         document.getElementById('clearCacheBtn')?.addEventListener('click', () => {
             DataStore.clearStorage();
@@ -0,0 +1,329 @@
+/**
+ * POP-SORTE Admin Dashboard - Validation Overrides Module
+ *
+ * This module handles:
+ * - Manual VALID / INVALID decisions on a ticket after support resolves a dispute,
+ *   each with a mandatory reason code and note
+ * - Operator and timestamp on every change; clearing an override keeps the
+ *   record (inactive) so the audit log stays complete
+ * - Applying active overrides on top of the computed validation (the
+ *   RechargeValidator run is never changed, so the trace still shows why it disagreed)
+ *   and on top of the sheet status the winner rules read
+ * - Audit log export (CSV, one line per change)
+ *
+ * Persistence: record-store.js, Worker resource "overrides"
+ *
+ * Dependencies: admin-core.js (AdminCore), record-store.js (RecordStore),
+ *   admin-utils.js (AdminUtils)
+ */
+
+// ============================================
+// Validation Overrides Module
+// ============================================
+window.ValidationOverrides = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const IDB_NAME = 'popsorte_admin_overrides';
+    const IDB_STORE = 'overrides';
+    const WORKER_RESOURCE = 'overrides';
+    const LOCAL_STORAGE_KEY = 'popsorte_validation_overrides_v1';
+
+    const Status = {
+        VALID: 'VALID',
+        INVALID: 'INVALID'
+    };
+
+    /**
+     * Reason codes offered to support (code -> label)
+     */
+    const REASON_CODES = {
+        RECHARGE_CONFIRMED: 'Recharge confirmed by the platform',
+        RECHARGE_MISSING: 'Recharge missing from the export',
+        TIMING_DISPUTE: 'Cutoff / timing dispute upheld',
+        DUPLICATE_TICKET: 'Duplicate ticket',
+        FRAUD: 'Fraud or abuse',
+        PLAYER_REQUEST: 'Cancelled at the player\'s request',
+        SHEET_ERROR: 'Error in the entries sheet',
+        OTHER: 'Other (see note)'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    const records = RecordStore.createCollection('ValidationOverrides', {
+        resource: WORKER_RESOURCE,
+        dbName: IDB_NAME,
+        storeName: IDB_STORE,
+        localKey: LOCAL_STORAGE_KEY
+    });
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Override id of a ticket: the ticket number is a per-player ordinal
+     * ("1º bilhete"), so the row is identified by platform, Game ID, contest,
+     * ticket number and registration time together
+     * @param {Object} entry - Entry
+     * @returns {string} Id
+     */
+    function keyFor(entry) {
+        return [
+            (entry.platform || 'POPN1').toUpperCase(),
+            entry.gameId || '',
+            entry.contest || '',
+            entry.ticketNumber,
+            entry.timestamp || ''
+        ].join('|');
+    }
+
+    /**
+     * Persist a record and notify
+     * @param {Object} record - Record
+     * @returns {Promise<Object>} Record
+     */
+    async function save(record) {
+        await records.save(record);
+        records.emit();
+        return record;
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Select the store and load the overrides (once per store)
+     * @param {Object} customStore - Store (default: IndexedDB locally, the Worker in production)
+     * @returns {Promise<number>} Number of records
+     */
+    function init(customStore) {
+        return records.init(customStore);
+    }
+
+    /**
+     * Override the validation of a ticket (replaces an active override)
+     * @param {Object} entry - Entry being overridden
+     * @param {Object} details - { status, reasonCode, note, computedStatus }
+     * @returns {Promise<Object>} Record
+     * @throws {Error} On an unknown status or reason code, or an empty note
+     */
+    async function setOverride(entry, details = {}) {
+        await init();
+        if (!entry?.ticketNumber) throw new Error('Ticket number missing');
+        if (!Object.values(Status).includes(details.status)) {
+            throw new Error('Override status must be VALID or INVALID');
+        }
+        if (!REASON_CODES[details.reasonCode]) throw new Error('Choose a reason code');
+        const note = (details.note || '').trim();
+        if (!note) throw new Error('A note is required');
+
+        const id = keyFor(entry);
+        const existing = records.get(id);
+        const operator = AdminCore.getOperator();
+        const now = new Date().toISOString();
+        const change = {
+            action: 'set',
+            status: details.status,
+            reasonCode: details.reasonCode,
+            note,
+            computedStatus: details.computedStatus || '',
+            operator,
+            at: now
+        };
+
+        return save({
+            id,
+            ticketNumber: entry.ticketNumber,
+            platform: (entry.platform || 'POPN1').toUpperCase(),
+            gameId: entry.gameId || '',
+            contest: entry.contest || '',
+            drawDate: entry.drawDate || '',
+            timestamp: entry.timestamp || '',
+            active: true,
+            status: details.status,
+            reasonCode: details.reasonCode,
+            note,
+            operator,
+            updatedAt: now,
+            history: [...(existing?.history || []), change]
+        });
+    }
+
+    /**
+     * Remove the override of a ticket; the computed validation applies again
+     * @param {Object} entry - Entry
+     * @param {string} note - Why the override is removed (required)
+     * @returns {Promise<Object>} Record (inactive)
+     * @throws {Error} When the ticket has no active override or the note is empty
+     */
+    async function clearOverride(entry, note) {
+        await init();
+        const record = records.get(keyFor(entry));
+        if (!record || !record.active) throw new Error('Ticket has no active override');
+        const text = (note || '').trim();
+        if (!text) throw new Error('A note is required');
+
+        const operator = AdminCore.getOperator();
+        const now = new Date().toISOString();
+        return save({
+            ...record,
+            active: false,
+            operator,
+            updatedAt: now,
+            history: [...record.history, {
+                action: 'cleared',
+                status: record.status,
+                reasonCode: record.reasonCode,
+                note: text,
+                computedStatus: '',
+                operator,
+                at: now
+            }]
+        });
+    }
+
+    /**
+     * @param {Object} entry - Entry
+     * @returns {Object|null} Active override of a ticket
+     */
+    function getFor(entry) {
+        if (!entry?.ticketNumber) return null;
+        const record = records.get(keyFor(entry));
+        return record && record.active ? record : null;
+    }
+
+    /**
+     * @returns {Object[]} Every record, cleared ones included
+     */
+    function getAll() {
+        return records.getAll();
+    }
+
+    /**
+     * @returns {Object[]} Records currently applied
+     */
+    function getActive() {
+        return getAll().filter(r => r.active);
+    }
+
+    /**
+     * Apply active overrides to a validation run. The run is left untouched
+     * (it may be the cached one); overridden results are copies carrying the
+     * computed status and reason alongside the override.
+     * @param {Object} validationResults - RechargeValidator.validateAllTickets() result
+     * @returns {Object} Same shape, with stats recounted and stats.overridden added
+     */
+    function applyToResults(validationResults) {
+        if (!validationResults) return validationResults;
+
+        const stats = { ...validationResults.stats, valid: 0, invalid: 0, unknown: 0, overridden: 0 };
+        const results = validationResults.results.map(result => {
+            const override = getFor(result.ticket);
+            const applied = override ? {
+                ...result,
+                status: override.status,
+                reason: `Manual override (${REASON_CODES[override.reasonCode] || override.reasonCode}): ${override.note}`,
+                computedStatus: result.status,
+                computedReason: result.reason,
+                override
+            } : result;
+
+            if (override) stats.overridden++;
+            if (applied.status === Status.VALID) stats.valid++;
+            else if (applied.status === Status.INVALID) stats.invalid++;
+            else stats.unknown++;
+            return applied;
+        });
+
+        return { ...validationResults, results, stats };
+    }
+
+    /**
+     * Apply active overrides to the entries' sheet status, which the winner
+     * rules (WinnerEngine.isEligible) and the dashboard pending count read
+     * @param {Object[]} entries - Entries
+     * @returns {Object[]} Entries (overridden ones are copies)
+     */
+    function applyToEntries(entries) {
+        if (!entries || records.size() === 0) return entries;
+        return entries.map(entry => {
+            const override = getFor(entry);
+            return override ? { ...entry, status: override.status, sheetStatus: entry.status } : entry;
+        });
+    }
+
+    /**
+     * Audit log of every override change, oldest first
+     * @returns {string} CSV text
+     */
+    function exportAuditLog() {
+        const headers = ['When', 'Operator', 'Action', 'Platform', 'Ticket #', 'Game ID', 'Contest', 'Registered',
+            'Override Status', 'Computed Status', 'Reason Code', 'Reason', 'Note'];
+        const changes = [];
+        getAll().forEach(record => {
+            (record.history || []).forEach(change => changes.push({ record, change }));
+        });
+        changes.sort((a, b) => a.change.at.localeCompare(b.change.at));
+
+        const rows = changes.map(({ record, change }) => [
+            change.at,
+            change.operator,
+            change.action,
+            record.platform,
+            record.ticketNumber,
+            record.gameId,
+            record.contest,
+            record.timestamp,
+            change.status,
+            change.computedStatus,
+            change.reasonCode,
+            REASON_CODES[change.reasonCode] || '',
+            change.note
+        ].map(AdminUtils.csvCell).join(','));
+
+        return [headers.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * @returns {string} Name of the active store
+     */
+    function getStoreName() {
+        return records.getStoreName();
+    }
+
+    /**
+     * Subscribe to override changes
+     * @param {Function} listener - (records) => void
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        return records.subscribe(listener);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        setOverride,
+        clearOverride,
+        getFor,
+        getAll,
+        getActive,
+        applyToResults,
+        applyToEntries,
+        exportAuditLog,
+        getStoreName,
+        keyFor,
+        subscribe,
+
+        // Constants
+        Status,
+        REASON_CODES
+    };
+})();
@@ -0,0 +1,60 @@
+/**
+ * POP-SORTE Admin Dashboard - Validation Worker
+ *
+ * Runs RechargeValidator.runValidation off the main thread.
+ *
+ * Messages in:
+ *   { type: 'validate', entries, recharges, ignoreSheetStatus }
+ * Messages out:
+ *   { type: 'progress', done, total }
+ *   { type: 'done', results: [{ status, reason, allocation, isCutoff, rechargeIndex }], stats,
+ *     unusedRechargeIndexes, rechargeAllocations: [{ drawKey, consumedByIndex } | null] }
+ *     (results: one per entry, in order; rechargeAllocations: one per recharge, null
+ *     for recharges without a Game ID; indexes are -1 when there is nothing to point to)
+ *   { type: 'error', message }
+ *
+ * Started and stopped by RechargeValidator.validateAllTickets; a cancelled run
+ * terminates the worker.
+ *
+ * Dependencies: ../../draw-calendar-data.js, ../../draw-calendar.js (DrawCalendar),
+ *               admin-utils.js (AdminUtils), recharge-validator.js (RechargeValidator)
+ */
+
+// The shared modules register themselves on window
+self.window = self;
+
+importScripts('../../draw-calendar-data.js', '../../draw-calendar.js', 'admin-utils.js', 'recharge-validator.js');
+
+self.onmessage = ({ data }) => {
+    if (data.type !== 'validate') return;
+
+    try {
+        const rechargeIndex = new Map(data.recharges.map((r, i) => [r, i]));
+        const entryIndex = new Map(data.entries.map((e, i) => [e, i]));
+        const { results, stats, unusedRecharges, rechargeAllocations } = RechargeValidator.runValidation(data.entries, data.recharges,
+            (done, total) => self.postMessage({ type: 'progress', done, total }),
+            { ignoreSheetStatus: Boolean(data.ignoreSheetStatus) });
+
+        self.postMessage({
+            type: 'done',
+            results: results.map(r => ({
+                status: r.status,
+                reason: r.reason,
+                allocation: r.allocation,
+                isCutoff: r.isCutoff,
+                rechargeIndex: r.matchedRecharge ? rechargeIndex.get(r.matchedRecharge) : -1
+            })),
+            stats,
+            unusedRechargeIndexes: unusedRecharges.map(r => rechargeIndex.get(r)),
+            rechargeAllocations: data.recharges.map(r => {
+                const state = rechargeAllocations.get(r);
+                return state ? {
+                    drawKey: state.drawKey,
+                    consumedByIndex: state.consumedBy ? entryIndex.get(state.consumedBy) : -1
+                } : null;
+            })
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -2,18 +2,14 @@
  * POP-SORTE Admin Dashboard - Winner Calculator Module
  * 
  * This module handles:
- * - Matching entries against winning numbers
- * - Filtering for valid entries only
- * - Counting matches (1-5)
- * - Prize calculation: R$1000 split among highest tier per contest
+ * - Winners per contest through the shared WinnerEngine (../winner-engine.js),
+ *   the same rules the public site uses for its winners carousel
+ * - Aggregating winners and tier statistics across contests
+ * - Ticket creator comparisons
  * 
- * Prize Tiers:
- * - 5 matches: Grand Prize
- * - 4 matches: 2nd Prize (only if no 5-match winners)
- * - 3 matches: 3rd Prize (only if no 4+ match winners)
- * - 2 matches: Consolation (only if no 3+ match winners)
+ * Prize Tiers: configured per contest in ../prize-rules.js (PrizeRules)
  * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher), results-fetcher.js (ResultsFetcher)
+ * Dependencies: WinnerEngine, admin-core.js (AdminCore), data-fetcher.js (DataFetcher), results-fetcher.js (ResultsFetcher)
  */
 
 // ============================================
@@ -26,27 +22,14 @@ window.WinnerCalculator = (function() {
     // Constants
     // ============================================
     
-    /**
-     * Default prize pool per contest (R$)
-     * Can be overridden per platform via AdminCore.getPlatformPrize()
-     */
-    const DEFAULT_PRIZE_POOL = 1000;
-    
-    /**
-     * Minimum matches to qualify as a winner (3+ matches = winner)
-     */
-    const MIN_MATCHES_TO_WIN = 3;
-
     /**
      * Get prize pool for a platform
      * @param {string} platform - Platform code
+     * @param {Object} ref - { contest, drawDate } selecting the rule version (default current)
      * @returns {number} Prize pool amount
      */
-    function getPrizePool(platform) {
-        if (typeof AdminCore !== 'undefined' && AdminCore.getPlatformPrize) {
-            return AdminCore.getPlatformPrize(platform);
-        }
-        return DEFAULT_PRIZE_POOL;
+    function getPrizePool(platform, ref = {}) {
+        return WinnerEngine.getPrizePool(platform, ref);
     }
     
     /**
@@ -54,18 +37,6 @@ window.WinnerCalculator = (function() {
      * Note: We now also accept entries without explicit invalid status
      */
     const VALID_STATUSES = ['VALID', 'VALIDADO', 'VALIDATED', 'PENDING', ''];
-    const INVALID_STATUSES = ['INVALID', 'INVÁLIDO', 'REJECTED', 'CANCELLED'];
-    
-    /**
-     * Prize tier names (3+ matches = winner)
-     */
-    const PRIZE_TIERS = {
-        5: { name: 'Jackpot', emoji: '🏆', label: '5 matches', isWinner: true },
-        4: { name: '2nd Prize', emoji: '🥈', label: '4 matches', isWinner: true },
-        3: { name: '3rd Prize', emoji: '🥉', label: '3 matches', isWinner: true },
-        2: { name: 'No Prize', emoji: '❌', label: '2 matches', isWinner: false },
-        1: { name: 'No Prize', emoji: '❌', label: '1 match', isWinner: false }
-    };
 
     // ============================================
     // Match Calculation
@@ -78,11 +49,7 @@ window.WinnerCalculator = (function() {
      * @returns {Object} Match result with count and matched numbers
      */
     function countMatches(entryNumbers, winningNumbers) {
-        const matched = entryNumbers.filter(n => winningNumbers.includes(n));
-        return {
-            count: matched.length,
-            matchedNumbers: matched.sort((a, b) => a - b)
-        };
+        return WinnerEngine.countMatches(entryNumbers, winningNumbers);
     }
 
     /**
@@ -92,9 +59,7 @@ window.WinnerCalculator = (function() {
      * @returns {boolean} True if valid
      */
     function isValidEntry(entry) {
-        const status = (entry.status || '').toUpperCase();
-        // Entry is valid unless explicitly marked as invalid
-        return !INVALID_STATUSES.includes(status);
+        return WinnerEngine.isEligible(entry);
     }
 
     // ============================================
@@ -105,100 +70,28 @@ window.WinnerCalculator = (function() {
      * Calculate winners for a single contest
      * @param {Object[]} entries - Entries for this contest
      * @param {Object} result - Result object with winning numbers
-     * @param {string} platform - Platform code for prize calculation
+     * @param {string} platform - Platform filter the entries were taken from ('DEFAULT' for all)
      * @param {string} contestId - Contest ID (fallback if result doesn't have it)
-     * @returns {Object} Winners calculation result
+     * @returns {Object} Winners calculation result (see WinnerEngine.calculateContest)
      */
     function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null) {
         // Get contest ID from result, entries, or parameter
         const contest = result?.contest || contestId || entries[0]?.contest || 'Unknown';
         const drawDate = result?.drawDate || '';
+        const winningNumbers = result && !result.isNoDraw ? result.numbers : [];
         
-        if (!result || result.isNoDraw || result.numbers.length !== 5) {
-            return {
-                contest: contest,
-                drawDate: drawDate,
-                winningNumbers: [],
-                hasResult: false,
-                totalEntries: entries.length,
-                winners: [],
-                byTier: {},
-                prizePerWinner: 0,
-                winningTier: 0,
-                prizePool: getPrizePool(platform),
-                platform: platform
-            };
-        }
-        
-        const winningNumbers = result.numbers;
-        const winners = [];
-        const byTier = { 5: [], 4: [], 3: [], 2: [], 1: [] };
-        const prizePool = getPrizePool(platform);
+        const calculation = WinnerEngine.calculateContest(entries, winningNumbers, { contest, drawDate });
         
-        // Process each entry
-        entries.forEach(entry => {
-            if (!entry.numbers || entry.numbers.length === 0) return;
-            
-            const matchResult = countMatches(entry.numbers, winningNumbers);
-            
-            if (matchResult.count > 0) {
-                const winner = {
-                    ...entry,
-                    matches: matchResult.count,
-                    matchedNumbers: matchResult.matchedNumbers,
-                    isValidEntry: isValidEntry(entry)
-                };
-                
-                // Add to tier
-                if (byTier[matchResult.count]) {
-                    byTier[matchResult.count].push(winner);
-                }
-                
-                // Only add to winners list if valid and qualifies
-                if (winner.isValidEntry && matchResult.count >= MIN_MATCHES_TO_WIN) {
-                    winners.push(winner);
-                }
-            }
-        });
-        
-        // Sort winners by matches descending
-        winners.sort((a, b) => b.matches - a.matches);
-        
-        // Determine winning tier (highest tier with valid winners)
-        let winningTier = 0;
-        for (let tier = 5; tier >= MIN_MATCHES_TO_WIN; tier--) {
-            const validWinners = byTier[tier].filter(w => w.isValidEntry);
-            if (validWinners.length > 0) {
-                winningTier = tier;
-                break;
-            }
-        }
-        
-        // Calculate prize per winner (prize goes to highest tier only)
-        let prizePerWinner = 0;
-        let totalPrizeAwarded = 0;
-        if (winningTier > 0) {
-            const tierWinners = byTier[winningTier].filter(w => w.isValidEntry);
-            if (tierWinners.length > 0) {
-                prizePerWinner = prizePool / tierWinners.length;
-                totalPrizeAwarded = prizePool;
-            }
-        }
+        // One figure for the contest card when every winner gets the same amount
+        const perWinner = [...new Set(calculation.winners.map(w => w.prize))];
         
         return {
+            ...calculation,
             contest: contest,
             drawDate: drawDate,
-            winningNumbers: winningNumbers,
-            hasResult: true,
-            totalEntries: entries.length,
-            validEntries: entries.filter(isValidEntry).length,
-            winners: winners,
-            byTier: byTier,
-            winningTier: winningTier,
-            prizePerWinner: prizePerWinner,
-            prizePool: prizePool,
-            totalPrizeAwarded: totalPrizeAwarded,
-            tierInfo: PRIZE_TIERS[winningTier] || null,
+            prizePerWinner: perWinner.length === 1 ? perWinner[0] : 0,
+            prizePool: getPrizePool(platform, { contest, drawDate }),
+            tierInfo: WinnerEngine.PRIZE_TIERS[calculation.winningTier] || null,
             platform: platform
         };
     }
@@ -281,7 +174,7 @@ window.WinnerCalculator = (function() {
                     
                     if (contestWinners.winningTier > 0) {
                         stats.contestsWithWinners++;
-                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded || prizePool;
+                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded;
                     }
                     
                     // Count by tier (only valid entries)
@@ -568,10 +461,7 @@ window.WinnerCalculator = (function() {
         getTicketCreatorsByDay,
         
         // Constants
-        DEFAULT_PRIZE_POOL,
-        MIN_MATCHES_TO_WIN,
-        VALID_STATUSES,
-        PRIZE_TIERS
+        VALID_STATUSES
     };
 })();
 
@@ -0,0 +1,234 @@
+/**
+ * POP-SORTE Admin Dashboard - Winner Notifier Module
+ *
+ * This module handles:
+ * - Editable Portuguese message templates (kept in this browser)
+ * - Filling a template for one winner and turning it into a wa.me link
+ * - Skipping winners without a usable WhatsApp (opted out with N/A)
+ * - Recording who was notified and when, in the payout ledger
+ *
+ * Placeholders:
+ *   {nome}       player name (the Game ID, the entries sheet has no name column)
+ *   {gameid}     Game ID
+ *   {concurso}   contest number
+ *   {data}       draw date
+ *   {plataforma} platform
+ *   {bilhete}    ticket number
+ *   {numeros}    numbers played
+ *   {acertados}  numbers matched
+ *   {acertos}    how many numbers matched
+ *   {premio}     prize, formatted as R$
+ *
+ * Dependencies: payout-ledger.js (PayoutLedger), admin-utils.js (AdminUtils)
+ */
+
+// ============================================
+// Winner Notifier Module
+// ============================================
+window.WinnerNotifier = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const STORAGE_KEY = 'popsorte_notify_templates_v1';
+    const WA_BASE = 'https://wa.me/';
+
+    const DEFAULT_TEMPLATES = {
+        winner: {
+            name: 'Aviso de prêmio',
+            text: 'Olá, {nome}! 🎉\n\n' +
+                'Parabéns! Seu bilhete {bilhete} do concurso {concurso} ({data}) acertou {acertos} números: {acertados}.\n' +
+                'Números jogados: {numeros}\n\n' +
+                'Prêmio: {premio}\n\n' +
+                'Em breve entraremos em contato para combinar o pagamento via PIX. POP-SORTE {plataforma} 🍀'
+        },
+        paid: {
+            name: 'Pagamento realizado',
+            text: 'Olá, {nome}! ✅\n\n' +
+                'O prêmio de {premio} do concurso {concurso} (bilhete {bilhete}) foi pago via PIX.\n' +
+                'Obrigado por jogar no POP-SORTE {plataforma}! 🍀'
+        }
+    };
+
+    // ============================================
+    // Templates
+    // ============================================
+
+    /**
+     * Templates edited in this browser
+     * @returns {Object} { id: text }
+     */
+    function readCustomTexts() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (e) {
+            console.warn('WinnerNotifier: could not read templates:', e);
+            return {};
+        }
+    }
+
+    /**
+     * @returns {Object[]} [{ id, name, text, custom }]
+     */
+    function getTemplates() {
+        const custom = readCustomTexts();
+        return Object.entries(DEFAULT_TEMPLATES).map(([id, template]) => ({
+            id,
+            name: template.name,
+            text: typeof custom[id] === 'string' ? custom[id] : template.text,
+            custom: typeof custom[id] === 'string'
+        }));
+    }
+
+    /**
+     * @param {string} id - Template id
+     * @returns {Object|null} Template
+     */
+    function getTemplate(id) {
+        return getTemplates().find(t => t.id === id) || null;
+    }
+
+    /**
+     * Save an edited template text
+     * @param {string} id - Template id
+     * @param {string} text - Template text
+     * @throws {Error} On an unknown template or an empty text
+     */
+    function saveTemplate(id, text) {
+        if (!DEFAULT_TEMPLATES[id]) throw new Error(`Unknown template "${id}"`);
+        if (!String(text || '').trim()) throw new Error('The template cannot be empty');
+
+        const custom = readCustomTexts();
+        custom[id] = text;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+    }
+
+    /**
+     * Restore the default text of a template
+     * @param {string} id - Template id
+     */
+    function resetTemplate(id) {
+        const custom = readCustomTexts();
+        delete custom[id];
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+    }
+
+    // ============================================
+    // Messages
+    // ============================================
+
+    /**
+     * WhatsApp number in international format
+     * @param {string} whatsapp - Number as registered (+55…, or 10-11 digits)
+     * @returns {string|null} Digits with country code, or null when opted out / unusable
+     */
+    function normalizePhone(whatsapp) {
+        const raw = String(whatsapp || '').trim();
+        if (!raw || AdminUtils.isOptedOut(raw)) return null;
+
+        const digits = raw.replace(/\D/g, '');
+        if (digits.length === 10 || digits.length === 11) return `55${digits}`;
+        if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) return digits;
+        return null;
+    }
+
+    /**
+     * Why a winner cannot be messaged
+     * @param {string} whatsapp - Number as registered
+     * @returns {string} Reason, or '' when the number is usable
+     */
+    function getSkipReason(whatsapp) {
+        if (normalizePhone(whatsapp)) return '';
+        return AdminUtils.isOptedOut(whatsapp)
+            ? 'Opted out of WhatsApp'
+            : 'No valid WhatsApp number';
+    }
+
+    /**
+     * @param {number[]} numbers - Numbers
+     * @returns {string} "05 - 12 - 33"
+     */
+    function formatNumbers(numbers) {
+        return (numbers || []).map(n => String(n).padStart(2, '0')).join(' - ');
+    }
+
+    /**
+     * Fill a template for one winner (unknown placeholders are left as typed)
+     * @param {string} text - Template text
+     * @param {Object} winner - Winner from WinnerCalculator
+     * @returns {string} Message
+     */
+    function render(text, winner) {
+        const values = {
+            nome: winner.name || winner.gameId || '',
+            gameid: winner.gameId || '',
+            concurso: winner.contest || '',
+            data: winner.drawDate || '',
+            plataforma: winner.platform || '',
+            bilhete: winner.ticketNumber || '—',
+            numeros: formatNumbers(winner.numbers),
+            acertados: formatNumbers(winner.matchedNumbers),
+            acertos: winner.matches || 0,
+            premio: (winner.prize || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })
+        };
+        return String(text).replace(/\{(\w+)\}/g, (match, key) =>
+            Object.prototype.hasOwnProperty.call(values, key.toLowerCase()) ? String(values[key.toLowerCase()]) : match);
+    }
+
+    /**
+     * Messages for a list of winners
+     * @param {Object[]} winners - Winners
+     * @param {string} templateId - Template id
+     * @param {string} text - Text to use instead of the saved one (unsaved edits)
+     * @returns {Object[]} [{ winner, payout, phone, message, link, skipReason }]
+     *   (link is null and skipReason set for winners that cannot be messaged)
+     */
+    function compose(winners, templateId, text) {
+        const template = getTemplate(templateId);
+        if (!template) throw new Error(`Unknown template "${templateId}"`);
+        const templateText = typeof text === 'string' ? text : template.text;
+
+        return winners.map(winner => {
+            const payout = PayoutLedger.getForWinner(winner);
+            const phone = normalizePhone(winner.whatsapp);
+            const message = render(templateText, winner);
+            return {
+                winner,
+                payout,
+                phone,
+                message,
+                link: phone ? `${WA_BASE}${phone}?text=${encodeURIComponent(message)}` : null,
+                skipReason: getSkipReason(winner.whatsapp)
+            };
+        });
+    }
+
+    /**
+     * Record that a composed message was opened in WhatsApp
+     * @param {Object} item - Item from compose()
+     * @param {string} templateId - Template id
+     * @returns {Promise<Object|null>} Updated ledger record (null when the winner has none)
+     */
+    async function markSent(item, templateId) {
+        if (!item.payout) return null;
+        const template = getTemplate(templateId);
+        return PayoutLedger.markNotified(item.payout.id, template ? template.name : templateId);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        getTemplates,
+        getTemplate,
+        saveTemplate,
+        resetTemplate,
+        normalizePhone,
+        getSkipReason,
+        render,
+        compose,
+        markSent
+    };
+})();
@@ -5,14 +5,21 @@ const API_BASE_URL = 'https://popsorte-api.danilla-vargas1923.workers.dev';
 // Changes: WhatsApp instead of Pedido, UNLIMITED registrations per Game ID, proper Concurso system, no SN
 let selectedNumbers = []; // Array to preserve order
 let selectedPlatform = null;
-const CONCURSO_REFERENCE = {
-    number: 6903,
-    date: new Date('2025-12-15T00:00:00-03:00') // Explicit Brazil time
+const MAX_CART_BETS = 10;
+let betCart = []; // Finished 5-number bets waiting for one batch submission
+let betCartStrategies = []; // Strategy tag of each cart bet (same index as betCart)
+let selectionStrategy = 'manual'; // How the numbers on the grid were picked (Surpresinha.describe tag)
+let registrationOpen = true; // false between a cutoff and the next registration start
+let popupDrawDateKey = null; // draw day shown in the confirmation popup when it was opened
+const SUBMISSION_STATUS_LABELS = {
+    pending: '⏳ PENDENTE',
+    confirmed: '✅ CONFIRMADO',
+    rejected: '❌ RECUSADO'
 };
 
 // Helper to get current time in Brazil timezone
 function getBrazilTime() {
-    const now = new Date();
+    const now = ServerClock.now(); // server-synced, a wrong device clock must not pick the concurso
     // Use Intl.DateTimeFormat to get Brazil time components
     const formatter = new Intl.DateTimeFormat('en-US', {
         timeZone: 'America/Sao_Paulo',
@@ -60,28 +67,9 @@ function getBrazilDateString(date) {
     return `${year}-${month}-${day}`;
 }
 
-// Draw calendar helpers (BRT)
-function isNoDrawDay(date) {
-    const month = date.getMonth(); // 0-indexed
-    const day = date.getDate();
-    const isChristmas = month === 11 && day === 25;
-    const isNewYear = month === 0 && day === 1;
-    return isChristmas || isNewYear;
-}
-
-function isEarlyDrawDay(date) {
-    const month = date.getMonth();
-    const day = date.getDate();
-    return (month === 11 && (day === 24 || day === 31));
-}
-
+// Draw calendar helpers (BRT) - rules live in draw-calendar-data.js
 function getDrawTimeHour(date) {
-    return isEarlyDrawDay(date) ? 17 : 20;
-}
-
-function isValidDrawDay(date) {
-    const isSunday = date.getDay() === 0;
-    return !isSunday && !isNoDrawDay(date);
+    return DrawCalendar.getDrawHour(date);
 }
 
 function buildScheduleForDate(dateInput) {
@@ -90,10 +78,8 @@ function buildScheduleForDate(dateInput) {
         : getBrazilDateString(dateInput);
 
     const drawDate = new Date(`${dateStr}T00:00:00-03:00`);
-    const drawHour = getDrawTimeHour(drawDate);
-
-    const cutoff = new Date(`${dateStr}T${drawHour.toString().padStart(2, '0')}:00:00-03:00`);
-    cutoff.setSeconds(cutoff.getSeconds() - 1); // 19:59:59 or 16:59:59
+    const drawHour = getDrawTimeHour(dateStr);
+    const cutoff = DrawCalendar.getCutoff(dateStr); // 19:59:59 or 16:59:59
 
     const regStartDate = new Date(drawDate);
     regStartDate.setDate(regStartDate.getDate() - 1);
@@ -103,70 +89,46 @@ function buildScheduleForDate(dateInput) {
     return { drawDate, drawHour, cutoff, regStart };
 }
 
-function getNextValidDrawDate(fromDate) {
-    const probe = new Date(fromDate);
-    probe.setHours(0, 0, 0, 0);
-
-    for (let i = 0; i < 14; i++) {
-        if (i > 0) probe.setDate(probe.getDate() + 1);
-        if (isValidDrawDay(probe)) {
-            return new Date(probe);
-        }
-    }
-    throw new Error('No valid draw date found in range');
-}
-
 function getCurrentDrawSchedule() {
     const spNow = getBrazilTime(); // Use corrected Brazil time function
-    const todayStr = getBrazilDateString(spNow);
-    const today = new Date(`${todayStr}T00:00:00-03:00`);
-
-    const todayValid = isValidDrawDay(today);
-    if (todayValid) {
-        const schedule = buildScheduleForDate(todayStr);
-        if (spNow <= schedule.cutoff) {
-            return { ...schedule, now: spNow };
-        }
-    }
+    const drawDateKey = DrawCalendar.getDrawDateKeyFor(spNow);
+    return { ...buildScheduleForDate(drawDateKey), drawDateKey, now: spNow };
+}
 
-    // After cutoff or today invalid: pick next valid draw day (skipping Sundays and blocked days)
-    let probe = new Date(today);
-    for (let i = 0; i < 14; i++) {
-        probe.setDate(probe.getDate() + 1);
-        const probeStr = getBrazilDateString(probe);
-        const probeDate = new Date(`${probeStr}T00:00:00-03:00`);
-        if (isValidDrawDay(probeDate)) {
-            const nextSchedule = buildScheduleForDate(probeStr);
-            return { ...nextSchedule, now: spNow };
-        }
-    }
-    throw new Error('No valid draw date found');
+// Registration is open from regStart (20:00:01 the day before) until the cutoff of the
+// current draw. After an early draw or before a day without draw it stays closed until then.
+function getRegistrationState() {
+    const schedule = getCurrentDrawSchedule();
+    const open = schedule.now >= schedule.regStart;
+    return { ...schedule, open, reopensAt: open ? null : schedule.regStart };
 }
 
-// Calculate concurso number based on draw date while skipping non-draw days (Sundays + holiday closures)
+// "reabrem às 20:00 de domingo, 19/10"
+function formatReopening(reopensAt) {
+    const time = formatBrazilDateTime(reopensAt, { hour: '2-digit', minute: '2-digit' });
+    const day = formatBrazilDateTime(reopensAt, { weekday: 'long', day: '2-digit', month: '2-digit' });
+    return `reabrem às ${time} de ${day}`;
+}
+
+// Concurso number for a draw date, anchored on published results (see contest-registry.js)
 function calculateConcurso(drawDate) {
-    const refDateStr = getBrazilDateString(CONCURSO_REFERENCE.date);
     const targetDateStr = typeof drawDate === 'string'
         ? drawDate.split('T')[0]
         : getBrazilDateString(drawDate);
 
-    const refDate = new Date(`${refDateStr}T12:00:00Z`);      // use noon UTC to avoid DST issues
-    const targetDate = new Date(`${targetDateStr}T12:00:00Z`);
-
-    let daysDiff = 0;
-    let cursor = new Date(refDate);
-    const step = targetDate >= refDate ? 1 : -1;
+    const entry = ContestRegistry.getContestForDate(targetDateStr);
+    return entry ? entry.contest : null;
+}
 
-    while ((step === 1 && cursor < targetDate) || (step === -1 && cursor > targetDate)) {
-        cursor.setUTCDate(cursor.getUTCDate() + step);
-        const cursorStr = cursor.toISOString().split('T')[0];
-        const cursorBrazil = new Date(`${cursorStr}T12:00:00-03:00`);
-        if (isValidDrawDay(cursorBrazil)) {
-            daysDiff += 1;
-        }
+// Load published results into the registry, then refresh anything showing a concurso
+async function syncContestRegistry() {
+    try {
+        ContestRegistry.setConfirmed(await PopDataSource.getResults());
+        updateDrawDateDisplay();
+        updateConfirmationWarning();
+    } catch (e) {
+        console.warn('Contest registry sync failed, using calendar projection:', e);
     }
-
-    return CONCURSO_REFERENCE.number + daysDiff * step;
 }
 
 // Get weekday name in Portuguese
@@ -179,6 +141,7 @@ function getWeekdayName(date) {
 generateNumberGrid();
 updateSelectedDisplay();
 updateSubmitButton();
+initServerClock();
 initCountdown();
 updateDrawDateDisplay();
 updateConfirmationWarning();
@@ -186,50 +149,19 @@ setupGameIdInput();
 setupWhatsappInput();
 initPlatformSelection();
 fetchAndPopulateResults();
+syncContestRegistry();
+initTicketQueue();
 bindUiEvents();
 initLatestFiveWidget();
 
-// ✅ Fetch latest results directly from Google Sheets (public CSV exports)
+// ✅ Fetch latest results through the shared data source (see data-source.js)
 async function fetchAndPopulateResults() {
-    // Google Sheets CSV export URLs (public read-only)
-    const RESULTS_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644';
-    const ENTRIES_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
-    
     const marqueeBalls = document.getElementById('marqueeBalls');
     const marqueeContainer = document.querySelector('.results-marquee');
     const marqueeContent = document.getElementById('marqueeContent');
     
     if (!marqueeBalls || !marqueeContainer || !marqueeContent) return;
 
-    // Helper function to check if a draw is valid
-    const isValidDraw = (row) => {
-        if (row.length < 7) return false;
-        const contest = row[0].trim();
-        const dateStr = row[1].trim();
-        const nums = row.slice(2, 7).map(v => parseInt(v, 10)).filter(n => !isNaN(n));
-        
-        // Must have contest number, date, and 5 numbers
-        if (!contest || !dateStr || nums.length !== 5) return false;
-        
-        // Check if it's a "No draw" entry
-        const fullRow = row.join(' ').toLowerCase();
-        if (fullRow.includes('no draw')) return false;
-        
-        return true;
-    };
-
-    // Helper function to count matches between entry numbers and winning numbers
-    const countMatches = (entryNumbers, winningNumbers) => {
-        return entryNumbers.filter(n => winningNumbers.includes(n)).length;
-    };
-
-    // Helper function to check if entry is valid (not explicitly invalid)
-    const isValidEntry = (entry) => {
-        const status = (entry.status || '').toUpperCase();
-        const invalidStatuses = ['INVALID', 'INVÁLIDO', 'REJECTED', 'CANCELLED'];
-        return !invalidStatuses.includes(status);
-    };
-
     const updateAndAnimate = (latestResult, winners = []) => {
         if (!marqueeBalls || !marqueeContent) return;
         
@@ -353,7 +285,8 @@ async function fetchAndPopulateResults() {
                     }
                 });
                 
-                innerHTML += `<span style="color:#b45309; font-weight:700;">]</span>`;
+                innerHTML += `<span style="color:#b45309; font-weight:700;">]</span>` +
+                    `<span style="color:#10b981; font-weight:800;">${formatPrize(win.prize)}</span>`;
                 winTag.innerHTML = innerHTML;
                 
                 // Add click event to scroll to winners carousel section
@@ -380,6 +313,8 @@ async function fetchAndPopulateResults() {
         startMarquee();
     };
 
+    const formatPrize = (value) => (value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
     const updateWinnersCarousel = (winners, winningNums) => {
         const carouselSection = document.getElementById('winnersCarouselSection');
         const track = document.getElementById('winnersCarouselTrack');
@@ -427,6 +362,9 @@ async function fetchAndPopulateResults() {
                 <div style="font-size: 0.85rem; color: #10b981; font-weight: 800;">
                     ${win.matches} ACERTOS! PARABÉNS! 🎉
                 </div>
+                <div style="font-size: 0.85rem; color: #b45309; font-weight: 800;">
+                    PRÊMIO: ${formatPrize(win.prize)}
+                </div>
             `;
             track.appendChild(card);
 
@@ -485,39 +423,17 @@ async function fetchAndPopulateResults() {
     };
 
     try {
-        // 1. Fetch Results from Google Sheets
+        // 1. Latest result from the shared data source
         let latestResult = null;
         try {
-            const res = await fetch(`${RESULTS_SHEET_URL}&t=${Date.now()}`, { cache: 'no-store' });
-            if (res.ok) {
-                const csv = await res.text();
-                
-                // Check if we got HTML instead of CSV
-                if (csv.trim().startsWith('<!DOCTYPE') || csv.trim().startsWith('<html')) {
-                    throw new Error('Sheet not publicly accessible');
-                }
-                
-                const lines = csv.split(/\r?\n/).filter(Boolean);
-                if (lines.length > 1) {
-                    const delimiter = detectDelimiter(lines[0] || '');
-                    
-                    // Find the last valid draw (skip "No draw" entries)
-                    for (let i = lines.length - 1; i >= 1; i--) {
-                        const row = parseCSVLine(lines[i], delimiter);
-                        if (isValidDraw(row)) {
-                            const nums = row.slice(2, 7).map(v => parseInt(v, 10)).filter(n => !isNaN(n));
-                            const dateParts = (row[1] || '').split('/');
-                            const dateISO = dateParts.length === 3 ? `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}` : getBrazilDateString(new Date());
-                            latestResult = {
-                                drawNumber: row[0],
-                                contest: row[0],
-                                date: dateISO,
-                                numbers: nums
-                            };
-                            break; // Found the latest valid draw
-                        }
-                    }
-                }
+            const result = await PopDataSource.getLatestResult();
+            if (result) {
+                latestResult = {
+                    drawNumber: result.contest,
+                    contest: result.contest,
+                    date: result.dateISO || getBrazilDateString(new Date()),
+                    numbers: result.numbers
+                };
             }
         } catch (e) { 
             console.warn('Results fetch failed:', e); 
@@ -528,72 +444,19 @@ async function fetchAndPopulateResults() {
         // 2. Calculate Winners from Entries and Results
         let winners = [];
         try {
-            const entriesRes = await fetch(`${ENTRIES_SHEET_URL}&t=${Date.now()}`, { cache: 'no-store' });
-            if (entriesRes.ok) {
-                const entriesCsv = await entriesRes.text();
-                
-                // Check if we got HTML instead of CSV
-                if (entriesCsv.trim().startsWith('<!DOCTYPE') || entriesCsv.trim().startsWith('<html')) {
-                    throw new Error('Entries sheet not publicly accessible');
-                }
-                
-                const entriesLines = entriesCsv.split(/\r?\n/).filter(Boolean);
-                
-                if (entriesLines.length > 1) {
-                    const delimiter = detectDelimiter(entriesLines[0] || '');
-                    const targetContest = String(latestResult.drawNumber || latestResult.contest || '').trim();
-                    const winningNumbers = latestResult.numbers || [];
-                    
-                    // Parse entries
-                    const entries = [];
-                    for (let i = 1; i < entriesLines.length; i++) {
-                        const row = parseCSVLine(entriesLines[i], delimiter);
-                        if (row.length >= 9) {
-                            const entryContest = String(row[6] || '').trim(); // contest column
-                            
-                            if (entryContest === targetContest) {
-                                const chosenNumbers = (row[4] || '').split(/[,;|\t]/).map(n => parseInt(n.trim())).filter(n => !isNaN(n));
-                                
-                                if (chosenNumbers.length === 5) {
-                                    entries.push({
-                                        platform: (row[1] || 'POPN1').toString().trim().toUpperCase(),
-                                        gameId: row[2] || '',
-                                        whatsapp: row[3] || '',
-                                        chosenNumbers: chosenNumbers,
-                                        drawDate: row[5] || '',
-                                        contest: row[6] || '',
-                                        status: row[8] || 'PENDING'
-                                    });
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Calculate winners (3+ matches required)
-                    const MIN_MATCHES_TO_WIN = 3;
-                    entries.forEach(entry => {
-                        if (!isValidEntry(entry)) return;
-                        
-                        const matches = countMatches(entry.chosenNumbers, winningNumbers);
-                        
-                        if (matches >= MIN_MATCHES_TO_WIN) {
-                            winners.push({
-                                ...entry,
-                                matches: matches,
-                                matchedNumbers: entry.chosenNumbers.filter(n => winningNumbers.includes(n))
-                            });
-                        }
-                    });
-                    
-                    // Sort winners by matches desc, then by gameId
-                    winners.sort((a, b) => {
-                        if (b.matches !== a.matches) {
-                            return b.matches - a.matches;
-                        }
-                        return a.gameId.localeCompare(b.gameId);
-                    });
-                }
-            }
+            const allEntries = await PopDataSource.getEntries();
+            const targetContest = String(latestResult.drawNumber || latestResult.contest || '').trim();
+            const winningNumbers = latestResult.numbers || [];
+
+            const entries = allEntries
+                .filter(entry => entry.contest === targetContest)
+                .map(entry => ({ ...entry, chosenNumbers: entry.numbers }));
+
+            // Same rules and prize split as the admin Winners page (see winner-engine.js)
+            winners = WinnerEngine.calculateContest(entries, winningNumbers, {
+                contest: targetContest,
+                drawDate: latestResult.date
+            }).winners;
         } catch (e) { 
             console.warn('Winners calculation failed:', e); 
         }
@@ -610,46 +473,6 @@ async function fetchAndPopulateResults() {
     }
 }
 
-// Simple CSV line parser
-function parseCSVLine(line, delimiter = ',') {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const ch = line[i];
-        if (ch === '"') inQuotes = !inQuotes;
-        else if (ch === delimiter && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-        } else current += ch;
-    }
-    values.push(current.trim());
-    return values;
-}
-
-function detectDelimiter(headerLine) {
-    const counts = {
-        ',': (headerLine.match(/,/g) || []).length,
-        ';': (headerLine.match(/;/g) || []).length,
-        '\t': (headerLine.match(/\t/g) || []).length,
-        '|': (headerLine.match(/\|/g) || []).length,
-    };
-    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
-}
-
-function parseBrDateTime(str) {
-    if (!str) return null;
-    try {
-        const [datePart, timePart = '00:00:00'] = str.trim().split(' ');
-        const [d, m, y] = datePart.split(/[\/-]/).map(Number);
-        const [hh = 0, mm = 0, ss = 0] = timePart.split(':').map(Number);
-        if (!d || !m || !y) return null;
-        return new Date(Date.UTC(y, m - 1, d, hh + 3, mm, ss));
-    } catch {
-        return null;
-    }
-}
-
 function maskWhatsappNumber(value) {
     if (!value) return '****';
     const digits = value.replace(/\D/g, '');
@@ -676,9 +499,6 @@ function initLatestFiveWidget() {
     const errEl = document.getElementById('latest5Error');
     if (!listEl) return;
 
-    // Use Google Sheets CSV export with blurred data (secure)
-    const latest5Url = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
-
     const render = (entries) => {
         if (errEl) errEl.style.display = 'none';
         listEl.innerHTML = '';
@@ -727,41 +547,8 @@ function initLatestFiveWidget() {
         listEl.innerHTML = '<div class="latest5-loading">Carregando últimos bilhetes...</div>';
 
         try {
-            // Append cache-busting parameter with & since URL already has query params
-            const url = `${latest5Url}&t=${Date.now()}`;
-            const res = await fetch(url, { cache: 'no-store', redirect: 'follow' });
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            
-            const csv = await res.text();
-            
-            // Check if we got HTML instead of CSV (Google Sheets might return login page)
-            if (csv.trim().startsWith('<!DOCTYPE') || csv.trim().startsWith('<html')) {
-                throw new Error('Received HTML instead of CSV. Sheet may not be publicly accessible.');
-            }
-            const lines = csv.split(/\r?\n/).filter(Boolean);
-            if (lines.length <= 1) throw new Error('CSV vazio');
-
-            const delimiter = detectDelimiter(lines[0]);
-            const entries = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = parseCSVLine(lines[i], delimiter);
-                if (row.length < 9) continue;
-
-                const parsedDate = parseBrDateTime(row[0] || '');
-                entries.push({
-                    timestamp: row[0] || '',
-                    parsedDate,
-                    platform: row[1] || 'POPN1',
-                    gameId: row[2] || '',
-                    whatsapp: row[3] || '',
-                    numbers: (row[4] || '').split(/[,;|\t]/).map(n => parseInt(n.trim(), 10)).filter(n => !isNaN(n)),
-                    drawDate: row[5] || '',
-                    contest: row[6] || '',
-                    ticketNumber: row[7] || '',
-                    status: row[8] || 'PENDING'
-                });
-            }
+            const entries = (await PopDataSource.getEntries()).slice();
+            if (!entries.length) throw new Error('CSV vazio');
 
             entries.sort((a, b) => {
                 const ta = a.parsedDate ? a.parsedDate.getTime() : 0;
@@ -973,6 +760,8 @@ function toggleNumber(num) {
     
     // Sort numbers from smallest to largest
     selectedNumbers.sort((a, b) => a - b);
+    // Edited by hand: no longer the strategy's pick
+    selectionStrategy = 'manual';
     
     updateSelectedDisplay();
     updateSubmitButton();
@@ -1018,6 +807,7 @@ function updateSelectedDisplay() {
 // Clear numbers
 function clearNumbers() {
     selectedNumbers = [];
+    selectionStrategy = 'manual';
     document.querySelectorAll('.number-ball.selected').forEach(ball => {
         ball.classList.remove('selected');
     });
@@ -1025,35 +815,39 @@ function clearNumbers() {
     updateSubmitButton();
 }
 
-// Surpresinha - random EXACTLY 5 numbers with sorting
-function surpresinha() {
-    clearNumbers();
-    
-    const quantity = 5;
-    const numbers = [];
-    
-    for (let i = 1; i <= 80; i++) {
-        numbers.push(i);
-    }
-    
-    // Shuffle using Fisher-Yates algorithm
-    for (let i = numbers.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+// Surpresinha - EXACTLY 5 numbers with the strategy chosen in the options (see surpresinha.js)
+async function surpresinha() {
+    const strategy = document.getElementById('surpresinhaStrategy')?.value || Surpresinha.Strategy.RANDOM;
+    const options = {
+        strategy: strategy,
+        exclude: document.getElementById('surpresinhaExclude')?.value || '',
+        avoid: document.getElementById('surpresinhaAvoid')?.checked ? getPlayedCombinations() : [],
+        sumRange: {
+            min: parseInt(document.getElementById('surpresinhaSumMin')?.value, 10),
+            max: parseInt(document.getElementById('surpresinhaSumMax')?.value, 10)
+        }
+    };
+
+    let pick;
+    try {
+        if (Surpresinha.HISTORY_STRATEGIES.includes(strategy)) {
+            options.results = await PopDataSource.getResults();
+        }
+        pick = Surpresinha.pick(options);
+    } catch (error) {
+        console.warn('Surpresinha:', error);
+        showToast('❌ ' + (error.message || 'Não foi possível gerar os números'), 'error');
+        return;
     }
-    
-    // Select first 5 numbers and SORT them
-    const selectedRandom = numbers.slice(0, quantity).sort((a, b) => a - b);
-    
-    selectedRandom.forEach(num => {
+
+    clearNumbers();
+    pick.numbers.forEach(num => {
         selectedNumbers.push(num);
         const ball = document.querySelector(`.number-ball[data-number="${num}"]`);
         ball.classList.add('selected');
     });
-    
-    // Ensure selectedNumbers is sorted
-    selectedNumbers.sort((a, b) => a - b);
-    
+    selectionStrategy = pick.tag;
+
     updateSelectedDisplay();
     updateSubmitButton();
     
@@ -1062,25 +856,165 @@ function surpresinha() {
     showToast(`🎲 ${displayNumbers}`);
 }
 
+// Combinations already played on this device for the current concurso (wallet, queue and cart)
+function getPlayedCombinations() {
+    const concurso = String(calculateConcurso(getDrawDate()));
+    const played = TicketWallet.getAll()
+        .filter(ticket => ticket.concurso === concurso)
+        .map(ticket => ticket.numbers);
+
+    TicketQueue.getPending()
+        .filter(record => String(record.payload.concurso) === concurso)
+        .forEach(record => played.push(...getRecordBets(record)));
+
+    return played.concat(betCart);
+}
+
+// Show the sum range inputs only for the sum strategy
+function updateSurpresinhaOptions() {
+    const select = document.getElementById('surpresinhaStrategy');
+    const sumRange = document.getElementById('surpresinhaSumRange');
+    if (select && sumRange) {
+        sumRange.style.display = select.value === Surpresinha.Strategy.SUM ? 'inline-flex' : 'none';
+    }
+}
+
 // Update submit button
 function updateSubmitButton() {
     const btn = document.getElementById('submitBtn');
-    
-    if (selectedNumbers.length >= 5 && selectedNumbers.length <= 20) {
+    const selectionComplete = selectedNumbers.length >= 5 && selectedNumbers.length <= 20;
+
+    if (registrationOpen && (selectionComplete || betCart.length > 0)) {
         btn.disabled = false;
     } else {
         btn.disabled = true;
     }
+
+    // With bets in the cart the button submits all of them (plus a finished selection)
+    const label = btn.querySelector('.button-top');
+    if (label) {
+        const betCount = betCart.length + (selectionComplete && !isBetInCart(selectedNumbers) ? 1 : 0);
+        if (!registrationOpen) {
+            label.textContent = '⛔ INSCRIÇÕES ENCERRADAS';
+        } else {
+            label.textContent = betCart.length > 0
+                ? `🎫 GERE OS ${betCount} BILHETES 🎫`
+                : '🎫 GERE O BILHETE 🎫';
+        }
+    }
+
+    const addBtn = document.getElementById('btnAddToCart');
+    if (addBtn) {
+        addBtn.disabled = !selectionComplete || betCart.length >= MAX_CART_BETS;
+    }
+}
+
+// ============================================
+// MULTI-BET CART
+// ============================================
+
+// Check if a bet with the same numbers is already in the cart
+function isBetInCart(numbers) {
+    const key = numbers.join(',');
+    return betCart.some(bet => bet.join(',') === key);
+}
+
+// Move the current selection into the cart and free the grid for the next bet
+function addCurrentBetToCart() {
+    if (selectedNumbers.length < 5 || selectedNumbers.length > 20) {
+        showToast('SELECIONE ENTRE 5 NÚMEROS!');
+        return false;
+    }
+    if (betCart.length >= MAX_CART_BETS) {
+        showToast(`MÁXIMO ${MAX_CART_BETS} APOSTAS POR ENVIO!`);
+        return false;
+    }
+    if (isBetInCart(selectedNumbers)) {
+        showToast('⚠️ ESSA APOSTA JÁ ESTÁ NA LISTA');
+        return false;
+    }
+
+    betCart.push(selectedNumbers.slice());
+    betCartStrategies.push(selectionStrategy);
+    clearNumbers();
+    renderBetCart();
+    showToast(`🧺 APOSTA ${betCart.length} ADICIONADA`);
+    return true;
+}
+
+// Remove a bet from the cart
+function removeBetFromCart(index) {
+    betCart.splice(index, 1);
+    betCartStrategies.splice(index, 1);
+    renderBetCart();
+}
+
+// Render cart list
+function renderBetCart() {
+    const list = document.getElementById('betCartList');
+    const header = document.getElementById('betCartHeader');
+    const count = document.getElementById('betCartCount');
+    if (!list) return;
+
+    list.innerHTML = '';
+    betCart.forEach((bet, index) => {
+        const item = document.createElement('div');
+        item.className = 'bet-cart-item';
+
+        const position = document.createElement('span');
+        position.className = 'bet-cart-index';
+        position.textContent = `${index + 1}.`;
+
+        const numbers = document.createElement('div');
+        numbers.className = 'bet-cart-numbers';
+        bet.forEach(num => {
+            const badge = document.createElement('div');
+            badge.className = 'number-badge ' + getBallColorClass(num);
+            const numberText = document.createElement('span');
+            numberText.className = 'number-text';
+            numberText.textContent = num.toString().padStart(2, '0');
+            badge.appendChild(numberText);
+            numbers.appendChild(badge);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'bet-cart-remove';
+        removeBtn.dataset.index = index;
+        removeBtn.setAttribute('aria-label', `Remover aposta ${index + 1}`);
+        removeBtn.textContent = '✕';
+
+        item.appendChild(position);
+        item.appendChild(numbers);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+
+    if (header) header.style.display = betCart.length > 0 ? 'block' : 'none';
+    if (count) count.textContent = `${betCart.length}/${MAX_CART_BETS}`;
+    updateSubmitButton();
 }
 
 // Show user info popup
 function showUserInfoPopup() {
-    if (selectedNumbers.length < 5 || selectedNumbers.length > 20) {
+    const registration = getRegistrationState();
+    if (!registration.open) {
+        showToast(`⛔ INSCRIÇÕES ENCERRADAS! ${formatReopening(registration.reopensAt)}`, 'error');
+        return;
+    }
+
+    if (betCart.length > 0) {
+        // A finished selection still on the grid goes into the cart instead of being dropped
+        if (selectedNumbers.length >= 5 && !isBetInCart(selectedNumbers) && !addCurrentBetToCart()) {
+            return;
+        }
+    } else if (selectedNumbers.length < 5 || selectedNumbers.length > 20) {
         showToast('SELECIONE ENTRE 5 NÚMEROS!');
         return;
     }
-    
+
     updateConfirmationWarning(); // Update warning with current concurso info
+    popupDrawDateKey = registration.drawDateKey;
     document.getElementById('userInfoPopup').style.display = 'block';
 }
 
@@ -1096,7 +1030,8 @@ function updateConfirmationWarning() {
         year: '2-digit'
     });
     
-    const warningText = `Está prestes a se cadastrar no <strong>CONCURSO ${concurso}</strong> (${weekday} <strong>${formattedDate}</strong>) às <strong>${drawHour.toString().padStart(2, '0')}:00</strong> BRT.<br><br>
+    const action = betCart.length > 1 ? `cadastrar <strong>${betCart.length} apostas</strong>` : 'se cadastrar';
+    const warningText = `Está prestes a ${action} no <strong>CONCURSO ${concurso}</strong> (${weekday} <strong>${formattedDate}</strong>) às <strong>${drawHour.toString().padStart(2, '0')}:00</strong> BRT.<br><br>
     Resultado será atualizado no oficial: <a href="https://loterias.caixa.gov.br/Paginas/quina.aspx" target="_blank" style="color: #0b3eccff; text-decoration: underline;">https://loterias.caixa.gov.br/Paginas/quina.aspx</a>.`;
     
     const warningElement = document.getElementById('confirmationWarning');
@@ -1165,7 +1100,7 @@ async function confirmEntry() {
         whatsappNumber = '+55' + rawNumber;
     }
     
-    if (selectedNumbers.length < 5 || selectedNumbers.length > 20) {
+    if (betCart.length === 0 && (selectedNumbers.length < 5 || selectedNumbers.length > 20)) {
         showToast('❌ SELECIONE ENTRE 5 NÚMEROS!', 'error');
         return;
     }
@@ -1175,89 +1110,84 @@ async function confirmEntry() {
         showToast('❌ Selecione POPN1 antes de confirmar', 'error');
         return;
     }
+
+    // The popup may have stayed open across a cutoff: never submit for a draw the player did not see
+    const registration = getRegistrationState();
+    if (!registration.open) {
+        closeUserInfoPopup();
+        showToast(`⛔ INSCRIÇÕES ENCERRADAS! ${formatReopening(registration.reopensAt)}`, 'error');
+        return;
+    }
+    if (popupDrawDateKey && registration.drawDateKey !== popupDrawDateKey) {
+        updateConfirmationWarning();
+        popupDrawDateKey = registration.drawDateKey;
+        showToast('⚠️ O prazo do concurso anterior encerrou. Confira o novo concurso e confirme novamente.', 'error');
+        return;
+    }
+    const concurso = calculateConcurso(registration.drawDateKey);
+    if (!concurso) {
+        showToast('❌ Não foi possível identificar o concurso. Recarregue a página.', 'error');
+        return;
+    }
     
     console.log('══════════════════════════════════════');
     console.log('🎯 STARTING ENTRY VALIDATION');
     console.log('   Game ID:', gameId);
     console.log('   WhatsApp:', whatsappNumber);
     console.log('   Platform:', platform);
-    console.log('   Numbers:', selectedNumbers);
+    console.log('   Numbers:', betCart.length > 0 ? betCart : selectedNumbers);
     console.log('══════════════════════════════════════');
     
     closeUserInfoPopup();
     showToast('🔍 VERIFICANDO...', 'checking');
     
     try {
-        const drawDate = getDrawDate();
-        const numerosFormatted = selectedNumbers.map(n => n.toString().padStart(2, '0')).join(', ');
-        
-        console.log('Draw date calculated:', drawDate);
+        // Same draw that was validated above (BRT date key, independent of the device time zone)
+        const drawDate = registration.drawDate;
+        const drawDateStr = registration.drawDateKey;
         
-        // ✅ SECURE: Submit via Worker API
-        const year = drawDate.getFullYear();
-        const month = String(drawDate.getMonth() + 1).padStart(2, '0');
-        const day = String(drawDate.getDate()).padStart(2, '0');
-        const drawDateStr = `${year}-${month}-${day}`;
+        console.log('Draw date calculated:', drawDateStr);
         
-        const concurso = calculateConcurso(drawDate);
+        const entry = {
+            platform: platform,
+            gameId: gameId,
+            whatsappNumber: whatsappNumber,
+            drawDate: drawDateStr,
+            concurso: concurso
+        };
         
-        const response = await fetch(`${API_BASE_URL}/api/tickets/submit`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
+        const options = {
+            meta: {
+                time: formatBrazilDateTime(getBrazilTime(), {
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: '2-digit'
+                }),
+                date: formatBrazilDateTime(drawDate, {
+                    day: '2-digit',
+                    month: 'long',
+                    year: 'numeric'
+                })
             },
-            body: JSON.stringify({
-                platform: platform,
-                gameId: gameId,
-                whatsappNumber: whatsappNumber,
-                numerosEscolhidos: numerosFormatted,
-                drawDate: drawDateStr,
-                concurso: concurso
-            })
-        });
-        
-        const saveResult = await response.json();
-        
-        if (!response.ok || !saveResult.success) {
-            throw new Error(saveResult.error || 'Erro ao salvar');
-        }
-        
-        const bilheteNumber = saveResult.bilheteNumber;
-        
-        console.log(`✅ SAVED! Bilhete number: ${bilheteNumber}`);
-        
-        // Telegram notification sent automatically by Worker
+            // Never retried into the next draw: the server would file it under the wrong concurso
+            expiresAt: DrawCalendar.getCutoff(drawDateStr).getTime()
+        };
         
-        // Redirect to bilhete page
-        const spTime = getBrazilTime();
-        
-        const generateTime = formatBrazilDateTime(spTime, {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-        
-        const ticketDateDisplay = formatBrazilDateTime(drawDate, {
-            day: '2-digit',
-            month: 'long',
-            year: 'numeric'
-        });
-        
-        const formattedNumbers = selectedNumbers.map(n => n.toString().padStart(2, '0')).join(',');
-        
-        const params = new URLSearchParams({
-            gameId: gameId,
-            whatsapp: whatsappNumber,
-            numbers: formattedNumbers,
-            time: generateTime,
-            date: ticketDateDisplay,
-            bilhete: bilheteNumber,
-            concurso: concurso,
-            platform: platform
-        });
+        // ✅ SECURE: Submit via Worker API, persisted first so a dropped connection never loses it
+        const record = betCart.length > 0
+            ? await TicketQueue.submit('batch', {
+                ...entry,
+                bets: betCart.map(bet => bet.slice()),
+                strategies: betCartStrategies.slice()
+            }, options)
+            : await TicketQueue.submit('single', {
+                ...entry,
+                numerosEscolhidos: formatBetNumbers(selectedNumbers),
+                strategy: selectionStrategy
+            }, options);
         
         hideToast();
-        window.location.href = `bilhete.html?${params.toString()}`;
+        handleFirstAttempt(record);
         
     } catch (error) {
         console.error('Error:', error);
@@ -1269,6 +1199,306 @@ async function confirmEntry() {
     }
 }
 
+// Format a bet for the API ("01, 02, ...") or URLs ("01,02,...")
+function formatBetNumbers(numbers, separator = ', ') {
+    return numbers.map(n => n.toString().padStart(2, '0')).join(separator);
+}
+
+// Numbers of a queued submission, one array per bet
+function getRecordBets(record) {
+    if (record.type === 'batch') return record.payload.bets;
+    return [record.payload.numerosEscolhidos.split(',').map(n => parseInt(n, 10))];
+}
+
+// React to the first attempt of a submission made from this page
+function handleFirstAttempt(record) {
+    if (record.status === TicketQueue.Status.CONFIRMED) {
+        console.log('✅ SAVED!', record.result);
+        // Telegram notification sent automatically by Worker
+        window.location.href = buildReceiptUrl(record);
+        return;
+    }
+
+    if (record.status === TicketQueue.Status.REJECTED) {
+        showToast('❌ ' + record.error, 'error');
+        return;
+    }
+
+    // Still pending: it is stored on this device and retried, so free the grid to avoid a duplicate
+    betCart = [];
+    betCartStrategies = [];
+    renderBetCart();
+    clearNumbers();
+    showToast('📶 SEM CONEXÃO! Bilhete salvo e será reenviado automaticamente');
+}
+
+// bilhete.html, for a single ticket or (with one `bet` param per bet) a batch receipt
+function buildReceiptUrl(record) {
+    const { page, params } = buildReceiptParams(record);
+    return `${page}?${params.toString()}`;
+}
+
+// Receipt page and params of a confirmed submission (also what the wallet stores)
+function buildReceiptParams(record) {
+    const { payload, meta, result } = record;
+    const params = new URLSearchParams({
+        gameId: payload.gameId,
+        whatsapp: payload.whatsappNumber,
+        time: meta.time,
+        date: meta.date,
+        concurso: payload.concurso,
+        platform: payload.platform
+    });
+
+    if (record.type !== 'batch') {
+        params.set('numbers', formatBetNumbers(getRecordBets(record)[0], ','));
+        params.set('bilhete', result.bilheteNumber);
+        if (payload.strategy) params.set('strategy', payload.strategy);
+        // Signed by the Worker over the ticket fields; bilhete.html shows the verified seal
+        if (result.signature) {
+            params.set('sig', result.signature);
+            params.set('kid', result.kid);
+        }
+        return { page: 'bilhete.html', params };
+    }
+
+    result.results.forEach((r, index) => {
+        params.append('bet', [
+            formatBetNumbers(r.numbers, ','),
+            r.success ? r.bilheteNumber : '',
+            r.success ? '' : (r.error || 'Erro ao salvar'),
+            r.signature || '',
+            r.kid || '',
+            (payload.strategies || [])[index] || ''
+        ].join('|'));
+    });
+    return { page: 'bilhete.html', params };
+}
+
+// POST to the Worker. The idempotency key travels in the body (no extra CORS header);
+// 5xx/429 and unreadable replies throw so TicketQueue retries them
+async function postTicketRequest(path, body, idempotencyKey, signal) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...body, idempotencyKey: idempotencyKey }),
+        signal: signal
+    });
+
+    if (response.status >= 500 || response.status === 429) {
+        throw new Error(`Servidor indisponível (HTTP ${response.status})`);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        if (response.status === 404 || response.status === 405) return { response, data: {} };
+        throw new Error('Resposta inválida do servidor');
+    }
+    return { response, data };
+}
+
+// TicketQueue transport: resolves the outcome, throws when the attempt should be retried
+async function sendQueuedTicket(record, signal) {
+    if (record.type === 'batch') {
+        const { bets, strategies = [], ...entry } = record.payload;
+        const results = await submitBetBatch(entry, bets, strategies, record.id, signal);
+        const saved = results.filter(r => r.success);
+        console.log(`✅ SAVED ${saved.length}/${results.length} bets:`, results);
+        return {
+            ok: saved.length > 0,
+            results: results,
+            error: saved.length > 0 ? '' : (results[0]?.error || 'Erro ao salvar')
+        };
+    }
+
+    const { response, data } = await postTicketRequest('/api/tickets/submit', record.payload, record.id, signal);
+    if (!response.ok || !data.success) {
+        return { ok: false, error: data.error || 'Erro ao salvar' };
+    }
+    return { ok: true, bilheteNumber: data.bilheteNumber, signature: data.signature || '', kid: data.kid || '' };
+}
+
+// POST all bets to the batch endpoint; results come back per bet, in order
+async function submitBetBatch(entry, bets, strategies, idempotencyKey, signal) {
+    const { response, data } = await postTicketRequest('/api/tickets/submit-batch', {
+        ...entry,
+        bets: bets.map((bet, index) => ({ numerosEscolhidos: formatBetNumbers(bet), strategy: strategies[index] }))
+    }, idempotencyKey, signal);
+
+    // Worker not yet deployed with the batch route: fall back to one call per bet
+    if (response.status === 404 || response.status === 405) {
+        console.warn('Batch endpoint unavailable, submitting bets one by one');
+        return submitBetsOneByOne(entry, bets, strategies, idempotencyKey, signal);
+    }
+
+    if (!response.ok || !Array.isArray(data.results)) {
+        const error = data.error || 'Erro ao salvar';
+        return bets.map(bet => ({ numbers: bet, success: false, bilheteNumber: '', error: error }));
+    }
+
+    return bets.map((bet, index) => {
+        const result = data.results.find(r => r.index === index) || {};
+        return {
+            numbers: bet,
+            success: !!result.success,
+            bilheteNumber: result.bilheteNumber || '',
+            signature: result.signature || '',
+            kid: result.kid || data.kid || '',
+            error: result.success ? '' : (result.error || 'Sem resposta do servidor')
+        };
+    });
+}
+
+// Sequential fallback through /api/tickets/submit with the same per-bet result shape.
+// Each bet gets its own derived key, so retrying after a partial run skips the saved ones.
+async function submitBetsOneByOne(entry, bets, strategies, idempotencyKey, signal) {
+    const results = [];
+
+    for (const [index, bet] of bets.entries()) {
+        const { response, data } = await postTicketRequest('/api/tickets/submit', {
+            ...entry,
+            numerosEscolhidos: formatBetNumbers(bet),
+            strategy: strategies[index]
+        }, `${idempotencyKey}-${index + 1}`, signal);
+        const success = response.ok && !!data.success;
+        results.push({
+            numbers: bet,
+            success: success,
+            bilheteNumber: success ? data.bilheteNumber : '',
+            signature: success ? (data.signature || '') : '',
+            kid: success ? (data.kid || '') : '',
+            error: success ? '' : (data.error || 'Erro ao salvar')
+        });
+    }
+
+    return results;
+}
+
+// ============================================
+// SUBMISSION STATUS (TicketQueue)
+// ============================================
+
+// Show stored submissions and resume retries left over from a previous visit
+function initTicketQueue() {
+    TicketQueue.subscribe((records, changed) => {
+        renderSubmissionStatus(records);
+
+        // Saved before confirmEntry redirects, and for tickets confirmed by a later retry
+        if (changed && changed.status === TicketQueue.Status.CONFIRMED) {
+            TicketWallet.addFromParams(buildReceiptParams(changed).params);
+            window.dispatchEvent(new CustomEvent('popsorte:wallet-changed'));
+        }
+
+        // First attempts are reported by confirmEntry; only announce later retries here
+        if (!changed || changed.attempts < 2) return;
+        if (changed.status === TicketQueue.Status.CONFIRMED) {
+            showToast(`✅ BILHETE CONFIRMADO! Concurso ${changed.payload.concurso}`);
+        } else if (changed.status === TicketQueue.Status.REJECTED) {
+            showToast('❌ BILHETE RECUSADO: ' + changed.error, 'error');
+        }
+    });
+    TicketQueue.configure({ send: sendQueuedTicket, now: () => ServerClock.now().getTime() });
+    renderSubmissionStatus(TicketQueue.getAll());
+}
+
+// Render one line per submission with its current status
+function renderSubmissionStatus(records) {
+    const container = document.getElementById('submissionStatus');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = records.length > 0 ? 'block' : 'none';
+    if (records.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'submission-status-title';
+    title.textContent = 'Seus envios neste aparelho';
+    container.appendChild(title);
+
+    records.slice().reverse().forEach(record => {
+        const item = document.createElement('div');
+        item.className = `submission-item ${record.status}`;
+
+        const main = document.createElement('div');
+        main.className = 'submission-main';
+
+        const badge = document.createElement('span');
+        badge.className = 'submission-badge';
+        badge.textContent = SUBMISSION_STATUS_LABELS[record.status] || record.status;
+
+        const bets = getRecordBets(record);
+        const numbers = document.createElement('span');
+        numbers.className = 'submission-numbers';
+        numbers.textContent = formatBetNumbers(bets[0], ' ')
+            + (bets.length > 1 ? ` +${bets.length - 1} aposta(s)` : '');
+
+        main.appendChild(badge);
+        main.appendChild(numbers);
+
+        const detail = document.createElement('div');
+        detail.className = 'submission-detail';
+        detail.textContent = describeSubmission(record);
+
+        const actions = document.createElement('div');
+        actions.className = 'submission-actions';
+
+        if (record.status === TicketQueue.Status.PENDING) {
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.dataset.action = 'retry';
+            retryBtn.dataset.id = record.id;
+            retryBtn.textContent = '🔄 Tentar agora';
+            actions.appendChild(retryBtn);
+        } else {
+            if (record.status === TicketQueue.Status.CONFIRMED) {
+                const link = document.createElement('a');
+                link.href = buildReceiptUrl(record);
+                link.textContent = '🎫 Ver bilhete';
+                actions.appendChild(link);
+            }
+            const dismissBtn = document.createElement('button');
+            dismissBtn.type = 'button';
+            dismissBtn.dataset.action = 'dismiss';
+            dismissBtn.dataset.id = record.id;
+            dismissBtn.setAttribute('aria-label', 'Remover da lista');
+            dismissBtn.textContent = '✕';
+            actions.appendChild(dismissBtn);
+        }
+
+        item.appendChild(main);
+        item.appendChild(detail);
+        item.appendChild(actions);
+        container.appendChild(item);
+    });
+}
+
+// One-line explanation of where a submission stands
+function describeSubmission(record) {
+    const concurso = `Concurso ${record.payload.concurso}`;
+
+    if (record.status === TicketQueue.Status.CONFIRMED) {
+        if (record.type === 'batch') {
+            const saved = record.result.results.filter(r => r.success).length;
+            return `${concurso} · ${saved}/${record.result.results.length} bilhetes registrados`;
+        }
+        return `${concurso} · Bilhete Nº ${record.result.bilheteNumber}`;
+    }
+
+    if (record.status === TicketQueue.Status.REJECTED) {
+        return `${concurso} · ${record.error}`;
+    }
+
+    if (!record.attempts) return `${concurso} · Enviando...`;
+    const next = record.nextAttemptAt
+        ? formatBrazilDateTime(new Date(record.nextAttemptAt), { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+        : '';
+    return `${concurso} · ${record.attempts} tentativa(s) · ${record.error}` + (next ? ` · nova tentativa às ${next}` : '');
+}
+
 // Toast notification
 function showToast(message, type = 'default') {
     const toast = document.getElementById('toast');
@@ -1298,10 +1528,29 @@ function hideToast() {
 // Countdown timer - BRAZIL TIMEZONE + SKIP SUNDAY
 // ✅ CORRECT - Force Brazil timezone
 function initCountdown() {
+    let renderedDrawKey = null;
+
     function updateCountdown() {
         const spTime = getBrazilTime(); // Use corrected Brazil time function
         
-        const schedule = getCurrentDrawSchedule();
+        const schedule = getRegistrationState();
+        renderRegistrationState(schedule);
+
+        // Crossing a cutoff moves to the next draw: refresh anything showing date/concurso
+        if (renderedDrawKey && renderedDrawKey !== schedule.drawDateKey) {
+            updateDrawDateDisplay();
+            updateConfirmationWarning();
+        }
+        renderedDrawKey = schedule.drawDateKey;
+
+        if (!schedule.open) {
+            const countdownEl = document.getElementById('countdown');
+            if (countdownEl) {
+                countdownEl.textContent = 'ENCERRADO';
+                countdownEl.classList.remove('pulse');
+            }
+            return;
+        }
         
         // Build target time with explicit Brazil timezone
         const drawDateStr = getBrazilDateString(schedule.drawDate);
@@ -1340,6 +1589,37 @@ function initCountdown() {
     setInterval(updateCountdown, 1000);
 }
 
+// Closed banner between a cutoff and the next registration start
+function renderRegistrationState(state) {
+    const banner = document.getElementById('registrationClosed');
+    if (banner) {
+        banner.style.display = state.open ? 'none' : 'block';
+        if (!state.open) {
+            const concurso = calculateConcurso(state.drawDateKey);
+            banner.textContent = `⛔ INSCRIÇÕES ENCERRADAS • ${formatReopening(state.reopensAt)}`
+                + (concurso ? ` para o concurso ${concurso}` : '');
+        }
+    }
+
+    if (registrationOpen !== state.open) {
+        registrationOpen = state.open;
+        updateSubmitButton();
+    }
+}
+
+// Re-render everything derived from the clock once the server offset is known
+function initServerClock() {
+    let warned = false;
+    ServerClock.subscribe(info => {
+        updateDrawDateDisplay();
+        updateConfirmationWarning();
+        if (info.skewed && !warned) {
+            warned = true;
+            showToast('🕒 O relógio do seu aparelho está errado. Usamos o horário oficial do servidor.');
+        }
+    });
+}
+
 function bindUiEvents() {
     const howItWorksBtn = document.getElementById('ctaHowItWorksBtn');
     if (howItWorksBtn) {
@@ -1356,6 +1636,12 @@ function bindUiEvents() {
         surpriseBtn.addEventListener('click', surpresinha);
     }
 
+    const strategySelect = document.getElementById('surpresinhaStrategy');
+    if (strategySelect) {
+        strategySelect.addEventListener('change', updateSurpresinhaOptions);
+        updateSurpresinhaOptions();
+    }
+
     const submitBtn = document.getElementById('submitBtn');
     if (submitBtn) {
         submitBtn.addEventListener('click', showUserInfoPopup);
@@ -1370,6 +1656,34 @@ function bindUiEvents() {
     if (confirmBtn) {
         confirmBtn.addEventListener('click', confirmEntry);
     }
+
+    const addToCartBtn = document.getElementById('btnAddToCart');
+    if (addToCartBtn) {
+        addToCartBtn.addEventListener('click', addCurrentBetToCart);
+    }
+
+    const submissionStatus = document.getElementById('submissionStatus');
+    if (submissionStatus) {
+        submissionStatus.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'retry') {
+                TicketQueue.retryNow(button.dataset.id);
+            } else if (button.dataset.action === 'dismiss') {
+                TicketQueue.dismiss(button.dataset.id);
+            }
+        });
+    }
+
+    const cartList = document.getElementById('betCartList');
+    if (cartList) {
+        cartList.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.bet-cart-remove');
+            if (removeBtn) {
+                removeBetFromCart(parseInt(removeBtn.dataset.index, 10));
+            }
+        });
+    }
 }
 
 // Scroll to selection
@@ -1391,9 +1705,8 @@ function updateDrawDateDisplay() {
     const drawHour = getDrawHour();
     const concurso = calculateConcurso(drawDate);
     
-    const day = drawDate.getDate().toString().padStart(2, '0');
-    const month = (drawDate.getMonth() + 1).toString().padStart(2, '0');
-    const year = drawDate.getFullYear();
+    // BRT date parts: drawDate is midnight in São Paulo, not in the device time zone
+    const [year, month, day] = getBrazilDateString(drawDate).split('-');
     
     const formattedDate = `${day}/${month}/${year} ${drawHour.toString().padStart(2, '0')}h`;
     
@@ -1407,53 +1720,13 @@ function updateDrawDateDisplay() {
   // DEV PROTECTION DISABLED
 })();
 
-// ✅ VLD Ticket Consultation Functionality (uses Google Sheets with blurred data)
+// ✅ VLD Ticket Consultation Functionality (entries via PopDataSource)
 (function() {
-  const ENTRIES_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
-  
   let allEntries = [], filteredEntries = [];
   let currentFilter = 'all', searchTerm = '';
   let currentPage = 1, perPage = 10;
-
-  function detectDelimiter(headerLine) {
-    const counts = {
-      ',': (headerLine.match(/,/g) || []).length,
-      ';': (headerLine.match(/;/g) || []).length,
-      '\t': (headerLine.match(/\t/g) || []).length,
-      '|': (headerLine.match(/\|/g) || []).length,
-    };
-    return Object.entries(counts).sort((a,b)=>b[1]-a[1])[0][0] || ',';
-  }
-
-  function parseCSVLine(line, delimiter=',') {
-    const out = [];
-    let cur = '';
-    let inQ = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') {
-        inQ = !inQ;
-      } else if (ch === delimiter && !inQ) {
-        out.push(cur.trim());
-        cur = '';
-      } else {
-        cur += ch;
-      }
-    }
-    out.push(cur.trim());
-    return out;
-  }
-
-  function parseBrDateTime(str) {
-    if (!str) return null;
-    try {
-      const [datePart, timePart='00:00:00'] = str.trim().split(' ');
-      const [d,m,y] = datePart.split(/[\/\-]/).map(Number);
-      const [hh=0,mm=0,ss=0] = timePart.split(':').map(Number);
-      if (!d || !m || !y) return null;
-      return new Date(Date.UTC(y, m-1, d, hh + 3, mm, ss));
-    } catch { return null; }
-  }
+  // Ticket opened from a bilhete QR code (see TicketSignature.buildLookupUrl)
+  let ticketLookup = window.TicketSignature ? TicketSignature.getLookupFromLocation(window.location.search) : null;
 
   function formatBr(dt) {
     if (!dt || isNaN(dt.getTime())) return null;
@@ -1480,53 +1753,22 @@ function updateDrawDateDisplay() {
 
   async function fetchEntries(){
     try{
-      // Append cache-busting parameter with & since URL already has query params
-      const url = `${ENTRIES_URL}&t=${Date.now()}`;
-      const res = await fetch(url, { cache: 'no-store', redirect: 'follow' });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      
-      const csv = await res.text();
-      
-      // Check if we got HTML instead of CSV (Google Sheets might return login page)
-      if (csv.trim().startsWith('<!DOCTYPE') || csv.trim().startsWith('<html')) {
-        throw new Error('Received HTML instead of CSV. Sheet may not be publicly accessible.');
-      }
-      const lines = csv.split(/\r?\n/).filter(Boolean);
-      if (lines.length <= 1) throw new Error('CSV vazio');
-
-      const delimiter = detectDelimiter(lines[0]);
-      allEntries = [];
-
-      for(let i=1;i<lines.length;i++){
-        const row = parseCSVLine(lines[i], delimiter);
-        if(row.length < 9) continue;
-
-        const timestampRaw = row[0]||'';
-        const platform = row[1]||'POPN1';
-        const gameId = row[2]||'';
-        const whatsappRaw = row[3]||'';
-        const numbers = (row[4]||'').split(/[,;|\t]/).map(n=>parseInt(n.trim())).filter(n=>!isNaN(n));
-        const drawDate = row[5]||'';
-        const contest = row[6]||'';
-        const ticketNumber = row[7]||'';
-        const status = (row[8]||'PENDING').trim().toUpperCase();
-
-        const parsedDate = parseBrDateTime(timestampRaw);
-
-        allEntries.push({
-          timestamp: timestampRaw,
-          parsedDate,
-          platform,
-          gameId,
-          bilheteNumber: ticketNumber,
-          numbers,
-          drawDate,
-          contest,
-          whatsapp: whatsappRaw,
-          whatsappMasked: maskWhatsApp(whatsappRaw),
-          status
-        });
-      }
+      const entries = await PopDataSource.getEntries();
+      if (!entries.length) throw new Error('CSV vazio');
+
+      allEntries = entries.map(entry => ({
+        timestamp: entry.timestamp,
+        parsedDate: entry.parsedDate,
+        platform: entry.platform,
+        gameId: entry.gameId,
+        bilheteNumber: entry.ticketNumber,
+        numbers: entry.numbers,
+        drawDate: entry.drawDate,
+        contest: entry.contest,
+        whatsapp: entry.whatsapp,
+        whatsappMasked: maskWhatsApp(entry.whatsapp),
+        status: entry.status.toUpperCase()
+      }));
 
       allEntries.sort((a,b)=>{
         const ta = a.parsedDate ? a.parsedDate.getTime() : 0;
@@ -1568,7 +1810,13 @@ function updateDrawDateDisplay() {
     if(currentFilter!=='all'){
       filteredEntries = filteredEntries.filter(e=>normalizeStatus(e.status)===currentFilter);
     }
-    if(searchTerm){
+    if(ticketLookup){
+      filteredEntries = filteredEntries.filter(e =>
+        String(e.gameId) === ticketLookup.gameId &&
+        String(e.contest) === ticketLookup.concurso &&
+        (!ticketLookup.bilhete || String(e.bilheteNumber) === ticketLookup.bilhete)
+      );
+    }else if(searchTerm){
       const term = searchTerm.toLowerCase();
       filteredEntries = filteredEntries.filter(e =>
         e.gameId.toLowerCase().includes(term) ||
@@ -1657,6 +1905,39 @@ function updateDrawDateDisplay() {
 
     updatePagination();
   }
+  async function renderTicketLookup(){
+    const banner = document.getElementById('ticketLookup');
+    if (!banner) return;
+    if (!ticketLookup) {
+      banner.style.display = 'none';
+      return;
+    }
+
+    banner.style.display = 'block';
+    banner.innerHTML = `
+      <div class="ticket-lookup-title">📱 Bilhete do QR code</div>
+      <div class="ticket-lookup-ref"></div>
+      <div class="ticket-lookup-seal">🔍 Verificando autenticidade...</div>
+      <button type="button" class="ticket-lookup-clear">Ver todas as participações</button>`;
+    banner.querySelector('.ticket-lookup-ref').textContent =
+      `Concurso ${ticketLookup.concurso} · ${ticketLookup.bilhete || '-'}º bilhete · ID ${ticketLookup.gameId}`;
+
+    const lookup = ticketLookup;
+    const result = await TicketSignature.verify(lookup);
+    if (lookup !== ticketLookup) return;
+    const seal = banner.querySelector('.ticket-lookup-seal');
+    seal.className = `ticket-lookup-seal ${result.status}`;
+    seal.textContent = {
+      verified: '✅ Assinatura POP-SORTE válida',
+      invalid: '⛔ Dados do QR alterados ou assinatura inválida',
+      unsigned: '⚠️ QR sem assinatura',
+      unavailable: '⚠️ Verificação indisponível no momento'
+    }[result.status];
+  }
+  function clearTicketLookup(){
+    ticketLookup = null;
+    renderTicketLookup();
+  }
   function updatePagination(){
     const totalPages=Math.ceil(filteredEntries.length/perPage);
     document.getElementById('pageInfo').textContent=`Página ${currentPage} de ${totalPages} (${filteredEntries.length} resultados)`;
@@ -1675,8 +1956,19 @@ function updateDrawDateDisplay() {
     });
     document.getElementById('searchBox').addEventListener('input',e=>{
       searchTerm=e.target.value;
+      if(ticketLookup) clearTicketLookup();
+      applyFilters();
+    });
+    document.getElementById('ticketLookup')?.addEventListener('click',e=>{
+      if(!e.target.closest('.ticket-lookup-clear')) return;
+      clearTicketLookup();
       applyFilters();
     });
+    if(ticketLookup){
+      searchTerm = ticketLookup.gameId;
+      document.getElementById('searchBox').value = searchTerm;
+      renderTicketLookup();
+    }
     document.getElementById('prevBtn').addEventListener('click',()=>{
       if(currentPage>1){currentPage--; renderEntries();}
     });
@@ -1693,6 +1985,242 @@ function updateDrawDateDisplay() {
   }
 })();
 
+// ✅ Meus Bilhetes wallet (tickets saved on this device, see ticket-wallet.js)
+(function() {
+  const STATUS_LABELS = {
+    valid: '✅ VÁLIDO',
+    invalid: '❌ INVÁLIDO',
+    pending: '⏳ EM VERIFICAÇÃO',
+    not_found: '🕓 AGUARDANDO REGISTRO'
+  };
+  let entries = [], results = [];
+
+  function getBallColorClass(num){ return 'ball-color-' + (num % 10); }
+
+  async function refreshSources(){
+    try{
+      [entries, results] = await Promise.all([PopDataSource.getEntries(), PopDataSource.getResults()]);
+    }catch(err){
+      console.warn('Wallet: could not load entries/results:', err);
+    }
+    renderWallet();
+  }
+
+  function renderTicket(ticket){
+    const live = TicketWallet.getTicketStatus(ticket, entries, results);
+    const numsHTML = ticket.numbers.map(num => {
+      const hit = live.matchedNumbers.includes(num) ? ' wallet-hit' : '';
+      return `<div class="number-badge ${getBallColorClass(num)}${hit}">
+           <span class="number-text">${num.toString().padStart(2,'0')}</span>
+         </div>`;
+    }).join('');
+    const matchesHTML = live.matches === null
+      ? '<span class="wallet-matches waiting">Resultado ainda não publicado</span>'
+      : `<span class="wallet-matches${WinnerEngine.getTier(live.matches, WinnerEngine.getRules({ contest: ticket.concurso })) ? ' winner' : ''}">🎯 ${live.matches} acerto(s)</span>`;
+
+    const item = document.createElement('div');
+    item.className = `wallet-ticket ${live.status}`;
+    item.innerHTML = `
+      <div class="wallet-ticket-header">
+        <strong>${ticket.bilhete}º bilhete</strong>
+        <span class="wallet-status">${STATUS_LABELS[live.status]}</span>
+      </div>
+      <div class="wallet-numbers${live.result ? ' has-result' : ''}">${numsHTML}</div>
+      <div class="wallet-ticket-footer">
+        <span>🆔 ${ticket.gameId} · ${ticket.platform}</span>
+        ${matchesHTML}
+        <a class="wallet-open" href="bilhete.html?${TicketWallet.getTicketParams(ticket)}" target="_blank" rel="noopener">🎫 Ver bilhete</a>
+        <button class="wallet-remove" data-key="${ticket.key}" aria-label="Remover bilhete">✕</button>
+      </div>`;
+    return item;
+  }
+
+  function renderWallet(){
+    const list = document.getElementById('walletList');
+    if (!list) return;
+
+    const groups = TicketWallet.getGroupedByConcurso();
+    list.innerHTML = '';
+    if (groups.length === 0) {
+      list.innerHTML = '<div class="empty-state">Nenhum bilhete salvo neste aparelho ainda.</div>';
+      return;
+    }
+
+    groups.forEach(group => {
+      const section = document.createElement('div');
+      section.className = 'wallet-group';
+      const result = results.find(r => !r.isNoDraw && String(r.contest) === group.concurso);
+      const resultText = result
+        ? ` · Resultado: ${result.numbers.map(n => n.toString().padStart(2,'0')).join(' ')}`
+        : '';
+
+      const title = document.createElement('div');
+      title.className = 'wallet-group-title';
+      title.textContent = `🎰 Concurso ${group.concurso}${group.date ? ' · ' + group.date : ''}${resultText}`;
+      section.appendChild(title);
+
+      group.tickets.forEach(ticket => section.appendChild(renderTicket(ticket)));
+      list.appendChild(section);
+    });
+  }
+
+  function exportWallet(){
+    const blob = new Blob([TicketWallet.exportJSON()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `popsorte-meus-bilhetes-${getBrazilDateString(new Date())}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function importWallet(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      try{
+        const { added, skipped } = TicketWallet.importJSON(reader.result);
+        showToast(`📥 ${added} bilhete(s) importado(s)` + (skipped ? `, ${skipped} já existente(s)` : ''));
+        renderWallet();
+      }catch(err){
+        showToast('❌ ' + err.message, 'error');
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  if (document.getElementById('walletCard')) {
+    document.getElementById('btnWalletExport').addEventListener('click', exportWallet);
+    document.getElementById('btnWalletImport').addEventListener('click', () => {
+      document.getElementById('walletImportInput').click();
+    });
+    document.getElementById('walletImportInput').addEventListener('change', e => {
+      if (e.target.files[0]) importWallet(e.target.files[0]);
+      e.target.value = '';
+    });
+    document.getElementById('walletList').addEventListener('click', e => {
+      const btn = e.target.closest('.wallet-remove');
+      if (btn && confirm('Remover este bilhete da carteira deste aparelho?')) {
+        TicketWallet.remove(btn.dataset.key);
+        renderWallet();
+      }
+    });
+    window.addEventListener('popsorte:wallet-changed', renderWallet);
+    window.addEventListener('storage', renderWallet);
+
+    renderWallet();
+    refreshSources();
+    setInterval(refreshSources, 60000);
+  }
+})();
+
+// ✅ Quina statistics section and number grid heatmap (see quina-stats.js)
+(function() {
+  const STATS_REFRESH = 10 * 60 * 1000;
+  let results = [];
+  let windowSize = 50;
+  let stats = null;
+
+  function pad(num){ return num.toString().padStart(2,'0'); }
+
+  async function refreshResults(){
+    try{
+      results = await PopDataSource.getResults();
+    }catch(err){
+      console.warn('Stats: could not load results:', err);
+    }
+    renderStats();
+  }
+
+  function renderNumberGrid(containerId, metric){
+    const container = document.getElementById(containerId);
+    const max = metric === 'frequency' ? stats.maxFrequency : stats.maxDelay;
+    container.innerHTML = stats.numbers.map(s => {
+      const value = s[metric];
+      const label = metric === 'delay' && !s.seen ? `≥${value}` : value;
+      const heat = max > 0 ? (value / max).toFixed(2) : 0;
+      return `<div class="stats-number" style="--heat:${heat}" title="${pad(s.number)}: ${label}">
+           <span class="stats-number-ball">${pad(s.number)}</span>
+           <span class="stats-number-value">${label}</span>
+         </div>`;
+    }).join('');
+  }
+
+  function renderCombos(containerId, combos, emptyText){
+    const list = document.getElementById(containerId);
+    list.innerHTML = combos.length === 0
+      ? `<li class="stats-empty">${emptyText}</li>`
+      : combos.map(c => `<li><strong>${c.numbers.map(pad).join(' · ')}</strong> <span>${c.count}×</span></li>`).join('');
+  }
+
+  function renderBars(containerId, rows){
+    const max = Math.max(1, ...rows.map(r => r.count));
+    document.getElementById(containerId).innerHTML = rows.map(r => {
+      const pct = stats.draws ? Math.round(r.count / stats.draws * 100) : 0;
+      return `<div class="stats-bar-row">
+           <span class="stats-bar-label">${r.label}</span>
+           <span class="stats-bar"><span style="width:${(r.count / max * 100).toFixed(1)}%"></span></span>
+           <span class="stats-bar-value">${r.count} (${pct}%)</span>
+         </div>`;
+    }).join('');
+  }
+
+  function renderStats(){
+    stats = QuinaStats.compute(results, windowSize);
+    const subtitle = document.getElementById('statsSubtitle');
+    if (stats.draws === 0) {
+      subtitle.textContent = 'Resultados indisponíveis no momento.';
+      applyHeatmap();
+      return;
+    }
+
+    subtitle.textContent = `${stats.draws} concurso(s) analisado(s): #${stats.firstContest} a #${stats.lastContest}`;
+    renderNumberGrid('statsFrequency', 'frequency');
+    renderNumberGrid('statsDelay', 'delay');
+    renderCombos('statsPairs', stats.pairs, 'Nenhuma dupla repetida neste período');
+    renderCombos('statsTrios', stats.trios, 'Nenhuma trinca repetida neste período');
+    renderBars('statsParity', stats.parity.map(p => ({ label: `${p.odd} ímpar(es)`, count: p.count })));
+    renderBars('statsSums', stats.sums.map(b => ({ label: `${b.from}–${b.to}`, count: b.count })));
+    applyHeatmap();
+  }
+
+  // Tint the balls of the betting grid by frequency or delay; selection styling stays on top
+  function applyHeatmap(){
+    const grid = document.getElementById('numberGrid');
+    const mode = document.getElementById('statsHeatmap').value;
+    if (!grid) return;
+
+    grid.classList.remove('heatmap-frequency', 'heatmap-delay');
+    const active = mode !== 'off' && stats && stats.draws > 0;
+    const max = active ? (mode === 'frequency' ? stats.maxFrequency : stats.maxDelay) : 0;
+
+    grid.querySelectorAll('.number-ball').forEach(ball => {
+      if (!active) {
+        ball.style.removeProperty('--heat');
+        ball.removeAttribute('title');
+        return;
+      }
+      const s = stats.numbers[parseInt(ball.dataset.number, 10) - 1];
+      ball.style.setProperty('--heat', max > 0 ? (s[mode] / max).toFixed(2) : 0);
+      ball.title = `Saiu ${s.frequency}x · atraso ${s.seen ? s.delay : '≥' + s.delay}`;
+    });
+    if (active) grid.classList.add(`heatmap-${mode}`);
+  }
+
+  if (document.getElementById('statsSection')) {
+    document.querySelectorAll('.stats-window-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.stats-window-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        windowSize = parseInt(btn.dataset.window, 10);
+        renderStats();
+      });
+    });
+    document.getElementById('statsHeatmap').addEventListener('change', applyHeatmap);
+
+    refreshResults();
+    setInterval(refreshResults, STATS_REFRESH);
+  }
+})();
+
 // Mobile Bottom Navigation
 (function() {
   document.addEventListener('DOMContentLoaded', function() {
@@ -1704,6 +2232,7 @@ function updateDrawDateDisplay() {
       'help': document.getElementById('verticalVideoSection'),
       'popluz': document.querySelector('.popluz-section')
     };
+    const statsSection = document.querySelector('.stats-section'); // part of home
 
     // Function to show section
     function showSection(target) {
@@ -1715,6 +2244,7 @@ function updateDrawDateDisplay() {
       // Hide home-specific sections
       document.querySelector('.hero-section').style.display = 'none';
       document.querySelector('.selection-section').style.display = 'none';
+      if (statsSection) statsSection.style.display = 'none';
 
       // Scroll to top for smooth transition
       window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -1723,6 +2253,7 @@ function updateDrawDateDisplay() {
         // Show home sections
         document.querySelector('.hero-section').style.display = 'block';
         document.querySelector('.selection-section').style.display = 'block';
+        if (statsSection) statsSection.style.display = 'block';
       } else {
         // Show target section
         if (sections[target]) {
@@ -1757,8 +2288,12 @@ function updateDrawDateDisplay() {
       });
     });
 
-    // Show home by default
-    showSection('home');
+    // Show home by default, or the ticket lookup when opened from a bilhete QR code
+    const fromQr = window.TicketSignature && TicketSignature.getLookupFromLocation(window.location.search);
+    showSection(fromQr ? 'search' : 'home');
+    if (fromQr) {
+      navItems.forEach(nav => nav.classList.toggle('active', nav.getAttribute('data-target') === 'search'));
+    }
   });
 })();
 
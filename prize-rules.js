@@ -0,0 +1,212 @@
+/**
+ * POP-SORTE Prize Rules
+ * Versioned prize configuration: which hits win, each platform's pool and how it is split
+ *
+ * Each version is effective from a concurso (and that concurso's draw date) until the
+ * next version starts. A contest is always settled with the version that was active on
+ * its draw date, so changing the rules never alters past payouts.
+ *
+ * Split modes:
+ * - highest-tier: the pool goes to the highest tier with winners, split equally
+ * - per-tier: the pool is divided between the tiers by tierShares; each tier with
+ *   winners splits its share equally (shares of tiers without winners are not paid)
+ * - fixed: every winner of a tier receives fixedAmounts[tier], no pool limit
+ *
+ * Amounts are settled in cents. When a share does not divide evenly, the leftover
+ * cents go one each to the first winners in ticket order, so the pool sums exactly.
+ *
+ * Used by: winner-engine.js (WinnerEngine)
+ *
+ * Dependencies: none
+ */
+
+window.PrizeRules = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const SplitMode = {
+        HIGHEST_TIER: 'highest-tier',
+        PER_TIER: 'per-tier',
+        FIXED: 'fixed'
+    };
+
+    /**
+     * Rule versions, oldest first. To change the rules append a version; never edit
+     * one that already settled contests.
+     *
+     * version: sequential id shown in the admin
+     * fromContest / fromDate: first concurso (and its draw date, YYYY-MM-DD) using the version
+     * tiers: hits that can win, best first
+     * pools: R$ per platform per contest (DEFAULT for platforms not listed)
+     * splitMode: SplitMode value
+     * tierShares: { hits: fraction of the pool } (per-tier only)
+     * fixedAmounts: { hits: R$ per winner } (fixed only)
+     */
+    const VERSIONS = [
+        {
+            version: 1,
+            fromContest: 1,
+            fromDate: '1994-03-13',
+            description: 'R$ 1.000 por plataforma, somente a faixa mais alta',
+            tiers: [5, 4, 3],
+            pools: { POPN1: 1000, POPLUZ: 1000, DEFAULT: 1000 },
+            splitMode: SplitMode.HIGHEST_TIER
+        }
+    ];
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Check a version's shape (run on load so a bad edit fails loudly)
+     * @param {Object} rules - Version
+     * @throws {Error} When the version is inconsistent
+     */
+    function validate(rules) {
+        const id = `Prize rules v${rules.version}`;
+        if (!Number.isInteger(rules.fromContest) || !/^\d{4}-\d{2}-\d{2}$/.test(rules.fromDate || '')) {
+            throw new Error(`${id}: fromContest and fromDate (YYYY-MM-DD) are required`);
+        }
+        if (!Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+            throw new Error(`${id}: tiers must list the winning hit counts`);
+        }
+        if (!Object.values(SplitMode).includes(rules.splitMode)) {
+            throw new Error(`${id}: unknown splitMode "${rules.splitMode}"`);
+        }
+        if (rules.splitMode !== SplitMode.FIXED && !(rules.pools && Number.isFinite(rules.pools.DEFAULT))) {
+            throw new Error(`${id}: pools.DEFAULT is required`);
+        }
+        if (rules.splitMode === SplitMode.PER_TIER) {
+            const total = rules.tiers.reduce((sum, tier) => sum + (rules.tierShares?.[tier] || 0), 0);
+            if (Math.abs(total - 1) > 1e-9) throw new Error(`${id}: tierShares must add up to 1`);
+        }
+        if (rules.splitMode === SplitMode.FIXED && !rules.tiers.every(tier => Number.isFinite(rules.fixedAmounts?.[tier]))) {
+            throw new Error(`${id}: fixedAmounts needs an amount for every tier`);
+        }
+    }
+
+    VERSIONS.forEach(validate);
+    VERSIONS.forEach((rules, i) => {
+        const previous = VERSIONS[i - 1];
+        if (previous && (rules.fromContest <= previous.fromContest || rules.fromDate <= previous.fromDate)) {
+            throw new Error(`Prize rules v${rules.version}: versions must start after the previous one`);
+        }
+        rules.tiers = rules.tiers.slice().sort((a, b) => b - a);
+        Object.freeze(rules);
+    });
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * YYYY-MM-DD key of a draw date
+     * @param {string} drawDate - 'DD/MM/YYYY' or 'YYYY-MM-DD' (time suffix ignored)
+     * @returns {string|null} Date key
+     */
+    function toDateKey(drawDate) {
+        const text = String(drawDate || '').trim().split(' ')[0];
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) return text;
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        return null;
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Rule version for a contest
+     * The concurso number decides when known; otherwise its draw date does.
+     * @param {Object} ref - { contest, drawDate } (empty for the current version)
+     * @returns {Object} Version
+     */
+    function resolve(ref = {}) {
+        const contest = parseInt(ref.contest, 10);
+        const dateKey = toDateKey(ref.drawDate);
+        let active = VERSIONS[0];
+
+        VERSIONS.forEach(rules => {
+            if (!isNaN(contest)) {
+                if (contest >= rules.fromContest) active = rules;
+            } else if (dateKey) {
+                if (dateKey >= rules.fromDate) active = rules;
+            } else {
+                active = rules;
+            }
+        });
+        return active;
+    }
+
+    /**
+     * @param {Object} rules - Version
+     * @param {string} platform - Platform code
+     * @returns {number} Pool in R$ (0 for fixed amounts)
+     */
+    function getPool(rules, platform) {
+        if (rules.splitMode === SplitMode.FIXED) return 0;
+        return Number.isFinite(rules.pools[platform]) ? rules.pools[platform] : rules.pools.DEFAULT;
+    }
+
+    /**
+     * @param {number} amount - R$
+     * @returns {number} Cents
+     */
+    function toCents(amount) {
+        return Math.round(amount * 100);
+    }
+
+    /**
+     * Split cents by weights so the parts add up exactly (largest remainder;
+     * ties go to the earlier part)
+     * @param {number} totalCents - Amount to split
+     * @param {number[]} weights - Relative weights
+     * @returns {number[]} Cents per part
+     */
+    function splitCents(totalCents, weights) {
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        if (totalWeight <= 0) return weights.map(() => 0);
+
+        const exact = weights.map(w => totalCents * w / totalWeight);
+        const parts = exact.map(Math.floor);
+        let leftover = totalCents - parts.reduce((sum, c) => sum + c, 0);
+
+        exact
+            .map((value, index) => ({ index, fraction: value - parts[index] }))
+            .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+            .forEach(({ index }) => {
+                if (leftover > 0) {
+                    parts[index]++;
+                    leftover--;
+                }
+            });
+        return parts;
+    }
+
+    /**
+     * @returns {Object[]} Every version, oldest first
+     */
+    function getVersions() {
+        return VERSIONS.slice();
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        resolve,
+        getPool,
+        getVersions,
+        splitCents,
+        toCents,
+        validate,
+
+        // Constants
+        SplitMode
+    };
+})();
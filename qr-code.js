@@ -0,0 +1,493 @@
+/**
+ * POP-SORTE QR Code
+ * Small QR code generator (byte mode) that runs entirely in the browser
+ *
+ * Features:
+ * - No external QR service or library: tickets never leave the page to get a QR
+ * - Versions 1-20, error correction L/M/Q/H, automatic mask selection
+ * - Renders to a <canvas> (html2canvas picks it up in the ticket PNG)
+ *
+ * Follows ISO/IEC 18004 (structure after Project Nayuki's reference encoder).
+ *
+ * Used by: bilhete.html
+ *
+ * Dependencies: none
+ */
+
+window.QRCode = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const MIN_VERSION = 1;
+    const MAX_VERSION = 20;
+
+    // Format bits per level (ISO table), index = level ordinal L, M, Q, H
+    const ECC_LEVELS = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    // [level][version] (index 0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28]
+    ];
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25]
+    ];
+
+    const PENALTY_N1 = 3;
+    const PENALTY_N2 = 3;
+    const PENALTY_N3 = 40;
+    const PENALTY_N4 = 10;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * @param {number} x - Value
+     * @param {number} i - Bit index
+     * @returns {boolean} Bit i of x
+     */
+    function getBit(x, i) {
+        return ((x >>> i) & 1) !== 0;
+    }
+
+    /**
+     * Data + ECC modules available in a version (excluding function patterns)
+     * @param {number} ver - Version
+     * @returns {number} Module count
+     */
+    function getNumRawDataModules(ver) {
+        let result = (16 * ver + 128) * ver + 64;
+        if (ver >= 2) {
+            const numAlign = Math.floor(ver / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (ver >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    /**
+     * Data codewords for a version and level
+     * @param {number} ver - Version
+     * @param {Object} ecl - Level
+     * @returns {number} Codewords
+     */
+    function getNumDataCodewords(ver, ecl) {
+        return Math.floor(getNumRawDataModules(ver) / 8)
+            - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+    }
+
+    /**
+     * Alignment pattern centre coordinates
+     * @param {number} ver - Version
+     * @returns {number[]} Positions
+     */
+    function getAlignmentPositions(ver) {
+        if (ver === 1) return [];
+        const size = ver * 4 + 17;
+        const numAlign = Math.floor(ver / 7) + 2;
+        const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    // ============================================
+    // Reed-Solomon (GF(2^8), polynomial 0x11D)
+    // ============================================
+
+    /**
+     * @param {number} x - Field element
+     * @param {number} y - Field element
+     * @returns {number} Product
+     */
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Generator polynomial coefficients (highest degree dropped)
+     * @param {number} degree - Number of ECC codewords
+     * @returns {number[]} Coefficients
+     */
+    function rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * ECC codewords for a block
+     * @param {number[]} data - Data codewords
+     * @param {number[]} divisor - From rsDivisor
+     * @returns {number[]} Remainder
+     */
+    function rsRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    // ============================================
+    // Codewords
+    // ============================================
+
+    /**
+     * Byte-mode segment, terminator and padding
+     * @param {Uint8Array} bytes - Payload
+     * @param {number} ver - Version
+     * @param {Object} ecl - Level
+     * @returns {number[]} Data codewords
+     */
+    function buildDataCodewords(bytes, ver, ecl) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4); // byte mode
+        append(bytes.length, ver <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        const capacityBits = getNumDataCodewords(ver, ecl) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            let byte = 0;
+            for (let j = 0; j < 8; j++) byte = (byte << 1) | bits[i + j];
+            codewords.push(byte);
+        }
+        return codewords;
+    }
+
+    /**
+     * Split into blocks, append ECC and interleave
+     * @param {number[]} data - Data codewords
+     * @param {number} ver - Version
+     * @param {Object} ecl - Level
+     * @returns {number[]} Final codewords
+     */
+    function addEccAndInterleave(data, ver, ecl) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver];
+        const rawCodewords = Math.floor(getNumRawDataModules(ver) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const blocks = [];
+        const divisor = rsDivisor(blockEccLen);
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = rsRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0);
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // ============================================
+    // Matrix
+    // ============================================
+
+    /**
+     * Build the symbol for a version
+     * @param {number} ver - Version
+     * @param {Object} ecl - Level
+     * @param {number[]} codewords - Interleaved codewords
+     * @returns {boolean[][]} modules[y][x], true = dark
+     */
+    function buildMatrix(ver, ecl, codewords) {
+        const size = ver * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns (not over the finders)
+        const alignPos = getAlignmentPositions(ver);
+        const numAlign = alignPos.length;
+        for (let i = 0; i < numAlign; i++) {
+            for (let j = 0; j < numAlign; j++) {
+                if ((i === 0 && j === 0) || (i === 0 && j === numAlign - 1) || (i === numAlign - 1 && j === 0)) continue;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(alignPos[i] + dx, alignPos[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            }
+        }
+
+        const drawFormatBits = (mask) => {
+            const data = ecl.formatBits << 3 | mask;
+            let rem = data;
+            for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+            const bits = (data << 10 | rem) ^ 0x5412;
+
+            for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+            setFunction(8, 7, getBit(bits, 6));
+            setFunction(8, 8, getBit(bits, 7));
+            setFunction(7, 8, getBit(bits, 8));
+            for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+            for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+            for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+            setFunction(8, size - 8, true); // dark module
+        };
+
+        // Reserve format areas, then version information
+        drawFormatBits(0);
+        if (ver >= 7) {
+            let rem = ver;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = ver << 12 | rem;
+            for (let i = 0; i < 18; i++) {
+                const bit = getBit(bits, i);
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, bit);
+                setFunction(b, a, bit);
+            }
+        }
+
+        // Codewords in the zigzag order
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+
+        const applyMask = (mask) => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (isFunction[y][x]) continue;
+                    let invert;
+                    switch (mask) {
+                        case 0: invert = (x + y) % 2 === 0; break;
+                        case 1: invert = y % 2 === 0; break;
+                        case 2: invert = x % 3 === 0; break;
+                        case 3: invert = (x + y) % 3 === 0; break;
+                        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                        case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+                        case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+                        default: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+                    }
+                    if (invert) modules[y][x] = !modules[y][x];
+                }
+            }
+        };
+
+        // Pick the mask with the lowest penalty
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(mask);
+            drawFormatBits(mask);
+            const penalty = getPenaltyScore(modules);
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            applyMask(mask); // XOR again to undo
+        }
+        applyMask(bestMask);
+        drawFormatBits(bestMask);
+
+        return modules;
+    }
+
+    /**
+     * Penalty score used to choose a mask (runs, 2x2 blocks, finder-like patterns, balance)
+     * @param {boolean[][]} modules - Matrix
+     * @returns {number} Penalty
+     */
+    function getPenaltyScore(modules) {
+        const size = modules.length;
+        const finderLike = [true, false, true, true, true, false, true];
+        let result = 0;
+
+        const scoreLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i < size; i++) {
+                if (get(i) === runColor) {
+                    runLength++;
+                    if (runLength === 5) result += PENALTY_N1;
+                    else if (runLength > 5) result++;
+                } else {
+                    runColor = get(i);
+                    runLength = 1;
+                }
+            }
+            // 1:1:3:1:1 dark pattern with four light modules on either side
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => get(i + k) === dark)) continue;
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+                if (lightBefore || lightAfter) result += PENALTY_N3;
+            }
+        };
+
+        for (let y = 0; y < size; y++) scoreLine(x => modules[y][x]);
+        for (let x = 0; x < size; x++) scoreLine(y => modules[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        result += PENALTY_N2;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        result += Math.max(0, k) * PENALTY_N4;
+        return result;
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Encode text into a QR matrix
+     * @param {string} text - Text (UTF-8, byte mode)
+     * @param {Object} options - { ecc: 'L'|'M'|'Q'|'H' }
+     * @returns {Object} { version, size, modules }
+     */
+    function generate(text, options = {}) {
+        const ecl = ECC_LEVELS[options.ecc || 'M'] || ECC_LEVELS.M;
+        const bytes = new TextEncoder().encode(String(text));
+
+        for (let ver = MIN_VERSION; ver <= MAX_VERSION; ver++) {
+            const headerBits = 4 + (ver <= 9 ? 8 : 16);
+            if (headerBits + bytes.length * 8 > getNumDataCodewords(ver, ecl) * 8) continue;
+
+            const data = buildDataCodewords(bytes, ver, ecl);
+            const modules = buildMatrix(ver, ecl, addEccAndInterleave(data, ver, ecl));
+            return { version: ver, size: modules.length, modules };
+        }
+        throw new Error('QR payload too long');
+    }
+
+    /**
+     * Draw a QR code on a canvas
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {string} text - Payload
+     * @param {Object} options - { ecc, scale (px per module), margin (modules), dark, light }
+     * @returns {Object} Generated symbol
+     */
+    function renderToCanvas(canvas, text, options = {}) {
+        const qr = generate(text, options);
+        const scale = options.scale || 4;
+        const margin = options.margin ?? 4;
+        const pixels = (qr.size + margin * 2) * scale;
+
+        canvas.width = pixels;
+        canvas.height = pixels;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = options.light || '#ffffff';
+        ctx.fillRect(0, 0, pixels, pixels);
+        ctx.fillStyle = options.dark || '#000000';
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) {
+                    ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            }
+        }
+        return qr;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        generate,
+        renderToCanvas
+    };
+})();
@@ -0,0 +1,172 @@
+/**
+ * POP-SORTE Quina Statistics
+ * Number statistics computed from the published results
+ *
+ * Features:
+ * - Frequency of each of the 80 numbers and current delay (draws since last seen)
+ * - Most common pairs and trios
+ * - Parity (odd count) and sum distributions
+ * - Everything computed over a window of the most recent contests (10 / 50 / all)
+ *
+ * Used by: pop-sorte.js (statistics section, number grid heatmap), surpresinha.js (hot/cold)
+ *
+ * Dependencies: none (results are passed in, see PopDataSource.getResults)
+ */
+
+window.QuinaStats = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const DRAW_SIZE = 5;
+    const MAX_NUMBER = 80;
+    const ALL = 0; // window size meaning "every contest"
+    const WINDOWS = [10, 50, ALL];
+    const TOP_COMBOS = 10;
+
+    // Sum of 5 numbers ranges from 15 to 390; the mean is 202.5
+    const SUM_BUCKETS = [
+        { from: 15, to: 119 },
+        { from: 120, to: 159 },
+        { from: 160, to: 199 },
+        { from: 200, to: 239 },
+        { from: 240, to: 279 },
+        { from: 280, to: 390 }
+    ];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Valid draws, newest contest first
+     * @param {Object[]} results - PopDataSource results
+     * @returns {Object[]} Draws
+     */
+    function getDraws(results) {
+        return (results || [])
+            .filter(r => !r.isNoDraw && Array.isArray(r.numbers) && r.numbers.length === DRAW_SIZE)
+            .sort((a, b) => parseInt(b.contest, 10) - parseInt(a.contest, 10));
+    }
+
+    /**
+     * Every k-number combination of a draw (sorted)
+     * @param {number[]} numbers - Draw numbers
+     * @param {number} k - Combination size
+     * @returns {number[][]} Combinations
+     */
+    function combinations(numbers, k) {
+        const sorted = numbers.slice().sort((a, b) => a - b);
+        const result = [];
+        const walk = (start, combo) => {
+            if (combo.length === k) {
+                result.push(combo.slice());
+                return;
+            }
+            for (let i = start; i < sorted.length; i++) {
+                combo.push(sorted[i]);
+                walk(i + 1, combo);
+                combo.pop();
+            }
+        };
+        walk(0, []);
+        return result;
+    }
+
+    /**
+     * Most frequent k-number combinations
+     * @param {Object[]} draws - Draws in the window
+     * @param {number} k - 2 (pairs) or 3 (trios)
+     * @returns {Object[]} [{ numbers, count }] most common first
+     */
+    function topCombinations(draws, k) {
+        const counts = new Map();
+        draws.forEach(draw => {
+            combinations(draw.numbers, k).forEach(combo => {
+                const key = combo.join('-');
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        });
+
+        return [...counts.entries()]
+            .filter(([, count]) => count > 1)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], undefined, { numeric: true }))
+            .slice(0, TOP_COMBOS)
+            .map(([key, count]) => ({ numbers: key.split('-').map(Number), count }));
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Statistics over the most recent contests
+     * @param {Object[]} results - PopDataSource results
+     * @param {number} windowSize - Number of recent contests (ALL for every contest)
+     * @returns {Object} {
+     *   window, draws, firstContest, lastContest,
+     *   numbers: [{ number, frequency, delay, seen }] (index = number - 1; delay equals
+     *            draws when the number did not come out in the window),
+     *   maxFrequency, maxDelay,
+     *   pairs, trios: [{ numbers, count }],
+     *   parity: [{ odd, count }] (odd = 0..5),
+     *   sums: [{ from, to, count }]
+     * }
+     */
+    function compute(results, windowSize = ALL) {
+        const allDraws = getDraws(results);
+        const draws = windowSize > 0 ? allDraws.slice(0, windowSize) : allDraws;
+
+        const numbers = [];
+        for (let n = 1; n <= MAX_NUMBER; n++) {
+            numbers.push({ number: n, frequency: 0, delay: draws.length, seen: false });
+        }
+        const parity = Array.from({ length: DRAW_SIZE + 1 }, (_, odd) => ({ odd, count: 0 }));
+        const sums = SUM_BUCKETS.map(bucket => ({ ...bucket, count: 0 }));
+
+        draws.forEach((draw, age) => {
+            draw.numbers.forEach(n => {
+                const stat = numbers[n - 1];
+                if (!stat) return;
+                stat.frequency++;
+                if (!stat.seen) {
+                    stat.seen = true;
+                    stat.delay = age;
+                }
+            });
+
+            parity[draw.numbers.filter(n => n % 2 === 1).length].count++;
+            const sum = draw.numbers.reduce((total, n) => total + n, 0);
+            const bucket = sums.find(b => sum >= b.from && sum <= b.to);
+            if (bucket) bucket.count++;
+        });
+
+        return {
+            window: windowSize,
+            draws: draws.length,
+            firstContest: draws.length ? draws[draws.length - 1].contest : null,
+            lastContest: draws.length ? draws[0].contest : null,
+            numbers,
+            maxFrequency: Math.max(0, ...numbers.map(s => s.frequency)),
+            maxDelay: Math.max(0, ...numbers.map(s => s.delay)),
+            pairs: topCombinations(draws, 2),
+            trios: topCombinations(draws, 3),
+            parity,
+            sums
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        compute,
+        getDraws,
+
+        // Constants
+        ALL,
+        WINDOWS,
+        SUM_BUCKETS
+    };
+})();
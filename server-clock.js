@@ -0,0 +1,173 @@
+/**
+ * POP-SORTE Server Clock
+ * Offset between the device clock and the Worker's clock
+ *
+ * Features:
+ * - Syncs against GET /api/time ({ now: epoch ms }) or, failing that,
+ *   the Date header of any Worker response
+ * - Half the round trip is added so slow networks do not skew the offset
+ * - Re-syncs periodically, when the tab becomes visible and when back online
+ * - Falls back to the device clock (offset 0) until a sync succeeds
+ *
+ * Worker contract:
+ * - GET /api/time returns { now } (optional); for the header fallback the Worker
+ *   must send Access-Control-Expose-Headers: Date
+ *
+ * Used by: pop-sorte.js (getBrazilTime, registration window), ticket-queue.js (expiry via configure)
+ *
+ * Dependencies: none (load before pop-sorte.js)
+ */
+
+window.ServerClock = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const WORKER_BASE = 'https://popsorte-api.danilla-vargas1923.workers.dev';
+    const TIME_URL = `${WORKER_BASE}/api/time`;
+    const SYNC_INTERVAL = 10 * 60 * 1000;  // 10 minutes
+    const SYNC_TIMEOUT = 8000;
+    const SKEW_WARNING = 2 * 60 * 1000;    // device clock off by more than 2 minutes
+
+    // ============================================
+    // State
+    // ============================================
+    let offset = 0;          // server time - device time (ms)
+    let lastSync = null;     // { at, source, rtt }
+    let syncPromise = null;
+    const listeners = new Set();
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Notify subscribers
+     */
+    function emit() {
+        const info = getInfo();
+        listeners.forEach(listener => {
+            try {
+                listener(info);
+            } catch (e) {
+                console.error('ServerClock listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * Server time from a /api/time response or its Date header
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object|null>} { time, source } or null
+     */
+    async function readServerTime(response) {
+        if (response.ok) {
+            try {
+                const data = await response.json();
+                const time = typeof data.now === 'number' ? data.now : Date.parse(data.now);
+                if (Number.isFinite(time)) return { time, source: 'endpoint' };
+            } catch (e) {
+                // Not JSON: try the header below
+            }
+        }
+
+        const header = response.headers.get('Date');
+        const time = header ? Date.parse(header) : NaN;
+        // The header only has second precision; +500ms centres the error
+        return Number.isFinite(time) ? { time: time + 500, source: 'header' } : null;
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Measure the offset once (concurrent callers share the request)
+     * @returns {Promise<boolean>} True if the offset was updated
+     */
+    function sync() {
+        if (syncPromise) return syncPromise;
+
+        syncPromise = (async () => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), SYNC_TIMEOUT);
+            try {
+                const sentAt = Date.now();
+                const response = await fetch(TIME_URL, { cache: 'no-store', signal: controller.signal });
+                const receivedAt = Date.now();
+                const server = await readServerTime(response);
+                if (!server) throw new Error('No server time in response');
+
+                const rtt = receivedAt - sentAt;
+                offset = Math.round(server.time + rtt / 2 - receivedAt);
+                lastSync = { at: receivedAt, source: server.source, rtt };
+                if (Math.abs(offset) > SKEW_WARNING) {
+                    console.warn(`ServerClock: device clock is off by ${Math.round(offset / 1000)}s`);
+                }
+                emit();
+                return true;
+            } catch (error) {
+                console.warn('ServerClock: sync failed, using device clock:', error.message || error);
+                return false;
+            } finally {
+                clearTimeout(timeoutId);
+                syncPromise = null;
+            }
+        })();
+
+        return syncPromise;
+    }
+
+    /**
+     * Current time according to the server
+     * @returns {Date} Now
+     */
+    function now() {
+        return new Date(Date.now() + offset);
+    }
+
+    /**
+     * @returns {Object} { offset, synced, source, lastSyncAt, skewed }
+     */
+    function getInfo() {
+        return {
+            offset,
+            synced: !!lastSync,
+            source: lastSync ? lastSync.source : null,
+            lastSyncAt: lastSync ? lastSync.at : null,
+            skewed: Math.abs(offset) > SKEW_WARNING
+        };
+    }
+
+    /**
+     * Subscribe to offset changes
+     * @param {Function} listener - (info) => void
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+    sync();
+    setInterval(sync, SYNC_INTERVAL);
+
+    window.addEventListener('online', sync);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') sync();
+    });
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        sync,
+        now,
+        getInfo,
+        subscribe
+    };
+})();
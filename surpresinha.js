@@ -0,0 +1,217 @@
+/**
+ * POP-SORTE Smart Surpresinha
+ * Quick-pick with selectable strategies instead of a plain uniform draw
+ *
+ * Strategies:
+ * - random: uniform 5 of 80 (the original Surpresinha)
+ * - hot: picked from the numbers drawn most often in the recent results
+ * - cold: picked from the most overdue numbers (longest since last drawn)
+ * - balanced: 2-3 odd and 2-3 low (01-40) numbers
+ * - sum: the 5 numbers add up to a target range
+ *
+ * Every strategy also honours:
+ * - exclude: numbers the player never wants
+ * - avoid: combinations already played on this device for the same concurso
+ *
+ * The pick carries a compact tag (see describe) that is submitted with the
+ * ticket, so strategy usage can be analysed from the entries later.
+ *
+ * Dependencies: QuinaStats (hot/cold; results are passed in, see PopDataSource.getResults)
+ */
+
+window.Surpresinha = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const PICK_SIZE = 5;
+    const MIN_NUMBER = 1;
+    const MAX_NUMBER = 80;
+    const HOT_WINDOW = 50;          // recent draws used for "hot"
+    const CANDIDATE_POOL = 20;      // hot/cold numbers to pick from
+    const MAX_ATTEMPTS = 2000;      // rejection-sampling budget
+    const DEFAULT_SUM_RANGE = { min: 150, max: 255 }; // around the mean sum (202.5)
+
+    const Strategy = {
+        RANDOM: 'random',
+        HOT: 'hot',
+        COLD: 'cold',
+        BALANCED: 'balanced',
+        SUM: 'sum'
+    };
+
+    // Strategies that need the results history
+    const HISTORY_STRATEGIES = [Strategy.HOT, Strategy.COLD];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * @param {number[]} numbers - Numbers
+     * @returns {string} Order-independent key
+     */
+    function comboKey(numbers) {
+        return numbers.slice().sort((a, b) => a - b).join(',');
+    }
+
+    /**
+     * Pick n distinct values uniformly (partial Fisher-Yates)
+     * @param {number[]} pool - Candidates
+     * @param {number} n - How many
+     * @param {Function} random - () => [0, 1)
+     * @returns {number[]} Picked values
+     */
+    function sample(pool, n, random) {
+        const copy = pool.slice();
+        for (let i = 0; i < n; i++) {
+            const j = i + Math.floor(random() * (copy.length - i));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy.slice(0, n);
+    }
+
+    /**
+     * Normalize a user-typed exclusion list ("7, 13 80") to valid numbers
+     * @param {string|number[]} value - Input
+     * @returns {number[]} Sorted unique numbers
+     */
+    function parseNumberList(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[^\d]+/);
+        return [...new Set(list
+            .map(n => parseInt(n, 10))
+            .filter(n => n >= MIN_NUMBER && n <= MAX_NUMBER))]
+            .sort((a, b) => a - b);
+    }
+
+    // ============================================
+    // Pools
+    // ============================================
+
+    /**
+     * Candidate pool for a strategy
+     * @param {string} strategy - Strategy
+     * @param {number[]} allowed - Numbers not excluded
+     * @param {Object[]} results - PopDataSource results
+     * @returns {number[]} Pool
+     */
+    function getPool(strategy, allowed, results) {
+        if (strategy === Strategy.HOT) {
+            const stats = QuinaStats.compute(results, HOT_WINDOW).numbers;
+            return allowed
+                .slice()
+                .sort((a, b) => stats[b - 1].frequency - stats[a - 1].frequency || stats[a - 1].delay - stats[b - 1].delay)
+                .slice(0, CANDIDATE_POOL);
+        }
+        if (strategy === Strategy.COLD) {
+            const stats = QuinaStats.compute(results, QuinaStats.ALL).numbers;
+            return allowed
+                .slice()
+                .sort((a, b) => stats[b - 1].delay - stats[a - 1].delay || stats[a - 1].frequency - stats[b - 1].frequency)
+                .slice(0, CANDIDATE_POOL);
+        }
+        return allowed;
+    }
+
+    /**
+     * Whether a pick satisfies the strategy's shape constraints
+     * @param {string} strategy - Strategy
+     * @param {number[]} numbers - Pick
+     * @param {Object} sumRange - { min, max }
+     * @returns {boolean} True if acceptable
+     */
+    function meetsConstraints(strategy, numbers, sumRange) {
+        if (strategy === Strategy.BALANCED) {
+            const odd = numbers.filter(n => n % 2 === 1).length;
+            const low = numbers.filter(n => n <= MAX_NUMBER / 2).length;
+            return odd >= 2 && odd <= 3 && low >= 2 && low <= 3;
+        }
+        if (strategy === Strategy.SUM) {
+            const sum = numbers.reduce((total, n) => total + n, 0);
+            return sum >= sumRange.min && sum <= sumRange.max;
+        }
+        return true;
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Compact tag recorded with the ticket, e.g. "hot", "sum=150-255;excl=7,13;avoid"
+     * @param {Object} options - Options used for the pick
+     * @returns {string} Tag
+     */
+    function describe(options = {}) {
+        const strategy = options.strategy || Strategy.RANDOM;
+        const parts = [strategy];
+        if (strategy === Strategy.SUM) {
+            const range = options.sumRange || DEFAULT_SUM_RANGE;
+            parts[0] = `sum=${range.min}-${range.max}`;
+        }
+        const exclude = parseNumberList(options.exclude);
+        if (exclude.length > 0) parts.push(`excl=${exclude.join(',')}`);
+        if (options.avoid && options.avoid.length > 0) parts.push('avoid');
+        return parts.join(';');
+    }
+
+    /**
+     * Pick 5 numbers with a strategy
+     * @param {Object} options - {
+     *   strategy: Strategy value (default random),
+     *   results: PopDataSource results (required for hot/cold),
+     *   exclude: numbers or "7, 13" text,
+     *   avoid: number[][] combinations not to repeat,
+     *   sumRange: { min, max } for the sum strategy,
+     *   random: () => [0, 1) (tests / seeding)
+     * }
+     * @returns {Object} { numbers, strategy, tag }
+     * @throws {Error} When the constraints leave no possible pick
+     */
+    function pick(options = {}) {
+        const strategy = Object.values(Strategy).includes(options.strategy) ? options.strategy : Strategy.RANDOM;
+        const random = options.random || Math.random;
+        const exclude = new Set(parseNumberList(options.exclude));
+        const avoid = new Set((options.avoid || []).map(comboKey));
+        const sumRange = {
+            min: Number.isFinite(options.sumRange?.min) ? options.sumRange.min : DEFAULT_SUM_RANGE.min,
+            max: Number.isFinite(options.sumRange?.max) ? options.sumRange.max : DEFAULT_SUM_RANGE.max
+        };
+
+        const allowed = [];
+        for (let n = MIN_NUMBER; n <= MAX_NUMBER; n++) {
+            if (!exclude.has(n)) allowed.push(n);
+        }
+        if (allowed.length < PICK_SIZE) {
+            throw new Error('Números excluídos demais: restam menos de 5');
+        }
+
+        if (HISTORY_STRATEGIES.includes(strategy) && QuinaStats.getDraws(options.results).length === 0) {
+            throw new Error('Histórico de resultados indisponível no momento');
+        }
+        const pool = getPool(strategy, allowed, options.results);
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const numbers = sample(pool, PICK_SIZE, random).sort((a, b) => a - b);
+            if (!meetsConstraints(strategy, numbers, sumRange)) continue;
+            if (avoid.has(comboKey(numbers))) continue;
+            return { numbers, strategy, tag: describe({ ...options, strategy, sumRange }) };
+        }
+        throw new Error('Nenhuma combinação atende aos critérios escolhidos');
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        pick,
+        describe,
+        parseNumberList,
+
+        // Constants
+        Strategy,
+        HISTORY_STRATEGIES,
+        DEFAULT_SUM_RANGE
+    };
+})();
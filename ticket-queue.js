@@ -0,0 +1,365 @@
+/**
+ * POP-SORTE Ticket Submission Queue
+ * Keeps every ticket submission in localStorage until the Worker answers
+ *
+ * Features:
+ * - Client-generated idempotency key per submission (reused on every retry,
+ *   so a request that timed out after being saved is not registered twice)
+ * - Retries with exponential backoff; resumes when the browser comes back online
+ *   and when the page is opened again
+ * - Clear per-submission status: pending, confirmed (bilhete number) or rejected (server reason)
+ * - A submission never sent expires at the draw's registration cutoff; one
+ *   already sent keeps being replayed with its idempotency key after the cutoff,
+ *   since the server may have saved it and only its answer settles the outcome
+ *
+ * Transport is injected by pop-sorte.js via configure({ send, now }):
+ * - send(record, signal) resolves { ok: true, ... } when saved,
+ *   { ok: false, error } when the server refused it,
+ *   and throws on network errors / timeouts / 5xx (retried)
+ * - now() returns epoch ms used for the cutoff check (server-synced clock;
+ *   the device clock by default)
+ *
+ * Dependencies: none (load before pop-sorte.js)
+ */
+
+window.TicketQueue = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const STORAGE_KEY = 'popsorte_ticket_queue_v1';
+    const SEND_TIMEOUT = 15000;         // 15s per attempt
+    const BASE_BACKOFF = 5000;          // 5s, doubled per failed attempt
+    const MAX_BACKOFF = 5 * 60 * 1000;  // 5 minutes
+    const MAX_RECORDS = 50;
+    const SETTLED_TTL = 7 * 24 * 60 * 60 * 1000; // keep confirmed/rejected for a week
+
+    const Status = {
+        PENDING: 'pending',
+        CONFIRMED: 'confirmed',
+        REJECTED: 'rejected'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let records = [];
+    let sendFn = null;
+    let clockFn = Date.now;
+    let timerId = null;
+    const inFlight = new Set();
+    const listeners = new Set();
+
+    // ============================================
+    // Persistence
+    // ============================================
+
+    /**
+     * Load records from localStorage
+     */
+    function loadFromStorage() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            records = raw ? JSON.parse(raw) : [];
+            if (!Array.isArray(records)) records = [];
+        } catch (e) {
+            console.warn('TicketQueue: could not read localStorage:', e);
+            records = [];
+        }
+    }
+
+    /**
+     * Save records to localStorage, dropping old settled ones
+     */
+    function saveToStorage() {
+        const now = Date.now();
+        records = records
+            .filter(r => r.status === Status.PENDING || now - r.updatedAt < SETTLED_TTL)
+            .slice(-MAX_RECORDS);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+        } catch (e) {
+            console.warn('TicketQueue: could not save to localStorage:', e);
+        }
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Generate an idempotency key
+     * @returns {string} Key
+     */
+    function generateKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        const random = Math.random().toString(36).slice(2, 10);
+        return `${Date.now().toString(36)}-${random}`;
+    }
+
+    /**
+     * Backoff delay before the next attempt (with ±20% jitter)
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in ms
+     */
+    function getBackoff(attempts) {
+        const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * Math.pow(2, Math.max(0, attempts - 1)));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Notify subscribers
+     * @param {Object} record - Record that changed
+     */
+    function emit(record) {
+        const snapshot = getAll();
+        listeners.forEach(listener => {
+            try {
+                listener(snapshot, record ? { ...record } : null);
+            } catch (e) {
+                console.error('TicketQueue listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * Update a record, persist and notify
+     * @param {Object} record - Record
+     * @param {Object} changes - Fields to set
+     */
+    function update(record, changes) {
+        Object.assign(record, changes, { updatedAt: Date.now() });
+        // records may have been reloaded by another tab while this attempt was in flight
+        const index = records.findIndex(r => r.id === record.id);
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
+        }
+        saveToStorage();
+        emit(record);
+    }
+
+    // ============================================
+    // Sending
+    // ============================================
+
+    /**
+     * Make one attempt for a record
+     * @param {Object} record - Pending record
+     * @returns {Promise<Object>} The record after the attempt
+     */
+    async function attempt(record) {
+        if (record.status !== Status.PENDING || inFlight.has(record.id)) return record;
+        if (!sendFn) throw new Error('TicketQueue: send function not configured');
+
+        // Only a submission that never reached the server can be refused locally
+        if (record.expiresAt && clockFn() > record.expiresAt && !record.attempts) {
+            update(record, { status: Status.REJECTED, error: 'Prazo de registro encerrado antes do envio' });
+            return record;
+        }
+
+        inFlight.add(record.id);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), SEND_TIMEOUT);
+        const attempts = (record.attempts || 0) + 1;
+
+        try {
+            const outcome = await sendFn(record, controller.signal);
+            clearTimeout(timeoutId);
+
+            if (outcome && outcome.ok) {
+                update(record, {
+                    status: Status.CONFIRMED,
+                    attempts,
+                    result: outcome,
+                    error: '',
+                    nextAttemptAt: null
+                });
+            } else {
+                update(record, {
+                    status: Status.REJECTED,
+                    attempts,
+                    result: outcome || null,
+                    error: (outcome && outcome.error) || 'Recusado pelo servidor',
+                    nextAttemptAt: null
+                });
+            }
+        } catch (error) {
+            clearTimeout(timeoutId);
+            const message = error.name === 'AbortError' ? 'Tempo esgotado' : (error.message || 'Falha de conexão');
+            console.warn(`TicketQueue: attempt ${attempts} failed for ${record.id}:`, message);
+            update(record, {
+                attempts,
+                error: message,
+                nextAttemptAt: Date.now() + getBackoff(attempts)
+            });
+        } finally {
+            inFlight.delete(record.id);
+            scheduleNext();
+        }
+
+        return record;
+    }
+
+    /**
+     * Attempt every pending record whose backoff has elapsed
+     * @param {boolean} force - Ignore backoff (e.g. connectivity came back)
+     */
+    async function processDue(force = false) {
+        if (!sendFn) return;
+        const now = Date.now();
+        const due = records.filter(r =>
+            r.status === Status.PENDING && (force || !r.nextAttemptAt || r.nextAttemptAt <= now)
+        );
+        for (const record of due) {
+            await attempt(record);
+        }
+        scheduleNext();
+    }
+
+    /**
+     * Arm a timer for the earliest pending retry
+     */
+    function scheduleNext() {
+        if (timerId) {
+            clearTimeout(timerId);
+            timerId = null;
+        }
+        const pending = records.filter(r => r.status === Status.PENDING && !inFlight.has(r.id));
+        if (pending.length === 0 || !sendFn) return;
+
+        const next = Math.min(...pending.map(r => r.nextAttemptAt || Date.now()));
+        timerId = setTimeout(() => processDue(false), Math.max(0, next - Date.now()));
+    }
+
+    // ============================================
+    // Public operations
+    // ============================================
+
+    /**
+     * Configure transport and start retrying stored submissions
+     * @param {Object} options - { send(record, signal), now() }
+     */
+    function configure(options = {}) {
+        if (typeof options.send === 'function') sendFn = options.send;
+        if (typeof options.now === 'function') clockFn = options.now;
+        processDue(false);
+    }
+
+    /**
+     * Persist a submission and make the first attempt
+     * @param {string} type - Submission type understood by the send function ('single', 'batch')
+     * @param {Object} payload - Request body (without the idempotency key)
+     * @param {Object} options - { meta: data for the UI/receipt, expiresAt: ms timestamp }
+     * @returns {Promise<Object>} Record after the first attempt
+     */
+    async function submit(type, payload, options = {}) {
+        const now = Date.now();
+        const record = {
+            id: generateKey(),
+            type,
+            payload,
+            meta: options.meta || {},
+            expiresAt: options.expiresAt || null,
+            status: Status.PENDING,
+            attempts: 0,
+            nextAttemptAt: null,
+            error: '',
+            result: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        records.push(record);
+        saveToStorage();
+        emit(record);
+
+        await attempt(record);
+        return { ...record };
+    }
+
+    /**
+     * Retry a pending record immediately
+     * @param {string} id - Record id
+     * @returns {Promise<Object|null>} Record after the attempt
+     */
+    async function retryNow(id) {
+        const record = records.find(r => r.id === id);
+        if (!record) return null;
+        await attempt(record);
+        return { ...record };
+    }
+
+    /**
+     * Remove a settled record from the list
+     * @param {string} id - Record id
+     * @returns {boolean} True if removed
+     */
+    function dismiss(id) {
+        const index = records.findIndex(r => r.id === id && r.status !== Status.PENDING);
+        if (index === -1) return false;
+        records.splice(index, 1);
+        saveToStorage();
+        emit(null);
+        return true;
+    }
+
+    /**
+     * @returns {Object[]} Copies of all records, oldest first
+     */
+    function getAll() {
+        return records.map(r => ({ ...r }));
+    }
+
+    /**
+     * @returns {Object[]} Pending records
+     */
+    function getPending() {
+        return getAll().filter(r => r.status === Status.PENDING);
+    }
+
+    /**
+     * Subscribe to queue changes
+     * @param {Function} listener - (records, changedRecord) => void
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+    loadFromStorage();
+
+    window.addEventListener('online', () => processDue(true));
+
+    // Another tab changed the queue
+    window.addEventListener('storage', (event) => {
+        if (event.key !== STORAGE_KEY) return;
+        loadFromStorage();
+        emit(null);
+        scheduleNext();
+    });
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        configure,
+        submit,
+        retryNow,
+        dismiss,
+        processDue,
+        getAll,
+        getPending,
+        subscribe,
+
+        // Constants
+        Status
+    };
+})();
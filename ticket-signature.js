@@ -0,0 +1,298 @@
+/**
+ * POP-SORTE Ticket Signature
+ * Verifies the signature the Worker returns with every saved ticket
+ *
+ * Features:
+ * - ECDSA P-256 / SHA-256 over a canonical ticket string (see canonicalize)
+ * - Public keys pinned via window.POPSORTE_TICKET_KEYS or fetched from the Worker
+ *   (hard-coded URL, never taken from the ticket link itself)
+ * - Parses bilhete.html links, QR lookup links, query strings or pasted JSON payloads
+ * - Builds the short lookup link encoded in the ticket QR code (see buildLookupUrl)
+ *
+ * Worker contract:
+ * - /api/tickets/submit (and each submit-batch result) returns { signature, kid }
+ *   where signature is base64url of the raw (r || s) ECDSA signature
+ * - GET /api/tickets/public-keys returns { keys: [JWK with kid] }
+ *
+ * Used by: bilhete.html (seal, QR), pop-sorte.js (receipt links, ticket lookup),
+ *          homina/js/unified-page.js (verify tool, QR jump)
+ *
+ * Dependencies: none (WebCrypto, secure context)
+ */
+
+window.TicketSignature = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const WORKER_BASE = 'https://popsorte-api.danilla-vargas1923.workers.dev';
+    const KEYS_URL = `${WORKER_BASE}/api/tickets/public-keys`;
+    const SITE_URL = 'https://popsorte.vip/';
+    const CANONICAL_VERSION = 'popsorte-ticket-v1';
+    const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+    const VERIFY_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+    const Status = {
+        VERIFIED: 'verified',       // signature matches the ticket fields
+        INVALID: 'invalid',         // signature present but does not match (tampered)
+        UNSIGNED: 'unsigned',       // no signature in the link
+        UNAVAILABLE: 'unavailable'  // keys could not be loaded / WebCrypto missing
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let pinnedKeys = Array.isArray(window.POPSORTE_TICKET_KEYS) ? window.POPSORTE_TICKET_KEYS : null;
+    let keysPromise = null;
+    const importedKeys = new Map(); // kid -> CryptoKey
+
+    /**
+     * Pin public keys (JWKs with kid) instead of fetching them
+     * @param {Object} options - { keys }
+     */
+    function configure(options = {}) {
+        if (Array.isArray(options.keys)) {
+            pinnedKeys = options.keys;
+            keysPromise = null;
+            importedKeys.clear();
+        }
+    }
+
+    // ============================================
+    // Ticket fields
+    // ============================================
+
+    /**
+     * Normalize ticket fields so the same ticket always produces the same string
+     * @param {Object} fields - { platform, gameId, concurso, bilhete, numbers }
+     * @returns {Object} Normalized fields
+     */
+    function normalizeFields(fields) {
+        const numbers = (Array.isArray(fields.numbers) ? fields.numbers : String(fields.numbers || '').split(','))
+            .map(n => parseInt(n, 10))
+            .filter(n => !isNaN(n))
+            .sort((a, b) => a - b);
+
+        return {
+            platform: String(fields.platform || 'POPN1').trim().toUpperCase(),
+            gameId: String(fields.gameId || '').trim(),
+            concurso: String(fields.concurso || '').trim(),
+            bilhete: String(fields.bilhete || '').trim(),
+            numbers
+        };
+    }
+
+    /**
+     * Canonical string the Worker signs
+     * @param {Object} fields - Ticket fields
+     * @returns {string} One "key=value" per line after the version line
+     */
+    function canonicalize(fields) {
+        const f = normalizeFields(fields);
+        return [
+            CANONICAL_VERSION,
+            `platform=${f.platform}`,
+            `gameId=${f.gameId}`,
+            `concurso=${f.concurso}`,
+            `bilhete=${f.bilhete}`,
+            `numbers=${f.numbers.map(n => String(n).padStart(2, '0')).join(',')}`
+        ].join('\n');
+    }
+
+    /**
+     * Ticket fields from bilhete.html params or the short QR lookup params
+     * (c = concurso, b = bilhete, g = gameId, n = numbers as 2-digit pairs, p = platform, t = sig, k = kid)
+     * @param {URLSearchParams} params - Params
+     * @returns {Object} Fields with signature and kid
+     */
+    function fieldsFromParams(params) {
+        const shortNumbers = (params.get('n') || '').match(/\d{2}/g);
+        return {
+            platform: params.get('platform') || params.get('p') || '',
+            gameId: params.get('gameId') || params.get('g') || '',
+            concurso: params.get('concurso') || params.get('c') || '',
+            bilhete: params.get('bilhete') || params.get('b') || '',
+            numbers: params.get('numbers') || (shortNumbers ? shortNumbers.join(',') : ''),
+            signature: params.get('sig') || params.get('t') || '',
+            kid: params.get('kid') || params.get('k') || ''
+        };
+    }
+
+    /**
+     * Short link for a ticket's QR code: opens the public ticket lookup on the site
+     * and carries the signature so staff can verify what they scanned
+     * @param {Object} fields - Ticket fields with signature and kid
+     * @returns {string} URL
+     */
+    function buildLookupUrl(fields) {
+        const f = normalizeFields(fields);
+        const params = new URLSearchParams({
+            c: f.concurso,
+            b: f.bilhete,
+            g: f.gameId,
+            n: f.numbers.map(n => String(n).padStart(2, '0')).join(''),
+            p: f.platform
+        });
+        if (fields.signature) params.set('t', fields.signature);
+        if (fields.kid) params.set('k', fields.kid);
+        return `${SITE_URL}?${params.toString()}`;
+    }
+
+    /**
+     * Ticket lookup requested by a QR link on the current page, if any
+     * @param {string} search - location.search
+     * @returns {Object|null} Fields or null when the page was not opened from a QR code
+     */
+    function getLookupFromLocation(search) {
+        const params = new URLSearchParams(search);
+        if (!params.get('g') || !params.get('c')) return null;
+        return fieldsFromParams(params);
+    }
+
+    /**
+     * Parse a pasted ticket link, query string or JSON payload
+     * @param {string} text - User input
+     * @returns {Object|null} Fields or null if nothing recognizable
+     */
+    function parsePayload(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        if (value.startsWith('{')) {
+            try {
+                const data = JSON.parse(value);
+                return {
+                    platform: data.platform || '',
+                    gameId: data.gameId || '',
+                    concurso: data.concurso || data.contest || '',
+                    bilhete: data.bilhete || data.bilheteNumber || data.ticketNumber || '',
+                    numbers: data.numbers || data.numerosEscolhidos || '',
+                    signature: data.signature || data.sig || '',
+                    kid: data.kid || ''
+                };
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const queryIndex = value.indexOf('?');
+        const query = queryIndex === -1 ? value : value.slice(queryIndex + 1);
+        const fields = fieldsFromParams(new URLSearchParams(query.split('#')[0]));
+        return fields.gameId || fields.bilhete ? fields : null;
+    }
+
+    // ============================================
+    // Keys
+    // ============================================
+
+    /**
+     * Load the key set once (pinned or from the Worker)
+     * @returns {Promise<Object[]>} JWKs
+     */
+    function loadKeys() {
+        if (pinnedKeys) return Promise.resolve(pinnedKeys);
+        if (!keysPromise) {
+            keysPromise = fetch(KEYS_URL, { cache: 'no-store' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => (Array.isArray(data.keys) ? data.keys : []))
+                .catch(error => {
+                    keysPromise = null; // allow a retry on the next verification
+                    throw error;
+                });
+        }
+        return keysPromise;
+    }
+
+    /**
+     * Imported CryptoKey for a kid
+     * @param {string} kid - Key id ('' picks the first key)
+     * @returns {Promise<CryptoKey|null>} Key
+     */
+    async function getKey(kid) {
+        const cacheKey = kid || '*';
+        if (importedKeys.has(cacheKey)) return importedKeys.get(cacheKey);
+
+        const keys = await loadKeys();
+        const jwk = kid ? keys.find(k => k.kid === kid) : keys[0];
+        if (!jwk) return null;
+
+        const { kid: _kid, ...keyData } = jwk;
+        const key = await crypto.subtle.importKey('jwk', keyData, ALGORITHM, false, ['verify']);
+        importedKeys.set(cacheKey, key);
+        return key;
+    }
+
+    /**
+     * Decode base64url
+     * @param {string} value - base64url text
+     * @returns {Uint8Array} Bytes
+     */
+    function base64UrlToBytes(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        const binary = atob(padded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // ============================================
+    // Verification
+    // ============================================
+
+    /**
+     * Verify a ticket's signature
+     * @param {Object} fields - Ticket fields with signature and kid
+     * @returns {Promise<Object>} { status, kid, reason }
+     */
+    async function verify(fields) {
+        if (!fields || !fields.signature) {
+            return { status: Status.UNSIGNED, kid: null, reason: 'Ticket has no signature' };
+        }
+        if (!window.crypto || !crypto.subtle) {
+            return { status: Status.UNAVAILABLE, kid: fields.kid || null, reason: 'WebCrypto not available' };
+        }
+
+        let key;
+        try {
+            key = await getKey(fields.kid);
+        } catch (error) {
+            console.warn('TicketSignature: could not load public keys:', error);
+            return { status: Status.UNAVAILABLE, kid: fields.kid || null, reason: 'Public keys unavailable' };
+        }
+        if (!key) {
+            return { status: Status.INVALID, kid: fields.kid || null, reason: 'Unknown signing key' };
+        }
+
+        try {
+            const data = new TextEncoder().encode(canonicalize(fields));
+            const ok = await crypto.subtle.verify(VERIFY_ALGORITHM, key, base64UrlToBytes(fields.signature), data);
+            return ok
+                ? { status: Status.VERIFIED, kid: fields.kid || null, reason: '' }
+                : { status: Status.INVALID, kid: fields.kid || null, reason: 'Signature does not match ticket fields' };
+        } catch (error) {
+            return { status: Status.INVALID, kid: fields.kid || null, reason: 'Malformed signature' };
+        }
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        configure,
+        canonicalize,
+        normalizeFields,
+        fieldsFromParams,
+        buildLookupUrl,
+        getLookupFromLocation,
+        parsePayload,
+        verify,
+
+        // Constants
+        Status
+    };
+})();
@@ -0,0 +1,364 @@
+/**
+ * POP-SORTE Ticket Wallet ("Meus Bilhetes")
+ * Every ticket this device has submitted, kept in localStorage
+ *
+ * Features:
+ * - Tickets saved from the same URLSearchParams that open bilhete.html (ticket or batch receipt),
+ *   with the Worker's signature and kid so bilhete.html can still verify them
+ * - Grouped by concurso (newest first)
+ * - Live status from the entries source and matches once the result is published
+ * - Export / import as a JSON file to move the wallet between devices
+ *
+ * Dependencies: none (status helpers take PopDataSource entries/results as arguments)
+ */
+
+window.TicketWallet = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const STORAGE_KEY = 'popsorte_wallet_v1';
+    const EXPORT_FORMAT = 'popsorte-wallet';
+    const EXPORT_VERSION = 1;
+
+    const Status = {
+        VALID: 'valid',
+        INVALID: 'invalid',
+        PENDING: 'pending',
+        NOT_FOUND: 'not_found'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let tickets = [];
+
+    // ============================================
+    // Persistence
+    // ============================================
+
+    /**
+     * Load tickets from localStorage
+     */
+    function loadFromStorage() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : [];
+            tickets = Array.isArray(parsed) ? parsed.map(sanitizeTicket).filter(Boolean) : [];
+        } catch (e) {
+            console.warn('TicketWallet: could not read localStorage:', e);
+            tickets = [];
+        }
+    }
+
+    /**
+     * Save tickets to localStorage
+     */
+    function saveToStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(tickets));
+        } catch (e) {
+            console.warn('TicketWallet: could not save to localStorage:', e);
+        }
+    }
+
+    // ============================================
+    // Tickets
+    // ============================================
+
+    /**
+     * Identity of a ticket: the Worker numbers bilhetes per Game ID and concurso
+     * @param {Object} ticket - Ticket
+     * @returns {string} Key
+     */
+    function ticketKey(ticket) {
+        return [ticket.platform, ticket.gameId, ticket.concurso, ticket.bilhete].join('|');
+    }
+
+    /**
+     * Validate and normalize a ticket (from storage, params or an imported file)
+     * @param {Object} raw - Ticket-like object
+     * @returns {Object|null} Ticket or null if unusable
+     */
+    function sanitizeTicket(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const numbers = (Array.isArray(raw.numbers) ? raw.numbers : String(raw.numbers || '').split(','))
+            .map(n => parseInt(n, 10))
+            .filter(n => n >= 1 && n <= 80);
+        // Digits only: imported files are untrusted and these end up in the page
+        const gameId = String(raw.gameId || '').replace(/\D/g, '');
+        const bilhete = String(raw.bilhete || '').replace(/\D/g, '');
+        const concurso = String(raw.concurso || '').replace(/\D/g, '');
+
+        if (!gameId || !bilhete || !concurso || numbers.length !== 5) return null;
+
+        return {
+            gameId,
+            bilhete,
+            concurso,
+            numbers: numbers.sort((a, b) => a - b),
+            platform: String(raw.platform || 'POPN1').toUpperCase().replace(/[^A-Z0-9]/g, '') || 'POPN1',
+            whatsapp: String(raw.whatsapp || ''),
+            date: String(raw.date || ''),
+            time: String(raw.time || ''),
+            // Surpresinha strategy tag ("manual", "hot", "sum=150-255;excl=7", ...)
+            strategy: String(raw.strategy || '').replace(/[^a-z0-9=;,.-]/gi, '').slice(0, 80),
+            // Worker signature (base64url) and key id, see ticket-signature.js
+            signature: String(raw.signature || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 256),
+            kid: String(raw.kid || '').replace(/[^A-Za-z0-9._-]/g, '').slice(0, 64),
+            savedAt: raw.savedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Add tickets, skipping ones already in the wallet
+     * @param {Object[]} list - Ticket-like objects
+     * @returns {Object} { added, skipped }
+     */
+    function addMany(list) {
+        const known = new Set(tickets.map(ticketKey));
+        let added = 0;
+        let skipped = 0;
+        let updated = 0;
+
+        (list || []).forEach(raw => {
+            const ticket = sanitizeTicket(raw);
+            if (!ticket || known.has(ticketKey(ticket))) {
+                // A ticket saved before signatures were kept takes the signature now
+                const stored = ticket && tickets.find(t => ticketKey(t) === ticketKey(ticket));
+                if (stored && !stored.signature && ticket.signature) {
+                    Object.assign(stored, { signature: ticket.signature, kid: ticket.kid });
+                    updated++;
+                }
+                skipped++;
+                return;
+            }
+            known.add(ticketKey(ticket));
+            tickets.push(ticket);
+            added++;
+        });
+
+        if (added > 0 || updated > 0) saveToStorage();
+        return { added, skipped };
+    }
+
+    /**
+     * Add the ticket(s) described by bilhete.html params
+     * (single: numbers + bilhete; batch: repeated "numbers|bilhete|error|signature|kid|strategy" bet params)
+     * @param {URLSearchParams|string} params - Params or query string
+     * @returns {Object} { added, skipped }
+     */
+    function addFromParams(params) {
+        const search = params instanceof URLSearchParams ? params : new URLSearchParams(params);
+        const common = {
+            gameId: search.get('gameId'),
+            whatsapp: search.get('whatsapp'),
+            concurso: search.get('concurso'),
+            platform: search.get('platform'),
+            date: search.get('date'),
+            time: search.get('time')
+        };
+
+        const bets = search.getAll('bet');
+        if (bets.length === 0) {
+            return addMany([{
+                ...common,
+                numbers: search.get('numbers'),
+                bilhete: search.get('bilhete'),
+                strategy: search.get('strategy'),
+                signature: search.get('sig'),
+                kid: search.get('kid')
+            }]);
+        }
+
+        return addMany(bets
+            .map(value => value.split('|'))
+            .filter(([, bilhete]) => bilhete)
+            .map(([numbers, bilhete, , signature, kid, strategy]) => ({ ...common, numbers, bilhete, signature, kid, strategy })));
+    }
+
+    /**
+     * bilhete.html params of a saved ticket (signed tickets show the verified seal)
+     * @param {Object} ticket - Wallet ticket
+     * @returns {URLSearchParams} Params
+     */
+    function getTicketParams(ticket) {
+        const params = new URLSearchParams({
+            gameId: ticket.gameId,
+            whatsapp: ticket.whatsapp,
+            numbers: ticket.numbers.join(','),
+            time: ticket.time,
+            date: ticket.date,
+            bilhete: ticket.bilhete,
+            concurso: ticket.concurso,
+            platform: ticket.platform
+        });
+        if (ticket.strategy) params.set('strategy', ticket.strategy);
+        if (ticket.signature) {
+            params.set('sig', ticket.signature);
+            params.set('kid', ticket.kid);
+        }
+        return params;
+    }
+
+    /**
+     * Remove a ticket
+     * @param {string} key - Ticket key (see getGroupedByConcurso)
+     * @returns {boolean} True if removed
+     */
+    function remove(key) {
+        const before = tickets.length;
+        tickets = tickets.filter(t => ticketKey(t) !== key);
+        if (tickets.length === before) return false;
+        saveToStorage();
+        return true;
+    }
+
+    /**
+     * @returns {Object[]} Copies of all tickets with their key
+     */
+    function getAll() {
+        return tickets.map(t => ({ ...t, numbers: t.numbers.slice(), key: ticketKey(t) }));
+    }
+
+    /**
+     * Tickets grouped by concurso, newest concurso first
+     * @returns {Object[]} [{ concurso, date, tickets }]
+     */
+    function getGroupedByConcurso() {
+        const groups = new Map();
+        getAll().forEach(ticket => {
+            if (!groups.has(ticket.concurso)) {
+                groups.set(ticket.concurso, { concurso: ticket.concurso, date: ticket.date, tickets: [] });
+            }
+            groups.get(ticket.concurso).tickets.push(ticket);
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => parseInt(b.concurso, 10) - parseInt(a.concurso, 10))
+            .map(group => {
+                group.tickets.sort((a, b) => parseInt(a.bilhete, 10) - parseInt(b.bilhete, 10));
+                return group;
+            });
+    }
+
+    // ============================================
+    // Live status
+    // ============================================
+
+    /**
+     * Map an entries-sheet status to a wallet status
+     * @param {string} status - Raw status
+     * @returns {string} Status
+     */
+    function normalizeStatus(status) {
+        const up = String(status || '').toUpperCase();
+        if (up === 'VALID' || up === 'VALIDADO') return Status.VALID;
+        if (up === 'INVALID' || up === 'INVÁLIDO') return Status.INVALID;
+        return Status.PENDING;
+    }
+
+    /**
+     * Find the entries row for a ticket (same Game ID and concurso;
+     * bilhete number first, same numbers as a fallback)
+     * @param {Object} ticket - Wallet ticket
+     * @param {Object[]} entries - PopDataSource entries
+     * @returns {Object|null} Entry
+     */
+    function findEntry(ticket, entries) {
+        const candidates = (entries || []).filter(e =>
+            String(e.gameId) === ticket.gameId && String(e.contest) === ticket.concurso
+        );
+        const byBilhete = candidates.find(e => String(e.ticketNumber) === ticket.bilhete);
+        if (byBilhete) return byBilhete;
+
+        const numbersKey = ticket.numbers.join(',');
+        return candidates.find(e => e.numbers.slice().sort((a, b) => a - b).join(',') === numbersKey) || null;
+    }
+
+    /**
+     * Live status and matches for a ticket
+     * @param {Object} ticket - Wallet ticket
+     * @param {Object[]} entries - PopDataSource entries
+     * @param {Object[]} results - PopDataSource results
+     * @returns {Object} { status, entry, result, matchedNumbers, matches }
+     */
+    function getTicketStatus(ticket, entries, results) {
+        const entry = findEntry(ticket, entries);
+        const result = (results || []).find(r => !r.isNoDraw && String(r.contest) === ticket.concurso) || null;
+        const matchedNumbers = result ? ticket.numbers.filter(n => result.numbers.includes(n)) : [];
+
+        return {
+            status: entry ? normalizeStatus(entry.status) : Status.NOT_FOUND,
+            entry,
+            result,
+            matchedNumbers,
+            matches: result ? matchedNumbers.length : null
+        };
+    }
+
+    // ============================================
+    // Export / import
+    // ============================================
+
+    /**
+     * Serialize the wallet for a file download
+     * @returns {string} JSON text
+     */
+    function exportJSON() {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            tickets
+        }, null, 2);
+    }
+
+    /**
+     * Merge an exported wallet into this one
+     * @param {string} text - JSON text from exportJSON
+     * @returns {Object} { added, skipped }
+     */
+    function importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Arquivo inválido');
+        }
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.tickets)) {
+            throw new Error('Arquivo não é uma carteira POP-SORTE');
+        }
+        return addMany(data.tickets);
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+    loadFromStorage();
+
+    // Keep tabs in sync
+    window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) loadFromStorage();
+    });
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        addFromParams,
+        addMany,
+        remove,
+        getAll,
+        getGroupedByConcurso,
+        getTicketStatus,
+        getTicketParams,
+        exportJSON,
+        importJSON,
+
+        // Constants
+        Status
+    };
+})();
@@ -0,0 +1,297 @@
+/**
+ * POP-SORTE Winner Engine
+ * The single implementation of the prize rules, shared by the public site and both admin dashboards
+ *
+ * Rules (current version, see prize-rules.js for the configuration and its history):
+ * - 5 hits wins the prize
+ * - 4 hits wins only if nobody has 5
+ * - 3 hits wins only if nobody has 5 or 4
+ * - 2 hits or fewer never wins
+ * - The winners of the winning tier split the platform's prize pool equally
+ * - Each platform has its own prize pool per contest
+ * - Tickets explicitly marked invalid never win
+ *
+ * Each contest is settled with the rule version active on its draw date.
+ *
+ * Used by: pop-sorte.js (results marquee, winners carousel),
+ *          homina/js/winner-calculator.js (Winners page), admin/validator.js (LotteryValidator)
+ *
+ * Dependencies: prize-rules.js (PrizeRules)
+ */
+
+window.WinnerEngine = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const DRAW_SIZE = 5;
+    const DEFAULT_PLATFORM = 'POPN1';
+
+    const INVALID_STATUSES = ['INVALID', 'INVÁLIDO', 'REJECTED', 'CANCELLED'];
+
+    /**
+     * Display names by number of hits (whether a tier pays depends on the rule version)
+     */
+    const PRIZE_TIERS = {
+        5: { matches: 5, key: 'GRAND', name: 'Jackpot', emoji: '🏆', label: '5 matches' },
+        4: { matches: 4, key: 'SECOND', name: '2nd Prize', emoji: '🥈', label: '4 matches' },
+        3: { matches: 3, key: 'THIRD', name: '3rd Prize', emoji: '🥉', label: '3 matches' },
+        2: { matches: 2, key: 'FOURTH', name: '4th Prize', emoji: '🎯', label: '2 matches' },
+        1: { matches: 1, key: 'FIFTH', name: '5th Prize', emoji: '✨', label: '1 match' }
+    };
+
+    // ============================================
+    // Entry helpers
+    // ============================================
+
+    /**
+     * Numbers played on a ticket (public/homina use `numbers`, the legacy admin `chosenNumbers`)
+     * @param {Object} entry - Entry
+     * @returns {number[]} Numbers
+     */
+    function getNumbers(entry) {
+        const numbers = entry.numbers || entry.chosenNumbers;
+        return Array.isArray(numbers) ? numbers : [];
+    }
+
+    /**
+     * @param {Object} entry - Entry
+     * @returns {string} Upper-case platform code
+     */
+    function getPlatform(entry) {
+        return (entry.platform || DEFAULT_PLATFORM).toString().trim().toUpperCase() || DEFAULT_PLATFORM;
+    }
+
+    /**
+     * Whether a ticket may win (valid unless explicitly marked invalid)
+     * @param {Object} entry - Entry
+     * @returns {boolean} True if eligible
+     */
+    function isEligible(entry) {
+        const status = (entry.status || '').toString().trim().toUpperCase();
+        return !INVALID_STATUSES.includes(status);
+    }
+
+    /**
+     * Count the numbers shared with the draw
+     * @param {number[]} entryNumbers - Numbers played
+     * @param {number[]} winningNumbers - Numbers drawn
+     * @returns {Object} { count, matchedNumbers }
+     */
+    function countMatches(entryNumbers, winningNumbers) {
+        const matched = entryNumbers.filter(n => winningNumbers.includes(n));
+        return {
+            count: matched.length,
+            matchedNumbers: matched.sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * Registration order, used to hand out leftover cents deterministically
+     * @param {Object} a - Entry
+     * @param {Object} b - Entry
+     * @returns {number} Sort order
+     */
+    function compareTicketOrder(a, b) {
+        const timeA = a.parsedDate instanceof Date ? a.parsedDate.getTime() : 0;
+        const timeB = b.parsedDate instanceof Date ? b.parsedDate.getTime() : 0;
+        return (timeA - timeB) ||
+            String(a.ticketNumber || '').localeCompare(String(b.ticketNumber || ''), undefined, { numeric: true }) ||
+            String(a.gameId || '').localeCompare(String(b.gameId || ''));
+    }
+
+    // ============================================
+    // Rules
+    // ============================================
+
+    /**
+     * Rule version for a contest
+     * @param {Object} ref - { contest, drawDate } (empty for the current version)
+     * @returns {Object} PrizeRules version
+     */
+    function getRules(ref = {}) {
+        return PrizeRules.resolve(ref);
+    }
+
+    /**
+     * @param {number} matches - Hits
+     * @param {Object} rules - Rule version (default current)
+     * @returns {Object|null} Tier or null when the hits do not win under the rules
+     */
+    function getTier(matches, rules = getRules()) {
+        return rules.tiers.includes(matches) ? PRIZE_TIERS[matches] : null;
+    }
+
+    /**
+     * @param {string} platform - Platform code
+     * @param {Object} ref - { contest, drawDate } (empty for the current version)
+     * @returns {number} Prize pool (R$)
+     */
+    function getPrizePool(platform, ref = {}) {
+        return PrizeRules.getPool(getRules(ref), platform);
+    }
+
+    // ============================================
+    // Calculation
+    // ============================================
+
+    /**
+     * Prize in cents for each winning tier of a pool
+     * @param {Object} rules - Rule version
+     * @param {number[]} paidTiers - Tiers with winners, best first
+     * @param {number} poolCents - Pool
+     * @returns {Object} { hits: cents for the whole tier } (fixed mode: cents per winner)
+     */
+    function getTierAmounts(rules, paidTiers, poolCents) {
+        const amounts = {};
+        if (rules.splitMode === PrizeRules.SplitMode.FIXED) {
+            paidTiers.forEach(tier => { amounts[tier] = PrizeRules.toCents(rules.fixedAmounts[tier]); });
+        } else if (rules.splitMode === PrizeRules.SplitMode.PER_TIER) {
+            const shares = PrizeRules.splitCents(poolCents, rules.tiers.map(tier => rules.tierShares[tier]));
+            rules.tiers.forEach((tier, i) => {
+                if (paidTiers.includes(tier)) amounts[tier] = shares[i];
+            });
+        } else if (paidTiers.length > 0) {
+            amounts[paidTiers[0]] = poolCents;
+        }
+        return amounts;
+    }
+
+    /**
+     * Winners of one platform's pool
+     * @param {string} platform - Platform code
+     * @param {Object[]} scored - Scored eligible entries of this platform
+     * @param {Object} rules - Rule version
+     * @returns {Object} { platform, winningTier, paidTiers, prizePool, prizePerWinner, totalPaid, winners }
+     */
+    function settlePool(platform, scored, rules) {
+        const withWinners = rules.tiers.filter(tier => scored.some(e => e.matches === tier));
+        const paidTiers = rules.splitMode === PrizeRules.SplitMode.HIGHEST_TIER ? withWinners.slice(0, 1) : withWinners;
+        const prizePool = PrizeRules.getPool(rules, platform);
+        const amounts = getTierAmounts(rules, paidTiers, PrizeRules.toCents(prizePool));
+
+        const winners = [];
+        paidTiers.forEach(tier => {
+            const tierEntries = scored.filter(e => e.matches === tier).sort(compareTicketOrder);
+            const cents = rules.splitMode === PrizeRules.SplitMode.FIXED
+                ? tierEntries.map(() => amounts[tier])
+                : PrizeRules.splitCents(amounts[tier], tierEntries.map(() => 1));
+
+            tierEntries.forEach((e, i) => {
+                winners.push({
+                    ...e,
+                    tier: PRIZE_TIERS[tier],
+                    prize: cents[i] / 100,
+                    rulesVersion: rules.version
+                });
+            });
+        });
+
+        const prizes = [...new Set(winners.map(w => w.prize))];
+        const totalPaid = winners.reduce((sum, w) => sum + PrizeRules.toCents(w.prize), 0) / 100;
+
+        return {
+            platform,
+            winningTier: paidTiers[0] || 0,
+            paidTiers,
+            prizePool: rules.splitMode === PrizeRules.SplitMode.FIXED ? totalPaid : prizePool,
+            // Only when every winner gets the same amount (leftover cents make it uneven)
+            prizePerWinner: prizes.length === 1 ? prizes[0] : 0,
+            totalPaid,
+            winners
+        };
+    }
+
+    /**
+     * Winners of one contest
+     * @param {Object[]} entries - Entries of the contest (any platform)
+     * @param {number[]} winningNumbers - Numbers drawn (must be 5)
+     * @param {Object} options - {
+     *   contest, drawDate: select the rule version (default current),
+     *   rules: explicit PrizeRules version (overrides contest/drawDate)
+     * }
+     * @returns {Object} {
+     *   hasResult, winningNumbers, totalEntries, validEntries, rules,
+     *   byTier: { 5: [], ..., 1: [] } every scored entry with hits, flagged isValidEntry,
+     *   pools: [{ platform, winningTier, paidTiers, prizePool, prizePerWinner, totalPaid, winners }],
+     *   winners: every winner ({ ...entry, matches, matchedNumbers, tier, prize, rulesVersion }), best first,
+     *   winningTier (highest of the pools), totalPrizeAwarded
+     * }
+     */
+    function calculateContest(entries, winningNumbers, options = {}) {
+        const rules = options.rules || getRules({ contest: options.contest, drawDate: options.drawDate });
+        const minMatches = Math.min(...rules.tiers);
+        const byTier = { 5: [], 4: [], 3: [], 2: [], 1: [] };
+        const hasResult = Array.isArray(winningNumbers) && winningNumbers.length === DRAW_SIZE;
+
+        const summary = {
+            hasResult,
+            winningNumbers: hasResult ? winningNumbers : [],
+            totalEntries: entries.length,
+            validEntries: entries.filter(isEligible).length,
+            rules,
+            byTier,
+            pools: [],
+            winners: [],
+            winningTier: 0,
+            totalPrizeAwarded: 0
+        };
+        if (!hasResult) return summary;
+
+        const eligibleByPlatform = new Map();
+        entries.forEach(entry => {
+            const numbers = getNumbers(entry);
+            if (numbers.length !== DRAW_SIZE) return;
+
+            const { count, matchedNumbers } = countMatches(numbers, winningNumbers);
+            if (count === 0) return;
+
+            const scored = { ...entry, matches: count, matchedNumbers, isValidEntry: isEligible(entry) };
+            byTier[count].push(scored);
+
+            if (scored.isValidEntry && count >= minMatches) {
+                const platform = getPlatform(entry);
+                if (!eligibleByPlatform.has(platform)) eligibleByPlatform.set(platform, []);
+                eligibleByPlatform.get(platform).push(scored);
+            }
+        });
+
+        let paidCents = 0;
+        eligibleByPlatform.forEach((scored, platform) => {
+            const pool = settlePool(platform, scored, rules);
+            summary.pools.push(pool);
+            summary.winners.push(...pool.winners);
+            summary.winningTier = Math.max(summary.winningTier, pool.winningTier);
+            paidCents += PrizeRules.toCents(pool.totalPaid);
+        });
+        summary.totalPrizeAwarded = paidCents / 100;
+
+        summary.pools.sort((a, b) => a.platform.localeCompare(b.platform));
+        summary.winners.sort((a, b) =>
+            b.matches - a.matches ||
+            getPlatform(a).localeCompare(getPlatform(b)) ||
+            String(a.gameId || '').localeCompare(String(b.gameId || '')));
+
+        return summary;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        calculateContest,
+        countMatches,
+        isEligible,
+        getRules,
+        getTier,
+        getPrizePool,
+        getPlatform,
+        getNumbers,
+
+        // Constants
+        DRAW_SIZE,
+        PRIZE_TIERS,
+        INVALID_STATUSES
+    };
+})();